@@ -6,6 +6,7 @@ const axios = require("axios");
 
 // Importar service registry
 const serviceRegistry = require("../shared/serviceRegistry");
+const TextIndex = require("../shared/TextIndex");
 
 class APIGateway {
   constructor() {
@@ -25,7 +26,8 @@ class APIGateway {
 
   setupMiddleware() {
     this.app.use(helmet());
-    this.app.use(cors());
+    // ETag exposto para que clientes possam enviar If-Match nas edições
+    this.app.use(cors({ exposedHeaders: ["ETag"] }));
     this.app.use(morgan("combined"));
     this.app.use(express.json());
     this.app.use(express.urlencoded({ extended: true }));
@@ -231,6 +233,10 @@ class APIGateway {
       const response = await axios(config);
       this.resetCircuitBreaker(serviceName);
 
+      // Repassa a versão do recurso (controle otimista via If-Match)
+      if (response.headers.etag) {
+        res.set("ETag", response.headers.etag);
+      }
       res.status(response.status).json(response.data);
     } catch (error) {
       this.recordFailure(serviceName);
@@ -307,11 +313,15 @@ class APIGateway {
       }
 
       // Buscar dados de 3 serviços em paralelo
-      const [listsRes, itemsRes, categoriesRes] = await Promise.allSettled([
-        this.callService("list-service", "/lists", "GET", authHeader),
-        this.callService("item-service", "/items", "GET", null, { limit: 5 }),
-        this.callService("item-service", "/categories", "GET", null),
-      ]);
+      const [listsRes, itemsRes, categoriesRes, spendingRes] =
+        await Promise.allSettled([
+          this.callService("list-service", "/lists", "GET", authHeader),
+          this.callService("item-service", "/items", "GET", null, {
+            limit: 5,
+          }),
+          this.callService("item-service", "/categories/stats", "GET", null),
+          this.callService("list-service", "/lists/stats", "GET", authHeader),
+        ]);
 
       const dashboard = {
         timestamp: new Date().toISOString(),
@@ -338,6 +348,11 @@ class APIGateway {
                 ? categoriesRes.value.data
                 : null,
           },
+          spending: {
+            available: spendingRes.status === "fulfilled",
+            data:
+              spendingRes.status === "fulfilled" ? spendingRes.value.data : null,
+          },
         },
       };
 
@@ -379,10 +394,20 @@ class APIGateway {
         lists: [],
       };
 
+      // As listas do usuário passam pela mesma busca textual dos itens
       if (listResults && listResults.status === "fulfilled") {
-        responseData.lists = listResults.value.data.filter((list) =>
-          list.name.toLowerCase().includes(q.toLowerCase())
-        );
+        const lists = listResults.value.data;
+        const index = new TextIndex({
+          name: 3,
+          description: 1,
+          "items.itemName": 1,
+        });
+        lists.forEach((list) => index.add(list));
+
+        const byId = new Map(lists.map((list) => [list.id, list]));
+        responseData.lists = index
+          .search(q)
+          .map(({ id, score }) => ({ ...byId.get(id), _score: score }));
       }
 
       res.json({ success: true, data: responseData });
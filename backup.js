@@ -0,0 +1,85 @@
+// Linha de comando dos backups dos bancos dos serviços.
+//
+//   npm run backup -- create [--label <texto>]
+//   npm run backup -- list
+//   npm run backup -- verify [<id> | latest]
+//   npm run backup -- restore [<id> | latest] [--at <data>]
+//                      [--service <serviço>] [--collection <coleção>] [--dry-run]
+//
+// O backup pode ser feito com os serviços rodando; a restauração deve ser
+// feita com eles parados.
+const path = require("path");
+const BackupManager = require("./shared/BackupManager");
+
+function parseArgs(argv) {
+  const args = { command: argv[0], selector: undefined, options: {} };
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") args.options.dryRun = true;
+    else if (arg === "--label") args.options.label = argv[++i];
+    else if (arg === "--service") args.options.service = argv[++i];
+    else if (arg === "--collection") args.options.collection = argv[++i];
+    else if (arg === "--at") args.selector = { at: argv[++i] };
+    else args.selector = arg;
+  }
+  return args;
+}
+
+function printDiff(result) {
+  const prefix = result.dryRun ? "[dry-run] " : "";
+  console.log(`${prefix}Restauração do backup ${result.id}`);
+  for (const item of result.collections) {
+    console.log(
+      `  ${item.service}/${item.collection}: ` +
+        `${item.added.length} adicionado(s), ${item.removed.length} removido(s), ` +
+        `${item.changed.length} alterado(s), ${item.unchanged} sem mudança`
+    );
+    for (const id of item.added) console.log(`    + ${id}`);
+    for (const id of item.removed) console.log(`    - ${id}`);
+    for (const id of item.changed) console.log(`    ~ ${id}`);
+  }
+}
+
+async function main() {
+  const { command, selector, options } = parseArgs(process.argv.slice(2));
+  const manager = new BackupManager(__dirname, {
+    backupDir: process.env.BACKUP_DIR && path.resolve(process.env.BACKUP_DIR),
+  });
+
+  switch (command) {
+    case "create": {
+      const manifest = await manager.create(options);
+      console.log(`Backup ${manifest.id} criado em ${manager.backupDir}`);
+      for (const item of manifest.collections) {
+        console.log(`  ${item.service}/${item.collection}: ${item.documentCount} documento(s)`);
+      }
+      break;
+    }
+    case "list":
+      for (const manifest of await manager.list()) {
+        const total = manifest.collections.reduce((sum, item) => sum + item.documentCount, 0);
+        console.log(`${manifest.id}  ${manifest.label || ""}  ${total} documento(s)`);
+      }
+      break;
+    case "verify": {
+      const result = await manager.verify(selector);
+      console.log(`Backup ${result.id}: ${result.valid ? "íntegro" : "com problemas"}`);
+      for (const problem of result.problems) {
+        console.log(`  ${problem.service}/${problem.collection}: ${problem.message}`);
+      }
+      if (!result.valid) process.exitCode = 1;
+      break;
+    }
+    case "restore":
+      printDiff(await manager.restore(selector, options));
+      break;
+    default:
+      console.error("Uso: npm run backup -- <create | list | verify | restore> [opções]");
+      process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error("Erro no backup:", error.message);
+  process.exit(1);
+});
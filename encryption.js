@@ -0,0 +1,84 @@
+// Linha de comando da criptografia em repouso dos bancos dos serviços.
+//
+//   npm run encryption -- generate-key             gera uma chave nova
+//   npm run encryption -- status [<serviço>]       chave atual e chaves em uso
+//   npm run encryption -- rotate [<serviço>]       regrava tudo com a chave atual
+//
+// Para ligar a criptografia ou trocar de chave: gere uma chave, coloque-a em
+// DB_ENCRYPTION_KEY (ou <SERVIÇO>_ENCRYPTION_KEY), mova a anterior, se
+// houver, para DB_ENCRYPTION_PREVIOUS_KEYS e rode `rotate` com os serviços
+// parados. Depois do rotate a chave anterior só é necessária para
+// restaurar backups feitos com ela.
+const crypto = require("crypto");
+const BackupManager = require("./shared/BackupManager");
+const KeyRing = require("./shared/KeyRing");
+
+function describeKeys(keyIds, current) {
+  if (keyIds.length === 0) return "nada gravado";
+  return keyIds
+    .map((id) => (id === null ? "texto puro" : id === current ? `${id} (atual)` : id))
+    .join(", ");
+}
+
+async function forEachCollection(manager, services, callback) {
+  for (const service of services) {
+    for (const collection of await manager.listCollections(service)) {
+      const db = await manager.openCollection(service, collection);
+      try {
+        await callback(service, collection, db);
+      } finally {
+        db.close();
+      }
+    }
+  }
+}
+
+async function main() {
+  const [command, service] = process.argv.slice(2);
+  const manager = new BackupManager(__dirname);
+  const services = service ? [service] : manager.services;
+
+  if (command === "generate-key") {
+    console.log(crypto.randomBytes(32).toString("base64"));
+    return;
+  }
+
+  if (command === "status") {
+    await forEachCollection(manager, services, async (name, collection, db) => {
+      const status = await db.encryptionStatus();
+      console.log(
+        `${name}/${collection}: chave atual ${status.keyId || "nenhuma"}; ` +
+          `arquivos: ${describeKeys(status.storage, status.keyId)}; ` +
+          `campos: ${describeKeys(status.fields, status.keyId)}` +
+          (status.current ? "" : " -> rode rotate")
+      );
+    });
+    return;
+  }
+
+  if (command === "rotate") {
+    const configured = services.filter((name) => KeyRing.fromEnv(name));
+    if (configured.length === 0) {
+      throw new Error("Nenhuma chave configurada (DB_ENCRYPTION_KEY)");
+    }
+    for (const name of services.filter((name) => !configured.includes(name))) {
+      console.log(`${name}: sem chave configurada, ignorado`);
+    }
+    await forEachCollection(manager, configured, async (name, collection, db) => {
+      const result = await db.reencrypt();
+      console.log(
+        `${name}/${collection}: ${result.documents} documento(s) regravado(s) ` +
+          `com a chave ${result.keyId}, ${result.fields} campo(s) recifrado(s)`
+      );
+    });
+    return;
+  }
+
+  console.error("Uso: npm run encryption -- generate-key | status [<serviço>] | rotate [<serviço>]");
+  process.exit(1);
+}
+
+main().catch((error) => {
+  console.error("Erro na criptografia:", error.message);
+  process.exit(1);
+});
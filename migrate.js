@@ -0,0 +1,85 @@
+// Linha de comando das migrações de dados dos serviços.
+//
+//   npm run migrate -- <serviço>                  aplica as pendentes
+//   npm run migrate -- <serviço> --status         versão atual e pendentes
+//   npm run migrate -- <serviço> --dry-run        mostra o que mudaria
+//   npm run migrate -- <serviço> --rollback       desfaz a última migração
+//   npm run migrate -- <serviço> --rollback --to 1 [--dry-run]
+//
+// Os serviços aplicam as pendentes sozinhos ao iniciar; o rollback deve ser
+// feito com o serviço parado.
+const path = require("path");
+const fs = require("fs");
+const MigrationRunner = require("./shared/MigrationRunner");
+const { storageFromEnv } = require("./shared/storage");
+const KeyRing = require("./shared/KeyRing");
+
+function parseArgs(argv) {
+  const args = { service: null, dryRun: false, rollback: false, status: false, to: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--rollback") args.rollback = true;
+    else if (arg === "--status") args.status = true;
+    else if (arg === "--to") args.to = parseInt(argv[++i], 10);
+    else args.service = arg;
+  }
+  return args;
+}
+
+function printReport(report, action) {
+  if (report.length === 0) {
+    console.log("Nenhuma migração a executar");
+    return;
+  }
+  for (const entry of report) {
+    console.log(
+      `${action} ${entry.name} (${entry.collection}): ${entry.changed.length} documento(s)`
+    );
+    for (const id of entry.changed) {
+      console.log(`  - ${id}`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const serviceDir = args.service && path.join(__dirname, "services", args.service);
+
+  if (!serviceDir || !fs.existsSync(serviceDir)) {
+    console.error("Uso: npm run migrate -- <serviço> [--status | --dry-run | --rollback [--to <versão>]]");
+    process.exit(1);
+  }
+  if (args.to !== undefined && Number.isNaN(args.to)) {
+    console.error("--to exige um número de versão");
+    process.exit(1);
+  }
+
+  const runner = new MigrationRunner(
+    path.join(serviceDir, "database"),
+    path.join(serviceDir, "migrations"),
+    {
+      storage: storageFromEnv(args.service),
+      encryption: KeyRing.fromEnv(args.service),
+    }
+  );
+
+  if (args.status) {
+    for (const { collection, version, pending } of await runner.status()) {
+      console.log(`${collection}: versão ${version}, pendentes: ${pending.join(", ") || "nenhuma"}`);
+    }
+    return;
+  }
+
+  const prefix = args.dryRun ? "[dry-run] " : "";
+  if (args.rollback) {
+    printReport(await runner.rollback({ to: args.to, dryRun: args.dryRun }), `${prefix}Desfazer`);
+  } else {
+    printReport(await runner.migrate({ dryRun: args.dryRun }), `${prefix}Aplicar`);
+  }
+}
+
+main().catch((error) => {
+  console.error("Erro na migração:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,207 @@
+// services/item-service/items.test.js
+// Handlers de escrita do catálogo, chamados direto com req/res falsos sobre
+// um banco temporário (sem subir o servidor nem registrar o serviço).
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const JsonDatabase = require("../../shared/JsonDatabase");
+const ItemService = require("./server");
+
+const USER = { id: "user-1", email: "user@demo.com" };
+
+const SCHEMA = {
+  type: "object",
+  required: ["name", "category"],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    category: { type: "string", minLength: 1 },
+    averagePrice: { type: "number", minimum: 0 },
+  },
+};
+
+function request(id, body = {}, headers = {}) {
+  return {
+    params: { id },
+    body,
+    user: USER,
+    get: (name) => headers[name],
+    header: (name) => headers[name],
+  };
+}
+
+// Resposta do express reduzida ao que os handlers usam
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+describe("ItemService: escrita de itens", () => {
+  let dir;
+  let service;
+  // Mesma coleção, sem o schema: grava itens como versões antigas do serviço
+  let legacyItems;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "item-service-"));
+    mock.method(console, "error", () => {});
+    service = Object.create(ItemService.prototype);
+    service.itemsDb = new JsonDatabase(dir, "items", { schema: SCHEMA });
+    legacyItems = new JsonDatabase(dir, "items");
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await fs.remove(dir);
+  });
+
+  it("grava os itens válidos do lote e devolve o resultado de cada posição", async () => {
+    const res = response();
+    await service.createItems(
+      request(undefined, [
+        { name: "Arroz", category: "Alimentos", averagePrice: "10.5" },
+        { name: "Feijão", averagePrice: -1 },
+        "sabão",
+        { name: "Detergente", category: "Limpeza" },
+      ]),
+      res
+    );
+
+    assert.strictEqual(res.statusCode, 207);
+    assert.strictEqual(res.body.inserted, 2);
+    assert.strictEqual(res.body.failed, 2);
+    assert.deepStrictEqual(
+      res.body.results.map((result) => result.success),
+      [true, false, false, true]
+    );
+    assert.strictEqual(res.body.results[0].data.averagePrice, 10.5);
+    assert.strictEqual(res.body.results[0].data.metadata.createdBy, USER.id);
+    assert.deepStrictEqual(
+      res.body.results[1].errors.map((error) => error.field).sort(),
+      ["averagePrice", "category"]
+    );
+    assert.strictEqual(res.body.results[3].data.name, "Detergente");
+    assert.strictEqual(await service.itemsDb.count(), 2);
+  });
+
+  it("responde 400 quando nenhum item do lote é válido", async () => {
+    const res = response();
+    await service.createItems(request(undefined, { items: [{ name: "" }] }), res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.inserted, 0);
+
+    const empty = response();
+    await service.createItems(request(undefined, []), empty);
+    assert.strictEqual(empty.statusCode, 400);
+    assert.strictEqual(await service.itemsDb.count(), 0);
+  });
+
+  it("ignora no PUT os campos mantidos pelo servidor", async () => {
+    const item = await service.itemsDb.create({
+      id: "item-1",
+      name: "Arroz",
+      category: "Alimentos",
+      metadata: { createdBy: "user-0" },
+    });
+
+    const res = response();
+    await service.updateItem(
+      request(item.id, {
+        id: "item-2",
+        name: "Arroz integral",
+        createdAt: "2000-01-01T00:00:00.000Z",
+        updatedBy: "outro",
+        deletedBy: "outro",
+        deletedAt: "2000-01-01T00:00:00.000Z",
+        metadata: { createdBy: "outro" },
+        "metadata.createdBy": "outro",
+        version: 10,
+      }),
+      res
+    );
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers.ETag, '"v2"');
+    const stored = await service.itemsDb.findById(item.id);
+    assert.strictEqual(stored.name, "Arroz integral");
+    assert.strictEqual(stored.version, 2);
+    assert.strictEqual(stored.createdAt, item.createdAt);
+    assert.strictEqual(stored.updatedBy, USER.id);
+    assert.deepStrictEqual(stored.metadata, { createdBy: "user-0" });
+    assert.strictEqual(stored.deletedBy, undefined);
+    assert.strictEqual(stored.deletedAt, undefined);
+    assert.strictEqual(await service.itemsDb.findById("item-2"), null);
+  });
+
+  it("responde 412 no PUT e no DELETE com If-Match de outra versão", async () => {
+    const item = await service.itemsDb.create({ name: "Arroz", category: "Alimentos" });
+
+    const stale = response();
+    await service.updateItem(request(item.id, { name: "Feijão" }, { "If-Match": '"v2"' }), stale);
+    assert.strictEqual(stale.statusCode, 412);
+    assert.strictEqual(stale.body.currentVersion, 1);
+
+    const weak = response();
+    await service.deleteItem(request(item.id, {}, { "If-Match": 'W/"v1"' }), weak);
+    assert.strictEqual(weak.statusCode, 412);
+
+    const current = response();
+    await service.updateItem(request(item.id, { name: "Feijão" }, { "If-Match": '"v0", "v1"' }), current);
+    assert.strictEqual(current.statusCode, 200);
+    assert.strictEqual((await service.itemsDb.findById(item.id)).name, "Feijão");
+  });
+
+  it("responde 400 com os campos inválidos no PUT", async () => {
+    const item = await service.itemsDb.create({ name: "Arroz", category: "Alimentos" });
+
+    const res = response();
+    await service.updateItem(request(item.id, { averagePrice: -1 }), res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(res.body.errors.map((error) => error.field), ["averagePrice"]);
+  });
+
+  it("responde 400 no DELETE de um item gravado fora do schema", async () => {
+    const item = await legacyItems.create({ name: "Arroz", category: "Alimentos", averagePrice: -5 });
+
+    const res = response();
+    await service.deleteItem(request(item.id), res);
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.success, false);
+    assert.deepStrictEqual(res.body.errors.map((error) => error.field), ["averagePrice"]);
+    assert.strictEqual((await service.itemsDb.findById(item.id)).deletedAt, undefined);
+  });
+
+  it("desativa o item no DELETE", async () => {
+    const item = await service.itemsDb.create({ name: "Arroz", category: "Alimentos" });
+
+    const res = response();
+    await service.deleteItem(request(item.id), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    const stored = await service.itemsDb.findById(item.id);
+    assert.strictEqual(stored.active, false);
+    assert.strictEqual(stored.deletedBy, USER.id);
+
+    const missing = response();
+    await service.deleteItem(request("nao-existe"), missing);
+    assert.strictEqual(missing.statusCode, 404);
+  });
+});
@@ -8,8 +8,59 @@ const axios = require("axios");
 
 // Importar banco NoSQL e service registry
 const JsonDatabase = require("../../shared/JsonDatabase");
+const MigrationRunner = require("../../shared/MigrationRunner");
+const { storageFromEnv } = require("../../shared/storage");
+const KeyRing = require("../../shared/KeyRing");
+const {
+  InvalidCursorError,
+  InvalidQueryError,
+  ValidationError,
+  VersionConflictError,
+} = require("../../shared/DatabaseErrors");
+const {
+  toETag,
+  parseIfMatch,
+  sendPreconditionFailed,
+} = require("../../shared/etag");
 const serviceRegistry = require("../../shared/serviceRegistry");
 
+// Limite de itens por requisição de POST /items/bulk
+const MAX_BULK_ITEMS = 500;
+
+// Schema do catálogo: aplicado pelo banco em toda criação e atualização
+const ITEM_SCHEMA = {
+  type: "object",
+  required: ["name", "category"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 200 },
+    category: { type: "string", minLength: 1, maxLength: 100 },
+    brand: { type: "string", maxLength: 100, default: "" },
+    unit: { type: "string", minLength: 1, maxLength: 20, default: "un" },
+    averagePrice: { type: "number", minimum: 0, default: 0 },
+    barcode: { type: "string", pattern: "^[0-9]*$", default: "" },
+    description: { type: "string", maxLength: 1000, default: "" },
+    active: { type: "boolean", default: true },
+    metadata: { type: "object" },
+    updatedBy: { type: "string" },
+    deletedBy: { type: "string" },
+    deletedAt: { type: "string", format: "date-time" },
+  },
+};
+
+// Campos mantidos pelo serviço ou pelo banco: o body de PUT /items/:id não
+// os altera, nem por caminho ("metadata.createdBy")
+const SERVER_MANAGED_FIELDS = [
+  "id",
+  "createdAt",
+  "updatedAt",
+  "updatedBy",
+  "deletedBy",
+  "deletedAt",
+  "metadata",
+  "version",
+];
+
 class ItemService {
   constructor() {
     this.app = express();
@@ -21,12 +72,25 @@ class ItemService {
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
-    this.seedInitialData();
   }
 
   setupDatabase() {
     const dbPath = path.join(__dirname, "database");
-    this.itemsDb = new JsonDatabase(dbPath, "items");
+    const storage = storageFromEnv("item-service");
+    const encryption = KeyRing.fromEnv("item-service");
+    this.itemsDb = new JsonDatabase(dbPath, "items", {
+      storage,
+      encryption,
+      indexes: [{ fields: ["active", "category"] }, { fields: ["active"] }],
+      // Pesos da busca textual (/search): o nome vale mais que a descrição
+      textIndex: { name: 3, brand: 2, category: 2, description: 1 },
+      schema: ITEM_SCHEMA,
+    });
+    this.migrations = new MigrationRunner(dbPath, path.join(__dirname, "migrations"), {
+      collections: { items: this.itemsDb },
+      storage,
+      encryption,
+    });
     console.log("Item Service: Banco NoSQL inicializado");
   }
 
@@ -63,9 +127,7 @@ class ItemService {
             }
           });
 
-          for (const item of items) {
-            await this.itemsDb.create(item);
-          }
+          await this.itemsDb.insertMany(items);
 
           console.log("✅ 20 Itens de exemplo criados no Item Service");
         }
@@ -106,6 +168,7 @@ class ItemService {
             type: "JSON-NoSQL",
             itemCount: itemCount,
             activeItems: activeItems,
+            stats: this.itemsDb.getStats(),
           },
         });
       } catch (error) {
@@ -131,6 +194,11 @@ class ItemService {
       this.authMiddleware.bind(this),
       this.createItem.bind(this)
     );
+    this.app.post(
+      "/items/bulk",
+      this.authMiddleware.bind(this),
+      this.createItems.bind(this)
+    );
     this.app.put(
       "/items/:id",
       this.authMiddleware.bind(this),
@@ -142,6 +210,7 @@ class ItemService {
       this.deleteItem.bind(this)
     );
     this.app.get("/categories", this.getCategories.bind(this));
+    this.app.get("/categories/stats", this.getCategoryStats.bind(this));
     this.app.get("/search", this.searchItems.bind(this));
   }
 
@@ -192,7 +261,14 @@ class ItemService {
 
   async getItems(req, res) {
     try {
-      const { page = 1, limit = 10, category, name, active = true } = req.query;
+      const {
+        page = 1,
+        limit = 10,
+        category,
+        name,
+        active = true,
+        cursor,
+      } = req.query;
       const skip = (page - 1) * parseInt(limit);
 
       const filter = { active: String(active) === "true" };
@@ -201,31 +277,46 @@ class ItemService {
         filter.category = category;
       }
 
-      let items = await this.itemsDb.find(filter, {
-        skip: skip,
-        limit: parseInt(limit),
-        sort: { createdAt: -1 },
-      });
-
+      // Filtro de nome no banco, para que a paginação conte só os itens
+      // encontrados
       if (name) {
-        items = items.filter((i) =>
-          i.name.toLowerCase().includes(name.toLowerCase())
-        );
+        filter.name = {
+          $regex: name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+          $options: "i",
+        };
       }
 
+      const { documents: items, nextCursor } = await this.itemsDb.findPage(
+        filter,
+        {
+          skip: skip,
+          limit: parseInt(limit),
+          sort: { createdAt: -1 },
+          cursor,
+        }
+      );
+
       const total = await this.itemsDb.count(filter);
 
       res.json({
         success: true,
         data: items,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: total,
-          pages: Math.ceil(total / parseInt(limit)),
-        },
+        pagination: cursor
+          ? { cursor, limit: parseInt(limit), total: total, nextCursor }
+          : {
+              page: parseInt(page),
+              limit: parseInt(limit),
+              total: total,
+              pages: Math.ceil(total / parseInt(limit)),
+              nextCursor,
+            },
       });
     } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Cursor de paginação inválido" });
+      }
       console.error("Erro ao buscar itens:", error);
       res.status(500).json({ success: false, message: "Erro interno" });
     }
@@ -238,43 +329,109 @@ class ItemService {
         return res
           .status(404)
           .json({ success: false, message: "Item não encontrado" });
+      res.set("ETag", toETag(item));
       res.json({ success: true, data: item });
     } catch (error) {
       res.status(500).json({ success: false, message: "Erro interno" });
     }
   }
 
+  // Campos aceitos na criação de um item. Defaults, conversão de tipos e
+  // campos obrigatórios vêm do ITEM_SCHEMA.
+  buildNewItem(body, userId) {
+    const {
+      name,
+      category,
+      brand,
+      unit,
+      averagePrice,
+      barcode,
+      description,
+    } = body;
+
+    return {
+      id: uuidv4(),
+      name,
+      category,
+      brand,
+      unit,
+      averagePrice,
+      barcode,
+      description,
+      active: true,
+      metadata: { createdBy: userId },
+    };
+  }
+
   async createItem(req, res) {
     try {
-      const {
-        name,
-        category,
-        brand,
-        unit,
-        averagePrice,
-        barcode,
-        description,
-      } = req.body;
-      if (!name || !category) {
-        return res
-          .status(400)
-          .json({ success: false, message: "Dados incompletos" });
+      const newItem = await this.itemsDb.create(
+        this.buildNewItem(req.body, req.user.id)
+      );
+
+      res.status(201).json({ success: true, data: newItem });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
       }
+      res.status(500).json({ success: false, message: "Erro interno" });
+    }
+  }
 
-      const newItem = await this.itemsDb.create({
-        id: uuidv4(),
-        name,
-        category,
-        brand: brand || "",
-        unit: unit || "un",
-        averagePrice: parseFloat(averagePrice) || 0,
-        barcode: barcode || "",
-        description: description || "",
-        active: true,
-        metadata: { createdBy: req.user.id },
+  // Cadastro em lote: aceita uma lista de itens (ou { items: [...] }) e
+  // grava os válidos de uma só vez. Cada posição recebe seu resultado;
+  // 201 se todos entraram, 207 se só parte, 400 se nenhum.
+  async createItems(req, res) {
+    try {
+      const entries = Array.isArray(req.body) ? req.body : req.body.items;
+
+      if (!Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Envie uma lista de itens",
+        });
+      }
+      if (entries.length > MAX_BULK_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          message: `Máximo de ${MAX_BULK_ITEMS} itens por requisição`,
+        });
+      }
+
+      const { documents, errors } = await this.itemsDb.insertMany(
+        entries.map((entry) =>
+          entry && typeof entry === "object" && !Array.isArray(entry)
+            ? this.buildNewItem(entry, req.user.id)
+            : entry
+        ),
+        { atomic: false }
+      );
+
+      const failures = new Map(errors.map((error) => [error.index, error]));
+      let inserted = 0;
+      const results = entries.map((entry, index) => {
+        const failure = failures.get(index);
+        if (failure) {
+          return {
+            index,
+            success: false,
+            message:
+              failure.code === "VALIDATION_FAILED"
+                ? "Dados inválidos"
+                : failure.message,
+            errors: failure.errors,
+          };
+        }
+        return { index, success: true, data: documents[inserted++] };
       });
 
-      res.status(201).json({ success: true, data: newItem });
+      const status = errors.length === 0 ? 201 : inserted > 0 ? 207 : 400;
+      res.status(status).json({
+        success: errors.length === 0,
+        inserted,
+        failed: errors.length,
+        results,
+      });
     } catch (error) {
       res.status(500).json({ success: false, message: "Erro interno" });
     }
@@ -287,37 +444,109 @@ class ItemService {
       if (!item)
         return res.status(404).json({ message: "Item não encontrado" });
 
-      const updates = { ...req.body };
-      delete updates.id;
+      const updates = {};
+      for (const [field, value] of Object.entries(req.body || {})) {
+        if (!SERVER_MANAGED_FIELDS.includes(field.split(".")[0])) {
+          updates[field] = value;
+        }
+      }
       updates.updatedBy = req.user.id;
 
-      const updatedItem = await this.itemsDb.update(id, updates);
+      // $set explícito: campos do body nunca são interpretados como operadores
+      const updatedItem = await this.itemsDb.update(
+        id,
+        { $set: updates },
+        { expectedVersion: parseIfMatch(req) }
+      );
+      res.set("ETag", toETag(updatedItem));
       res.json({ success: true, data: updatedItem });
     } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendPreconditionFailed(res, error.currentVersion);
+      }
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+      if (error instanceof InvalidQueryError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
       res.status(500).json({ success: false, message: "Erro interno" });
     }
   }
 
   async deleteItem(req, res) {
     try {
-      const updated = await this.itemsDb.update(req.params.id, {
-        active: false,
-        deletedBy: req.user.id,
-        deletedAt: new Date().toISOString(),
-      });
+      const updated = await this.itemsDb.update(
+        req.params.id,
+        {
+          active: false,
+          deletedBy: req.user.id,
+          deletedAt: new Date().toISOString(),
+        },
+        { expectedVersion: parseIfMatch(req) }
+      );
       if (!updated)
         return res.status(404).json({ message: "Item não encontrado" });
       res.json({ success: true, message: "Item removido" });
     } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendPreconditionFailed(res, error.currentVersion);
+      }
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
       res.status(500).json({ success: false, message: "Erro interno" });
     }
   }
 
+  sendValidationError(res, error) {
+    res.status(400).json({
+      success: false,
+      message: "Dados inválidos",
+      errors: error.errors,
+    });
+  }
+
   async getCategories(req, res) {
     try {
-      const items = await this.itemsDb.find({ active: true });
-      const categories = [...new Set(items.map((i) => i.category))].sort();
-      res.json({ success: true, data: categories });
+      const groups = await this.itemsDb.aggregate([
+        { $match: { active: true } },
+        { $group: { _id: "$category" } },
+        { $sort: { _id: 1 } },
+      ]);
+      res.json({ success: true, data: groups.map((group) => group._id) });
+    } catch (error) {
+      res.status(500).json({ success: false, message: "Erro interno" });
+    }
+  }
+
+  // Quantidade de itens e faixa de preço médio por categoria
+  async getCategoryStats(req, res) {
+    try {
+      const stats = await this.itemsDb.aggregate([
+        { $match: { active: true } },
+        {
+          $group: {
+            _id: "$category",
+            itemCount: { $count: {} },
+            averagePrice: { $avg: "$averagePrice" },
+            minPrice: { $min: "$averagePrice" },
+            maxPrice: { $max: "$averagePrice" },
+          },
+        },
+        { $sort: { _id: 1 } },
+        {
+          $project: {
+            _id: 0,
+            category: "$_id",
+            itemCount: 1,
+            averagePrice: 1,
+            minPrice: 1,
+            maxPrice: 1,
+          },
+        },
+      ]);
+      res.json({ success: true, data: stats });
     } catch (error) {
       res.status(500).json({ success: false, message: "Erro interno" });
     }
@@ -331,13 +560,11 @@ class ItemService {
           .status(400)
           .json({ success: false, message: 'Query "q" obrigatória' });
 
-      let items = await this.itemsDb.search(q, [
-        "name",
-        "brand",
-        "description",
-        "category",
-      ]);
-      items = items.filter((i) => i.active).slice(0, parseInt(limit));
+      // Mais relevantes primeiro, com a pontuação em `_score`
+      const items = await this.itemsDb.search(q, [], {
+        filter: { active: true },
+        limit: parseInt(limit),
+      });
 
       res.json({
         success: true,
@@ -353,7 +580,13 @@ class ItemService {
       url: this.serviceUrl,
       version: "1.0.0",
       database: "JSON-NoSQL",
-      endpoints: ["/health", "/items", "/categories", "/search"],
+      endpoints: [
+        "/health",
+        "/items",
+        "/items/bulk",
+        "/categories",
+        "/search",
+      ],
     });
   }
 
@@ -363,7 +596,16 @@ class ItemService {
     }, 30000);
   }
 
-  start() {
+  async start() {
+    // Dados precisam estar na versão atual antes de atender requisições
+    try {
+      await this.migrations.migrate();
+    } catch (error) {
+      console.error("Erro ao aplicar migrações:", error);
+      process.exit(1);
+    }
+    this.seedInitialData();
+
     this.app.listen(this.port, () => {
       console.log("=====================================");
       console.log(`Item Service iniciado na porta ${this.port}`);
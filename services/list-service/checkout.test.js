@@ -0,0 +1,115 @@
+// services/list-service/checkout.test.js
+// Checkout: lista concluída e evento gravado no outbox na mesma transação,
+// ou uma resposta de erro em JSON quando o evento não pode ser criado.
+process.env.LIST_SERVICE_STORAGE = "memory";
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const JsonDatabase = require("../../shared/JsonDatabase");
+const ListService = require("./server");
+
+const USER = { id: "user-1", email: "user@demo.com" };
+
+function request(id) {
+  return { params: { id }, user: USER, get: () => undefined };
+}
+
+// Resposta do express reduzida ao que os handlers usam
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+describe("ListService.checkoutList", () => {
+  let service;
+  // Mesma coleção, sem o schema: grava listas como versões antigas do serviço
+  let legacyLists;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    // Só os bancos: sem servidor HTTP nem conexão com o RabbitMQ
+    service = Object.create(ListService.prototype);
+    service.serviceName = "list-service";
+    service.setupDatabase();
+    legacyLists = new JsonDatabase(path.join(__dirname, "database"), "lists", { storage: "memory" });
+  });
+
+  after(() => {
+    service.listsDb.close();
+    service.outboxDb.close();
+    legacyLists.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => mock.method(console, "error", () => {}));
+  afterEach(() => console.error.mock.restore());
+
+  it("conclui a lista e grava o evento no outbox", async () => {
+    const list = await service.listsDb.create({
+      userId: USER.id,
+      name: "Mercado",
+      items: [{ itemId: "item-1", itemName: "Arroz", quantity: 2, estimatedPrice: 5 }],
+      summary: { totalItems: 2, purchasedItems: 0, estimatedTotal: 10 },
+    });
+
+    const res = response();
+    await service.checkoutList(request(list.id), res);
+
+    assert.strictEqual(res.statusCode, 202);
+    assert.strictEqual((await service.listsDb.findById(list.id)).status, "completed");
+
+    const entry = await service.outboxDb.findById(res.body.data.eventId);
+    assert.strictEqual(entry.status, "pending");
+    assert.strictEqual(entry.payload.type, "list.checkout.completed");
+    assert.strictEqual(entry.payload.data.listId, list.id);
+    assert.deepStrictEqual(entry.payload.data.summary, { totalItems: 2, purchasedItems: 0, estimatedTotal: 10 });
+  });
+
+  it("responde 422 sem concluir a lista quando ela não gera um evento válido", async () => {
+    // Lista antiga: item sem quantidade e total gravado como texto
+    const list = await legacyLists.create({
+      userId: USER.id,
+      name: "Lista antiga",
+      status: "active",
+      items: [{ itemId: "item-1", itemName: "Arroz" }],
+      summary: { totalItems: 1, purchasedItems: 0, estimatedTotal: "10.50" },
+    });
+    const outboxBefore = await service.outboxDb.count();
+
+    const res = response();
+    await service.checkoutList(request(list.id), res);
+
+    assert.strictEqual(res.statusCode, 422);
+    assert.strictEqual(res.body.success, false);
+    assert.deepStrictEqual(
+      res.body.errors.map((error) => error.field).sort(),
+      ["data.items.0.quantity", "data.summary.estimatedTotal"]
+    );
+    assert.strictEqual((await service.listsDb.findById(list.id)).status, "active");
+    assert.strictEqual(await service.outboxDb.count(), outboxBefore);
+  });
+
+  it("responde 404 para lista de outro usuário e 400 para lista já concluída", async () => {
+    const other = await service.listsDb.create({ userId: "user-2", name: "De outro" });
+    const done = await service.listsDb.create({ userId: USER.id, name: "Concluída", status: "completed" });
+
+    const notFound = response();
+    await service.checkoutList(request(other.id), notFound);
+    assert.strictEqual(notFound.statusCode, 404);
+
+    const alreadyDone = response();
+    await service.checkoutList(request(done.id), alreadyDone);
+    assert.strictEqual(alreadyDone.statusCode, 400);
+  });
+});
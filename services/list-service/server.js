@@ -7,9 +7,77 @@ const path = require("path");
 const axios = require("axios");
 
 const JsonDatabase = require("../../shared/JsonDatabase");
+const MigrationRunner = require("../../shared/MigrationRunner");
+const { storageFromEnv } = require("../../shared/storage");
+const KeyRing = require("../../shared/KeyRing");
 const serviceRegistry = require("../../shared/serviceRegistry");
 // 1. IMPORTAÇÃO DO SERVIÇO DE MENSAGERIA (RabbitMQ)
 const rabbitMQ = require("../../shared/RabbitMQService");
+const OutboxRelay = require("../../shared/OutboxRelay");
+const events = require("../../shared/events");
+const {
+  InvalidCursorError,
+  ValidationError,
+  VersionConflictError,
+} = require("../../shared/DatabaseErrors");
+const {
+  toETag,
+  parseIfMatch,
+  sendPreconditionFailed,
+} = require("../../shared/etag");
+
+// Tentativas de um read-modify-write sem If-Match antes de desistir
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Eventos já entregues ficam no outbox por 7 dias, para diagnóstico
+const OUTBOX_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// Limite de entradas por requisição de POST /lists/:id/items/bulk
+const MAX_BULK_ITEMS = 200;
+
+// Schema das listas: aplicado pelo banco em toda criação e atualização
+const LIST_SCHEMA = {
+  type: "object",
+  required: ["userId", "name"],
+  additionalProperties: false,
+  properties: {
+    userId: { type: "string", minLength: 1 },
+    name: { type: "string", minLength: 1, maxLength: 200 },
+    description: { type: "string", maxLength: 1000, default: "" },
+    status: {
+      type: "string",
+      enum: ["active", "completed", "archived"],
+      default: "active",
+    },
+    items: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        required: ["itemId", "quantity"],
+        properties: {
+          itemId: { type: "string", minLength: 1 },
+          itemName: { type: "string" },
+          quantity: { type: "integer", minimum: 1 },
+          unit: { type: "string" },
+          estimatedPrice: { type: "number", minimum: 0, default: 0 },
+          purchased: { type: "boolean", default: false },
+          notes: { type: "string", default: "" },
+          addedAt: { type: "string", format: "date-time" },
+        },
+      },
+    },
+    summary: {
+      type: "object",
+      properties: {
+        totalItems: { type: "number", minimum: 0 },
+        purchasedItems: { type: "number", minimum: 0 },
+        estimatedTotal: { type: "number", minimum: 0 },
+      },
+    },
+    completedAt: { type: "string", format: "date-time" },
+  },
+};
 
 class ListService {
   constructor() {
@@ -27,7 +95,31 @@ class ListService {
   }
 
   setupDatabase() {
-    this.listsDb = new JsonDatabase(path.join(__dirname, "database"), "lists");
+    const dbPath = path.join(__dirname, "database");
+    const storage = storageFromEnv("list-service");
+    const encryption = KeyRing.fromEnv("list-service");
+    this.listsDb = new JsonDatabase(dbPath, "lists", {
+      storage,
+      encryption,
+      indexes: [{ fields: ["userId"] }],
+      // Listas mudam a cada item adicionado: só acrescenta ao journal
+      persistence: "journal",
+      schema: LIST_SCHEMA,
+    });
+    // Eventos a publicar, gravados na mesma transação da mudança da lista
+    this.outboxDb = new JsonDatabase(dbPath, "outbox", {
+      storage,
+      encryption,
+      indexes: [{ fields: ["status"] }],
+      persistence: "journal",
+      ttl: { field: "deliveredAt", seconds: OUTBOX_RETENTION_SECONDS },
+    });
+    this.outboxRelay = new OutboxRelay(this.outboxDb, rabbitMQ);
+    this.migrations = new MigrationRunner(dbPath, path.join(__dirname, "migrations"), {
+      collections: { lists: this.listsDb },
+      storage,
+      encryption,
+    });
   }
 
   setupMiddleware() {
@@ -64,19 +156,37 @@ class ListService {
   }
 
   setupRoutes() {
-    this.app.get("/health", (req, res) =>
-      res.json({ status: "healthy", service: this.serviceName })
-    );
+    this.app.get("/health", async (req, res) => {
+      try {
+        // Sem broker o serviço segue atendendo: os eventos esperam no outbox
+        const messaging = rabbitMQ.getStatus();
+        res.json({
+          status: messaging.state === "connected" ? "healthy" : "degraded",
+          service: this.serviceName,
+          database: { stats: this.listsDb.getStats() },
+          outbox: await this.outboxRelay.getBacklog(),
+          messaging,
+        });
+      } catch (error) {
+        res.status(503).json({
+          status: "unhealthy",
+          service: this.serviceName,
+          error: error.message,
+        });
+      }
+    });
 
     this.app.use("/lists", this.authMiddleware.bind(this));
 
     this.app.post("/lists", this.createList.bind(this));
     this.app.get("/lists", this.getLists.bind(this));
+    this.app.get("/lists/stats", this.getListStats.bind(this));
     this.app.get("/lists/:id", this.getList.bind(this));
     this.app.put("/lists/:id", this.updateList.bind(this));
     this.app.delete("/lists/:id", this.deleteList.bind(this));
 
     this.app.post("/lists/:id/items", this.addItemToList.bind(this));
+    this.app.post("/lists/:id/items/bulk", this.addItemsToList.bind(this));
     this.app.put("/lists/:id/items/:itemId", this.updateItemInList.bind(this));
     this.app.delete(
       "/lists/:id/items/:itemId",
@@ -91,42 +201,88 @@ class ListService {
   // --- 4. IMPLEMENTAÇÃO DO CHECKOUT ASSÍNCRONO (PRODUCER) ---
   async checkoutList(req, res) {
     const { id } = req.params;
-    const list = await this.listsDb.findById(id);
-
-    if (!list || list.userId !== req.user.id) {
-      return res.status(404).json({ message: "List not found" });
-    }
 
-    if (list.status === "completed") {
-      return res.status(400).json({ message: "List already checked out" });
-    }
+    try {
+      const list = await this.listsDb.findById(id);
 
-    // Passo A: Atualiza status no banco local para 'completed'
-    await this.listsDb.update(id, {
-      status: "completed",
-      completedAt: new Date().toISOString(),
-    });
+      if (!list || list.userId !== req.user.id) {
+        return res.status(404).json({ message: "List not found" });
+      }
 
-    // Passo B: Cria o payload da mensagem (evento)
-    const eventPayload = {
-      listId: list.id,
-      userId: req.user.id,
-      userEmail: req.user.email,
-      items: list.items,
-      summary: list.summary,
-      timestamp: new Date().toISOString(),
-    };
+      if (list.status === "completed") {
+        return res.status(400).json({ message: "List already checked out" });
+      }
 
-    // Passo C: Publica no RabbitMQ (Fire and Forget)
-    // Usa o tópico 'list.checkout.completed' para que os consumers certos peguem
-    await rabbitMQ.publish("list.checkout.completed", eventPayload);
+      // Passo A: Cria o evento no envelope padrão (shared/events), na versão
+      // mais recente do schema de 'list.checkout.completed'. Uma lista antiga
+      // fora do schema do evento lança EventValidationError (422 abaixo).
+      const completedAt = new Date().toISOString();
+      const event = events.create(
+        "list.checkout.completed",
+        {
+          listId: list.id,
+          listName: list.name,
+          userId: req.user.id,
+          userEmail: req.user.email || null,
+          items: list.items.map((item) => ({
+            itemId: item.itemId,
+            itemName: item.itemName,
+            quantity: item.quantity,
+            unit: item.unit,
+            estimatedPrice: item.estimatedPrice,
+            purchased: item.purchased,
+          })),
+          summary: {
+            totalItems: 0,
+            purchasedItems: 0,
+            estimatedTotal: 0,
+            ...list.summary,
+          },
+          completedAt,
+        },
+        {
+          producer: this.serviceName,
+          correlationId: req.get("X-Correlation-ID") || undefined,
+        }
+      );
+      // Usa o tópico 'list.checkout.completed' para que os consumers certos peguem
+      const outboxEntry = OutboxRelay.entry(event.type, event, list.id);
+
+      // Passo B: Marca a lista como 'completed' e grava o evento no outbox na
+      // mesma transação: ou as duas coisas acontecem, ou nenhuma. A versão
+      // lida garante que dois checkouts simultâneos não gerem dois eventos.
+      await this.listsDb.transaction(async (tx) => {
+        await tx.update(
+          id,
+          { status: "completed", completedAt },
+          { expectedVersion: list.version || 0 }
+        );
+        await tx.collection(this.outboxDb).create(outboxEntry);
+      });
 
-    // Passo D: Responde rápido com 202 Accepted
-    res.status(202).json({
-      success: true,
-      message: "Checkout in process. Notification will be sent shortly.",
-      data: { listId: id, status: "processing" },
-    });
+      // Passo C: Responde rápido com 202 Accepted. O relay do outbox publica
+      // no RabbitMQ e tenta de novo até o broker confirmar.
+      res.status(202).json({
+        success: true,
+        message: "Checkout in process. Notification will be sent shortly.",
+        data: { listId: id, status: "processing", eventId: outboxEntry.id },
+      });
+    } catch (error) {
+      if (error instanceof events.EventValidationError) {
+        console.error(`Checkout da lista ${id} gerou um evento inválido:`, error.message);
+        return res.status(422).json({
+          success: false,
+          message: "List data is not valid for checkout",
+          errors: error.errors,
+        });
+      }
+      if (error instanceof VersionConflictError) {
+        return res
+          .status(409)
+          .json({ message: "List changed during checkout, try again" });
+      }
+      return this.handleDatabaseError(res, error);
+    }
   }
 
   // --- MÉTODOS CRUD EXISTENTES ---
@@ -135,41 +291,84 @@ class ListService {
     const { name, description } = req.body;
     if (!name) return res.status(400).json({ message: "Name required" });
 
-    const newList = await this.listsDb.create({
-      userId: req.user.id,
-      name,
-      description: description || "",
-      status: "active",
-      items: [],
-      summary: { totalItems: 0, purchasedItems: 0, estimatedTotal: 0 },
-      createdAt: new Date().toISOString(),
-    });
-    res.status(201).json({ success: true, data: newList });
+    try {
+      const newList = await this.listsDb.create({
+        userId: req.user.id,
+        name,
+        description: description || "",
+        status: "active",
+        items: [],
+        summary: { totalItems: 0, purchasedItems: 0, estimatedTotal: 0 },
+        createdAt: new Date().toISOString(),
+      });
+      res.status(201).json({ success: true, data: newList });
+    } catch (error) {
+      this.handleDatabaseError(res, error);
+    }
   }
 
+  // Sem `limit` nem `cursor` devolve todas as listas do usuário
   async getLists(req, res) {
-    const lists = await this.listsDb.find({ userId: req.user.id });
-    res.json({ success: true, data: lists });
+    const { page = 1, limit, cursor } = req.query;
+    const pageSize = limit ? parseInt(limit) : undefined;
+    const filter = { userId: req.user.id };
+
+    try {
+      const { documents: lists, nextCursor } = await this.listsDb.findPage(
+        filter,
+        {
+          skip: pageSize ? (page - 1) * pageSize : 0,
+          limit: pageSize,
+          sort: { createdAt: 1 },
+          cursor,
+        }
+      );
+
+      if (!pageSize && !cursor) {
+        return res.json({ success: true, data: lists });
+      }
+
+      const total = await this.listsDb.count(filter);
+      res.json({
+        success: true,
+        data: lists,
+        pagination: cursor
+          ? { cursor, limit: pageSize, total, nextCursor }
+          : {
+              page: parseInt(page),
+              limit: pageSize,
+              total,
+              pages: Math.ceil(total / pageSize),
+              nextCursor,
+            },
+      });
+    } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+      this.handleDatabaseError(res, error);
+    }
   }
 
   async getList(req, res) {
     const list = await this.listsDb.findById(req.params.id);
     if (!list || list.userId !== req.user.id)
       return res.status(404).json({ message: "List not found" });
+    res.set("ETag", toETag(list));
     res.json({ success: true, data: list });
   }
 
   async updateList(req, res) {
-    const { id } = req.params;
-    const list = await this.listsDb.findById(id);
-    if (!list || list.userId !== req.user.id)
-      return res.status(404).json({ message: "Not found" });
-    const updated = await this.listsDb.update(id, {
-      name: req.body.name || list.name,
-      description: req.body.description || list.description,
-      status: req.body.status || list.status,
-    });
-    res.json({ success: true, data: updated });
+    await this.modifyList(
+      req,
+      res,
+      (list) => ({
+        name: req.body.name || list.name,
+        description: req.body.description || list.description,
+        status: req.body.status || list.status,
+      }),
+      "Not found"
+    );
   }
 
   async deleteList(req, res) {
@@ -177,85 +376,277 @@ class ListService {
     const list = await this.listsDb.findById(id);
     if (!list || list.userId !== req.user.id)
       return res.status(404).json({ message: "Not found" });
-    await this.listsDb.delete(id);
+
+    try {
+      await this.listsDb.delete(id, { expectedVersion: parseIfMatch(req) });
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendPreconditionFailed(res, error.currentVersion);
+      }
+      return this.handleDatabaseError(res, error);
+    }
     res.json({ success: true, message: "Deleted" });
   }
 
   async addItemToList(req, res) {
-    const { id } = req.params;
     const { itemId, quantity, notes } = req.body;
-    const list = await this.listsDb.findById(id);
-    if (!list || list.userId !== req.user.id)
-      return res.status(404).json({ message: "List not found" });
+    let itemData = null;
 
     try {
-      const itemService = serviceRegistry.discover("item-service");
-      const itemRes = await axios.get(`${itemService.url}/items/${itemId}`);
-      const itemData = itemRes.data.data;
-
-      if (!itemData)
-        return res.status(404).json({ message: "Item product not found" });
-
-      const newItem = {
-        itemId: itemData.id,
-        itemName: itemData.name,
-        quantity: parseInt(quantity) || 1,
-        unit: itemData.unit,
-        estimatedPrice: itemData.averagePrice,
-        purchased: false,
-        notes: notes || "",
-        addedAt: new Date().toISOString(),
-      };
-
-      list.items.push(newItem);
-      this.recalculateSummary(list);
-
-      const updatedList = await this.listsDb.update(id, {
-        items: list.items,
-        summary: list.summary,
+      await this.modifyList(req, res, async (list) => {
+        // Busca o produto uma vez só, mesmo que a atualização seja refeita
+        if (!itemData) {
+          const itemService = serviceRegistry.discover("item-service");
+          const itemRes = await axios.get(`${itemService.url}/items/${itemId}`);
+          itemData = itemRes.data.data;
+        }
+
+        if (!itemData) {
+          res.status(404).json({ message: "Item product not found" });
+          return null;
+        }
+
+        list.items.push({
+          itemId: itemData.id,
+          itemName: itemData.name,
+          quantity: parseInt(quantity) || 1,
+          unit: itemData.unit,
+          estimatedPrice: itemData.averagePrice,
+          purchased: false,
+          notes: notes || "",
+          addedAt: new Date().toISOString(),
+        });
+        this.recalculateSummary(list);
+        return { items: list.items, summary: list.summary };
       });
-      res.json({ success: true, data: updatedList });
     } catch (error) {
       console.error("Erro ao adicionar item:", error.message);
       res.status(400).json({ message: "Error adding item." });
     }
   }
 
+  // Adiciona ou atualiza vários itens da lista numa única gravação. Body:
+  // { items: [{ itemId, quantity, notes }] }. Itens que já estão na lista
+  // têm quantidade e observações atualizadas. Se qualquer entrada falhar,
+  // nada é gravado; em ambos os casos a resposta traz o resultado de cada
+  // entrada em `results`.
+  async addItemsToList(req, res) {
+    const entries = req.body.items;
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "items must be a non-empty array" });
+    }
+    if (entries.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_BULK_ITEMS} items per request`,
+      });
+    }
+
+    const products = new Map(); // itemId -> produto, ou null se não existe
+    let results = [];
+
+    try {
+      await this.modifyList(
+        req,
+        res,
+        async (list) => {
+          // Produtos buscados uma vez só, mesmo que a atualização seja refeita
+          await this.fetchProducts(entries, products);
+
+          results = entries.map((entry, index) =>
+            this.applyBulkEntry(list, entry, index, products)
+          );
+
+          if (results.some((result) => !result.success)) {
+            res.status(400).json({
+              success: false,
+              message: "No items were applied",
+              results,
+            });
+            return null;
+          }
+
+          this.recalculateSummary(list);
+          return { items: list.items, summary: list.summary };
+        },
+        "List not found",
+        () => ({ results })
+      );
+    } catch (error) {
+      console.error("Erro ao adicionar itens em lote:", error.message);
+      res.status(400).json({ success: false, message: "Error adding items." });
+    }
+  }
+
+  // Busca no Item Service os produtos das entradas que ainda não estão em
+  // `products`. Produto inexistente fica como null; outras falhas propagam.
+  async fetchProducts(entries, products) {
+    const itemService = serviceRegistry.discover("item-service");
+    const pending = [
+      ...new Set(
+        entries
+          .map((entry) => entry && entry.itemId)
+          .filter((itemId) => typeof itemId === "string" && itemId)
+      ),
+    ].filter((itemId) => !products.has(itemId));
+
+    for (const itemId of pending) {
+      try {
+        const itemRes = await axios.get(
+          `${itemService.url}/items/${encodeURIComponent(itemId)}`
+        );
+        products.set(itemId, itemRes.data.data || null);
+      } catch (error) {
+        if (!error.response || error.response.status !== 404) throw error;
+        products.set(itemId, null);
+      }
+    }
+  }
+
+  // Aplica uma entrada do lote à lista (em memória) e devolve seu resultado
+  applyBulkEntry(list, entry, index, products) {
+    const { itemId, quantity, notes } = entry || {};
+
+    if (typeof itemId !== "string" || !itemId) {
+      return { index, success: false, message: "itemId is required" };
+    }
+    const product = products.get(itemId);
+    if (!product) {
+      return {
+        index,
+        itemId,
+        success: false,
+        message: "Item product not found",
+      };
+    }
+
+    const parsedQuantity =
+      quantity === undefined ? undefined : parseInt(quantity);
+    if (
+      parsedQuantity !== undefined &&
+      !(Number.isInteger(parsedQuantity) && parsedQuantity >= 1)
+    ) {
+      return {
+        index,
+        itemId,
+        success: false,
+        message: "quantity must be a positive integer",
+      };
+    }
+
+    const existing = list.items.find((i) => i.itemId === product.id);
+    if (existing) {
+      if (parsedQuantity !== undefined) existing.quantity = parsedQuantity;
+      if (notes !== undefined) existing.notes = String(notes);
+      return {
+        index,
+        itemId,
+        success: true,
+        action: "updated",
+        quantity: existing.quantity,
+      };
+    }
+
+    list.items.push({
+      itemId: product.id,
+      itemName: product.name,
+      quantity: parsedQuantity || 1,
+      unit: product.unit,
+      estimatedPrice: product.averagePrice,
+      purchased: false,
+      notes: notes !== undefined ? String(notes) : "",
+      addedAt: new Date().toISOString(),
+    });
+    return {
+      index,
+      itemId,
+      success: true,
+      action: "added",
+      quantity: parsedQuantity || 1,
+    };
+  }
+
   async updateItemInList(req, res) {
-    const { id, itemId } = req.params;
+    const { itemId } = req.params;
     const { quantity, purchased, notes } = req.body;
-    const list = await this.listsDb.findById(id);
-    if (!list || list.userId !== req.user.id)
-      return res.status(404).json({ message: "List not found" });
 
-    const itemIndex = list.items.findIndex((i) => i.itemId === itemId);
-    if (itemIndex === -1)
-      return res.status(404).json({ message: "Item not in list" });
+    await this.modifyList(req, res, (list) => {
+      const itemIndex = list.items.findIndex((i) => i.itemId === itemId);
+      if (itemIndex === -1) {
+        res.status(404).json({ message: "Item not in list" });
+        return null;
+      }
 
-    if (quantity) list.items[itemIndex].quantity = parseInt(quantity);
-    if (purchased !== undefined) list.items[itemIndex].purchased = purchased;
-    if (notes) list.items[itemIndex].notes = notes;
+      if (quantity) list.items[itemIndex].quantity = parseInt(quantity);
+      if (purchased !== undefined) list.items[itemIndex].purchased = purchased;
+      if (notes) list.items[itemIndex].notes = notes;
 
-    this.recalculateSummary(list);
-    const updated = await this.listsDb.update(id, {
-      items: list.items,
-      summary: list.summary,
+      this.recalculateSummary(list);
+      return { items: list.items, summary: list.summary };
     });
-    res.json({ success: true, data: updated });
   }
 
   async removeItemFromList(req, res) {
-    const { id, itemId } = req.params;
-    const list = await this.listsDb.findById(id);
-    if (!list || list.userId !== req.user.id)
-      return res.status(404).json({ message: "List not found" });
-    list.items = list.items.filter((i) => i.itemId !== itemId);
-    this.recalculateSummary(list);
-    const updated = await this.listsDb.update(id, {
-      items: list.items,
-      summary: list.summary,
+    const { itemId } = req.params;
+
+    await this.modifyList(req, res, (list) => {
+      list.items = list.items.filter((i) => i.itemId !== itemId);
+      this.recalculateSummary(list);
+      return { items: list.items, summary: list.summary };
     });
-    res.json({ success: true, data: updated });
+  }
+
+  // Read-modify-write de uma lista com controle otimista de versão. Com
+  // If-Match, a versão atual precisa estar entre as enviadas pelo cliente
+  // (412 caso contrário). Sem ele, um conflito com outra escrita simultânea refaz a
+  // operação sobre a versão mais nova em vez de sobrescrevê-la.
+  // `mutate(list)` retorna as atualizações, ou null se já respondeu.
+  // `extraResponse()` acrescenta campos à resposta de sucesso.
+  async modifyList(
+    req,
+    res,
+    mutate,
+    notFoundMessage = "List not found",
+    extraResponse = () => ({})
+  ) {
+    const ifMatch = parseIfMatch(req);
+    const clientVersions = ifMatch === null ? undefined : ifMatch;
+
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const list = await this.listsDb.findById(req.params.id);
+      if (!list || list.userId !== req.user.id)
+        return res.status(404).json({ message: notFoundMessage });
+
+      const currentVersion = list.version || 0;
+      if (clientVersions !== undefined && !clientVersions.includes(currentVersion)) {
+        return sendPreconditionFailed(res, currentVersion);
+      }
+
+      const updates = await mutate(list);
+      if (!updates) return;
+
+      try {
+        const updated = await this.listsDb.update(list.id, updates, {
+          expectedVersion: currentVersion,
+        });
+        res.set("ETag", toETag(updated));
+        return res.json({ success: true, data: updated, ...extraResponse() });
+      } catch (error) {
+        if (error instanceof VersionConflictError) {
+          if (clientVersions !== undefined) {
+            return sendPreconditionFailed(res, error.currentVersion);
+          }
+          continue;
+        }
+        return this.handleDatabaseError(res, error);
+      }
+    }
+
+    res
+      .status(409)
+      .json({ message: "List is being modified concurrently, try again" });
   }
 
   async getListSummary(req, res) {
@@ -265,6 +656,91 @@ class ListService {
     res.json({ success: true, data: list.summary });
   }
 
+  // Gastos do usuário por status das listas e itens mais comprados
+  async getListStats(req, res) {
+    try {
+      const [byStatus, topItems] = await Promise.all([
+        this.listsDb.aggregate([
+          { $match: { userId: req.user.id } },
+          {
+            $group: {
+              _id: "$status",
+              lists: { $count: {} },
+              totalItems: { $sum: "$summary.totalItems" },
+              estimatedTotal: { $sum: "$summary.estimatedTotal" },
+              averageTotal: { $avg: "$summary.estimatedTotal" },
+            },
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              status: "$_id",
+              lists: 1,
+              totalItems: 1,
+              estimatedTotal: 1,
+              averageTotal: 1,
+            },
+          },
+        ]),
+        this.listsDb.aggregate([
+          { $match: { userId: req.user.id } },
+          { $unwind: "$items" },
+          {
+            $group: {
+              _id: "$items.itemId",
+              itemName: { $max: "$items.itemName" },
+              quantity: { $sum: "$items.quantity" },
+              estimatedSpent: {
+                $sum: {
+                  $multiply: ["$items.quantity", "$items.estimatedPrice"],
+                },
+              },
+            },
+          },
+          { $sort: { quantity: -1 } },
+          { $limit: 5 },
+          {
+            $project: {
+              _id: 0,
+              itemId: "$_id",
+              itemName: 1,
+              quantity: 1,
+              estimatedSpent: 1,
+            },
+          },
+        ]),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          byStatus,
+          estimatedTotal: byStatus.reduce(
+            (sum, group) => sum + group.estimatedTotal,
+            0
+          ),
+          topItems,
+        },
+      });
+    } catch (error) {
+      this.handleDatabaseError(res, error);
+    }
+  }
+
+  // Erros do banco viram 400 com mensagens por campo (schema) ou 500
+  handleDatabaseError(res, error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid data",
+        errors: error.errors,
+      });
+    }
+    console.error("Erro no banco de listas:", error.message);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+
   recalculateSummary(list) {
     let totalItems = 0;
     let purchasedItems = 0;
@@ -277,13 +753,27 @@ class ListService {
     list.summary = { totalItems, purchasedItems, estimatedTotal };
   }
 
-  start() {
+  async start() {
+    // Dados precisam estar na versão atual antes de atender requisições
+    try {
+      await this.migrations.migrate();
+    } catch (error) {
+      console.error("Erro ao aplicar migrações:", error);
+      process.exit(1);
+    }
+    this.outboxRelay.start();
+
     this.app.listen(this.port, () => {
       console.log(`List Service running on port ${this.port}`);
       serviceRegistry.register(this.serviceName, {
         url: this.serviceUrl,
         version: "1.0.0",
-        endpoints: ["/health", "/lists", "/lists/:id/checkout"],
+        endpoints: [
+          "/health",
+          "/lists",
+          "/lists/:id/items/bulk",
+          "/lists/:id/checkout",
+        ],
       });
       setInterval(
         () => serviceRegistry.updateHealth(this.serviceName, true),
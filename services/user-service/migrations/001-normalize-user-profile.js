@@ -0,0 +1,33 @@
+// Usuários criados pelo seed (o admin) não tinham profile nem metadata, ao
+// contrário dos registrados por /auth/register. Completa os campos ausentes
+// com os mesmos valores iniciais do registro.
+module.exports = {
+    collection: 'users',
+    description: 'Completar profile e metadata dos usuários sem esses campos',
+
+    up(user) {
+        const profile = user.profile || {};
+        const preferences = profile.preferences || {};
+        const metadata = user.metadata || {};
+
+        return {
+            ...user,
+            profile: {
+                bio: null,
+                avatar: null,
+                ...profile,
+                preferences: {
+                    theme: 'light',
+                    language: 'pt-BR',
+                    ...preferences
+                }
+            },
+            metadata: {
+                registrationDate: user.createdAt,
+                lastLogin: null,
+                loginCount: 0,
+                ...metadata
+            }
+        };
+    }
+};
@@ -0,0 +1,38 @@
+// Antes de o update interpretar caminhos com ponto, o login gravava chaves
+// literais como "metadata.lastLogin" na raiz do documento. Move esses valores
+// para o objeto aninhado. Como as escritas aninhadas são sempre as mais
+// recentes, o valor aninhado só é substituído quando está vazio, quando o
+// plano é um número maior ou uma data posterior.
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+function mergeValue(nested, flat) {
+    if (nested === undefined || nested === null) return flat;
+    if (typeof nested === 'number' && typeof flat === 'number') return Math.max(nested, flat);
+    if (ISO_DATE.test(nested) && ISO_DATE.test(flat)) {
+        return Date.parse(flat) > Date.parse(nested) ? flat : nested;
+    }
+    return nested;
+}
+
+module.exports = {
+    collection: 'users',
+    description: 'Converter chaves com ponto na raiz em campos aninhados',
+
+    up(user) {
+        for (const key of Object.keys(user)) {
+            if (!key.includes('.')) continue;
+
+            const parts = key.split('.');
+            const field = parts.pop();
+            let target = user;
+            for (const part of parts) {
+                if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+                target = target[part];
+            }
+
+            target[field] = mergeValue(target[field], user[key]);
+            delete user[key];
+        }
+        return user;
+    }
+};
@@ -9,8 +9,62 @@ const path = require('path');
 
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
+const MigrationRunner = require('../../shared/MigrationRunner');
+const { storageFromEnv } = require('../../shared/storage');
+const KeyRing = require('../../shared/KeyRing');
+const {
+    DuplicateKeyError,
+    InvalidCursorError,
+    ValidationError,
+    VersionConflictError
+} = require('../../shared/DatabaseErrors');
+const { toETag, parseIfMatch, sendPreconditionFailed } = require('../../shared/etag');
 const serviceRegistry = require('../../shared/serviceRegistry');
 
+// Formato exigido do username. É verificado só no cadastro (o username não
+// muda depois), e não no schema: usuários gravados antes da regra continuam
+// podendo fazer login e atualizar o perfil.
+const USERNAME_PATTERN = '^[a-z0-9._-]{3,30}$';
+
+// Schema dos usuários: aplicado pelo banco em toda criação e atualização.
+// Campos extras são aceitos (schema NoSQL flexível), mas os conhecidos são
+// validados.
+const USER_SCHEMA = {
+    type: 'object',
+    required: ['email', 'username', 'password', 'firstName', 'lastName'],
+    properties: {
+        email: { type: 'string', format: 'email', maxLength: 254 },
+        username: { type: 'string', minLength: 1 },
+        password: { type: 'string', minLength: 1 },
+        firstName: { type: 'string', minLength: 1, maxLength: 100 },
+        lastName: { type: 'string', minLength: 1, maxLength: 100 },
+        role: { type: 'string', enum: ['user', 'admin'], default: 'user' },
+        status: { type: 'string', enum: ['active', 'inactive'], default: 'active' },
+        profile: {
+            type: 'object',
+            properties: {
+                bio: { type: ['string', 'null'], maxLength: 500 },
+                avatar: { type: ['string', 'null'] },
+                preferences: {
+                    type: 'object',
+                    properties: {
+                        theme: { type: 'string', enum: ['light', 'dark'] },
+                        language: { type: 'string', pattern: '^[a-z]{2}(-[A-Z]{2})?$' }
+                    }
+                }
+            }
+        },
+        metadata: {
+            type: 'object',
+            properties: {
+                registrationDate: { type: 'string', format: 'date-time' },
+                lastLogin: { type: ['string', 'null'], format: 'date-time' },
+                loginCount: { type: 'integer', minimum: 0 }
+            }
+        }
+    }
+};
+
 class UserService {
     constructor() {
         this.app = express();
@@ -22,12 +76,30 @@ class UserService {
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
-        this.seedInitialData();
     }
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.usersDb = new JsonDatabase(dbPath, 'users');
+        const storage = storageFromEnv('user-service');
+        const encryption = KeyRing.fromEnv('user-service');
+        this.usersDb = new JsonDatabase(dbPath, 'users', {
+            storage,
+            encryption,
+            // Com chave configurada, o hash da senha fica cifrado até no
+            // documento devolvido pelo banco: só o login o decifra
+            encryptedFields: ['password'],
+            indexes: [
+                { fields: ['email'], unique: true },
+                { fields: ['username'], unique: true }
+            ],
+            textIndex: { username: 3, firstName: 2, lastName: 2, email: 1 },
+            schema: USER_SCHEMA
+        });
+        this.migrations = new MigrationRunner(dbPath, path.join(__dirname, 'migrations'), {
+            collections: { users: this.usersDb },
+            storage,
+            encryption
+        });
         console.log('User Service: Banco NoSQL inicializado');
     }
 
@@ -48,7 +120,20 @@ class UserService {
                         firstName: 'Administrador',
                         lastName: 'Sistema',
                         role: 'admin',
-                        status: 'active'
+                        status: 'active',
+                        profile: {
+                            bio: null,
+                            avatar: null,
+                            preferences: {
+                                theme: 'light',
+                                language: 'pt-BR'
+                            }
+                        },
+                        metadata: {
+                            registrationDate: new Date().toISOString(),
+                            lastLogin: null,
+                            loginCount: 0
+                        }
                     });
 
                     console.log('Usuário administrador criado (admin@microservices.com / admin123)');
@@ -88,7 +173,8 @@ class UserService {
                     version: '1.0.0',
                     database: {
                         type: 'JSON-NoSQL',
-                        userCount: userCount
+                        userCount: userCount,
+                        stats: this.usersDb.getStats()
                     }
                 });
             } catch (error) {
@@ -190,7 +276,16 @@ class UserService {
                 });
             }
 
-            // Verificar se usuário já existe
+            if (typeof username !== 'string' || !new RegExp(USERNAME_PATTERN).test(username.toLowerCase())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Dados inválidos',
+                    errors: [{ field: 'username', message: `Formato inválido (padrão ${USERNAME_PATTERN})` }]
+                });
+            }
+
+            // Verificar se usuário já existe (evita o custo do hash; a
+            // garantia contra registros simultâneos vem dos índices únicos)
             const existingEmail = await this.usersDb.findOne({ email: email.toLowerCase() });
             const existingUsername = await this.usersDb.findOne({ username: username.toLowerCase() });
 
@@ -255,6 +350,12 @@ class UserService {
                 data: { user: userWithoutPassword, token }
             });
         } catch (error) {
+            if (error instanceof DuplicateKeyError) {
+                return this.sendDuplicateKeyError(res, error);
+            }
+            if (error instanceof ValidationError) {
+                return this.sendValidationError(res, error);
+            }
             console.error('Erro no registro:', error);
             res.status(500).json({
                 success: false,
@@ -282,7 +383,7 @@ class UserService {
                 ]
             });
 
-            if (!user || !await bcrypt.compare(password, user.password)) {
+            if (!user || !await bcrypt.compare(password, this.usersDb.decryptField(user.password))) {
                 return res.status(401).json({
                     success: false,
                     message: 'Credenciais inválidas'
@@ -299,8 +400,8 @@ class UserService {
 
             // Atualizar dados de login (demonstrando flexibilidade NoSQL)
             await this.usersDb.update(user.id, {
-                'metadata.lastLogin': new Date().toISOString(),
-                'metadata.loginCount': (user.metadata?.loginCount || 0) + 1
+                $set: { 'metadata.lastLogin': new Date().toISOString() },
+                $inc: { 'metadata.loginCount': 1 }
             });
 
             const { password: _, ...userWithoutPassword } = user;
@@ -367,10 +468,10 @@ class UserService {
         }
     }
 
-    // Get users (com paginação)
+    // Get users (com paginação por página ou por cursor: ?cursor=<nextCursor>)
     async getUsers(req, res) {
         try {
-            const { page = 1, limit = 10, role, status } = req.query;
+            const { page = 1, limit = 10, role, status, cursor } = req.query;
             const skip = (page - 1) * parseInt(limit);
 
             // Filtros NoSQL flexíveis
@@ -378,16 +479,12 @@ class UserService {
             if (role) filter.role = role;
             if (status) filter.status = status;
 
-            const users = await this.usersDb.find(filter, {
+            const { documents: safeUsers, nextCursor } = await this.usersDb.findPage(filter, {
                 skip: skip,
                 limit: parseInt(limit),
-                sort: { createdAt: -1 }
-            });
-
-            // Remove passwords
-            const safeUsers = users.map(user => {
-                const { password, ...safeUser } = user;
-                return safeUser;
+                sort: { createdAt: -1 },
+                cursor,
+                projection: { password: 0 }
             });
 
             const total = await this.usersDb.count(filter);
@@ -395,14 +492,23 @@ class UserService {
             res.json({
                 success: true,
                 data: safeUsers,
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total: total,
-                    pages: Math.ceil(total / parseInt(limit))
-                }
+                pagination: cursor
+                    ? { cursor, limit: parseInt(limit), total: total, nextCursor }
+                    : {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total: total,
+                        pages: Math.ceil(total / parseInt(limit)),
+                        nextCursor
+                    }
             });
         } catch (error) {
+            if (error instanceof InvalidCursorError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cursor de paginação inválido'
+                });
+            }
             console.error('Erro ao buscar usuários:', error);
             res.status(500).json({
                 success: false,
@@ -434,6 +540,7 @@ class UserService {
 
             const { password, ...userWithoutPassword } = user;
 
+            res.set('ETag', toETag(user));
             res.json({
                 success: true,
                 data: userWithoutPassword
@@ -480,15 +587,27 @@ class UserService {
             if (theme) updates['profile.preferences.theme'] = theme;
             if (language) updates['profile.preferences.language'] = language;
 
-            const updatedUser = await this.usersDb.update(id, updates);
+            const updatedUser = await this.usersDb.update(id, updates, {
+                expectedVersion: parseIfMatch(req)
+            });
             const { password, ...userWithoutPassword } = updatedUser;
 
+            res.set('ETag', toETag(updatedUser));
             res.json({
                 success: true,
                 message: 'Usuário atualizado com sucesso',
                 data: userWithoutPassword
             });
         } catch (error) {
+            if (error instanceof VersionConflictError) {
+                return sendPreconditionFailed(res, error.currentVersion);
+            }
+            if (error instanceof DuplicateKeyError) {
+                return this.sendDuplicateKeyError(res, error);
+            }
+            if (error instanceof ValidationError) {
+                return this.sendValidationError(res, error);
+            }
             console.error('Erro ao atualizar usuário:', error);
             res.status(500).json({
                 success: false,
@@ -497,6 +616,22 @@ class UserService {
         }
     }
 
+    sendDuplicateKeyError(res, error) {
+        const field = error.fields[0] === 'email' ? 'Email' : 'Username';
+        res.status(409).json({
+            success: false,
+            message: `${field} já está em uso`
+        });
+    }
+
+    sendValidationError(res, error) {
+        res.status(400).json({
+            success: false,
+            message: 'Dados inválidos',
+            errors: error.errors
+        });
+    }
+
     // Search users (demonstrando busca NoSQL)
     async searchUsers(req, res) {
         try {
@@ -509,17 +644,13 @@ class UserService {
                 });
             }
 
-            // Busca full-text NoSQL
-            const users = await this.usersDb.search(q, ['firstName', 'lastName', 'username', 'email']);
-            
-            // Filtrar apenas usuários ativos e remover passwords
-            const safeUsers = users
-                .filter(user => user.status === 'active')
-                .slice(0, parseInt(limit))
-                .map(user => {
-                    const { password, ...safeUser } = user;
-                    return safeUser;
-                });
+            // Busca full-text NoSQL, só entre usuários ativos e do mais
+            // relevante para o menos (pontuação em `_score`)
+            const safeUsers = await this.usersDb.search(q, [], {
+                filter: { status: 'active' },
+                limit: parseInt(limit),
+                projection: { password: 0 }
+            });
 
             res.json({
                 success: true,
@@ -555,7 +686,16 @@ class UserService {
         }, 30000);
     }
 
-    start() {
+    async start() {
+        // Dados precisam estar na versão atual antes de atender requisições
+        try {
+            await this.migrations.migrate();
+        } catch (error) {
+            console.error('Erro ao aplicar migrações:', error);
+            process.exit(1);
+        }
+        this.seedInitialData();
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`User Service iniciado na porta ${this.port}`);
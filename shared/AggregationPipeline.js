@@ -0,0 +1,257 @@
+// shared/AggregationPipeline.js
+// Estágios de agregação no estilo do MongoDB, usados por
+// JsonDatabase.aggregate(pipeline):
+//
+//   $match   { campo: condição }          mesmos operadores do find()
+//   $group   { _id: expr, campo: { $sum | $avg | $min | $max | $push: expr,
+//                                  $count: {} } }
+//   $sort    { campo: 1 | -1 }
+//   $limit   n
+//   $skip    n
+//   $project { campo: 1 | 0 | expr }
+//   $unwind  '$campo' ou { path: '$campo', preserveNullAndEmptyArrays }
+//
+// Expressões: '$caminho.com.ponto' lê um campo, '$$ROOT' é o documento
+// inteiro, objetos com $add, $subtract, $multiply, $divide ou $ifNull são
+// calculados e qualquer outro valor é literal.
+
+const { InvalidQueryError } = require('./DatabaseErrors');
+
+const STAGES = ['$match', '$group', '$sort', '$limit', '$skip', '$project', '$unwind'];
+
+const ACCUMULATORS = ['$sum', '$avg', '$min', '$max', '$count', '$push'];
+
+// Operadores aritméticos devolvem null se algum operando não for número
+const arithmetic = fn => values =>
+    values.every(value => typeof value === 'number' && Number.isFinite(value)) ? fn(values) : null;
+
+const EXPRESSION_OPERATORS = {
+    $add: arithmetic(values => values.reduce((sum, value) => sum + value, 0)),
+    $subtract: arithmetic(([a, b]) => a - b),
+    $multiply: arithmetic(values => values.reduce((product, value) => product * value, 1)),
+    $divide: arithmetic(([a, b]) => (b === 0 ? null : a / b)),
+    $ifNull: values => values.find(value => value !== null && value !== undefined) ?? null
+};
+
+class AggregationPipeline {
+    // `db` fornece matchesFilter, sortDocuments e os utilitários de caminho
+    constructor(db, pipeline) {
+        if (!Array.isArray(pipeline)) {
+            throw new InvalidQueryError('Pipeline de agregação deve ser um array de estágios');
+        }
+
+        this.db = db;
+        this.stages = pipeline.map(stage => {
+            const keys = db.isPlainObject(stage) ? Object.keys(stage) : [];
+            if (keys.length !== 1) {
+                throw new InvalidQueryError('Cada estágio da agregação deve ter exatamente um operador');
+            }
+            if (!STAGES.includes(keys[0])) {
+                throw new InvalidQueryError(`Estágio de agregação desconhecido: ${keys[0]}`);
+            }
+            return { operator: keys[0], spec: stage[keys[0]] };
+        });
+    }
+
+    // Filtro do primeiro estágio, quando é um $match (pode usar índices)
+    getInitialFilter() {
+        const first = this.stages[0];
+        return first && first.operator === '$match' ? first.spec : {};
+    }
+
+    run(documents) {
+        return this.stages.reduce(
+            (current, { operator, spec }) => this[operator](current, spec),
+            documents
+        );
+    }
+
+    $match(documents, filter) {
+        if (!this.db.isPlainObject(filter)) {
+            throw new InvalidQueryError('$match exige um objeto de filtro');
+        }
+        return documents.filter(doc => this.db.matchesFilter(doc, filter));
+    }
+
+    $group(documents, spec) {
+        if (!this.db.isPlainObject(spec) || !('_id' in spec)) {
+            throw new InvalidQueryError('$group exige um objeto com _id');
+        }
+
+        const fields = Object.entries(spec).filter(([field]) => field !== '_id');
+        for (const [field, accumulator] of fields) {
+            const keys = this.db.isPlainObject(accumulator) ? Object.keys(accumulator) : [];
+            if (keys.length !== 1 || !ACCUMULATORS.includes(keys[0])) {
+                throw new InvalidQueryError(
+                    `Campo "${field}" do $group deve usar um de: ${ACCUMULATORS.join(', ')}`
+                );
+            }
+        }
+
+        // Grupos na ordem em que a chave aparece pela primeira vez
+        const groups = new Map();
+        for (const doc of documents) {
+            const key = this.evaluate(spec._id, doc) ?? null;
+            const hash = JSON.stringify(key);
+            if (!groups.has(hash)) {
+                groups.set(hash, { key, documents: [] });
+            }
+            groups.get(hash).documents.push(doc);
+        }
+
+        return [...groups.values()].map(({ key, documents: members }) => {
+            const result = { _id: key };
+            for (const [field, accumulator] of fields) {
+                const [operator, expression] = Object.entries(accumulator)[0];
+                result[field] = this.accumulate(operator, members.map(doc => this.evaluate(expression, doc)));
+            }
+            return result;
+        });
+    }
+
+    accumulate(operator, values) {
+        const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+        const present = values.filter(value => value !== null && value !== undefined);
+
+        switch (operator) {
+            case '$sum':
+                return numbers.reduce((sum, value) => sum + value, 0);
+            case '$avg':
+                return numbers.length > 0
+                    ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+                    : null;
+            case '$min':
+                return present.reduce((min, value) => (min === null || value < min ? value : min), null);
+            case '$max':
+                return present.reduce((max, value) => (max === null || value > max ? value : max), null);
+            case '$count':
+                return values.length;
+            case '$push':
+                return values.map(value => (value === undefined ? null : value));
+        }
+    }
+
+    $sort(documents, spec) {
+        if (!this.db.isPlainObject(spec) ||
+            Object.values(spec).some(direction => direction !== 1 && direction !== -1)) {
+            throw new InvalidQueryError('$sort exige campos com direção 1 ou -1');
+        }
+        return this.db.sortDocuments([...documents], spec);
+    }
+
+    $limit(documents, limit) {
+        this.assertCount('$limit', limit);
+        return documents.slice(0, limit);
+    }
+
+    $skip(documents, skip) {
+        this.assertCount('$skip', skip);
+        return documents.slice(skip);
+    }
+
+    assertCount(operator, value) {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new InvalidQueryError(`${operator} exige um inteiro não negativo`);
+        }
+    }
+
+    $project(documents, spec) {
+        if (!this.db.isPlainObject(spec) || Object.keys(spec).length === 0) {
+            throw new InvalidQueryError('$project exige um objeto de campos');
+        }
+
+        const isFlag = value => value === 0 || value === 1 || typeof value === 'boolean';
+        const entries = Object.entries(spec);
+        const excluded = entries.filter(([, value]) => isFlag(value) && !value).map(([field]) => field);
+        const included = entries.filter(([field]) => !excluded.includes(field));
+        const idFields = ['id', '_id'];
+
+        // Como no MongoDB, só o id pode ser excluído em uma projeção de inclusão
+        if (included.length > 0 && excluded.some(field => !idFields.includes(field))) {
+            throw new InvalidQueryError('$project não pode misturar inclusão e exclusão de campos');
+        }
+
+        return documents.map(doc => {
+            if (included.length === 0) {
+                const result = this.db.cloneDocument(doc);
+                for (const field of excluded) {
+                    this.db.unsetNestedValue(result, field);
+                }
+                return result;
+            }
+
+            const result = {};
+            for (const field of idFields) {
+                if (doc[field] !== undefined && !excluded.includes(field) && !(field in spec)) {
+                    result[field] = doc[field];
+                }
+            }
+            for (const [field, value] of included) {
+                const resolved = isFlag(value) ? this.db.getNestedValue(doc, field) : this.evaluate(value, doc);
+                if (resolved !== undefined) {
+                    this.db.setNestedValue(result, field, resolved);
+                }
+            }
+            return result;
+        });
+    }
+
+    $unwind(documents, spec) {
+        const options = typeof spec === 'string' ? { path: spec } : spec;
+        if (!this.db.isPlainObject(options) || typeof options.path !== 'string' || !options.path.startsWith('$')) {
+            throw new InvalidQueryError('$unwind exige um caminho no formato "$campo"');
+        }
+
+        const field = options.path.slice(1);
+        this.db.splitPath(field);
+        const result = [];
+
+        for (const doc of documents) {
+            const value = this.db.getNestedValue(doc, field);
+
+            if (Array.isArray(value) && value.length > 0) {
+                for (const element of value) {
+                    const copy = this.db.cloneDocument(doc);
+                    this.db.setNestedValue(copy, field, element);
+                    result.push(copy);
+                }
+            } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+                result.push(doc);
+            } else if (options.preserveNullAndEmptyArrays) {
+                const copy = this.db.cloneDocument(doc);
+                this.db.unsetNestedValue(copy, field);
+                result.push(copy);
+            }
+        }
+        return result;
+    }
+
+    evaluate(expression, doc) {
+        if (typeof expression === 'string' && expression.startsWith('$')) {
+            return expression === '$$ROOT' ? doc : this.db.getNestedValue(doc, expression.slice(1));
+        }
+        if (Array.isArray(expression)) {
+            return expression.map(item => this.evaluate(item, doc));
+        }
+        if (this.db.isPlainObject(expression)) {
+            const keys = Object.keys(expression);
+            if (keys.length === 1 && keys[0].startsWith('$')) {
+                const operator = EXPRESSION_OPERATORS[keys[0]];
+                if (!operator) {
+                    throw new InvalidQueryError(`Operador de expressão desconhecido: ${keys[0]}`);
+                }
+                const operands = [].concat(this.evaluate(expression[keys[0]], doc));
+                return operator(operands);
+            }
+
+            const result = {};
+            for (const [field, value] of Object.entries(expression)) {
+                result[field] = this.evaluate(value, doc);
+            }
+            return result;
+        }
+        return expression;
+    }
+}
+
+module.exports = AggregationPipeline;
@@ -0,0 +1,113 @@
+// shared/AggregationPipeline.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { InvalidQueryError } = require('./DatabaseErrors');
+
+describe('JsonDatabase.aggregate', () => {
+    let dir;
+    let db;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aggregation-'));
+        mock.method(console, 'error', () => {});
+        db = new JsonDatabase(dir, 'lists');
+
+        await db.create({
+            id: 'l1',
+            userId: 'ana',
+            status: 'completed',
+            items: [
+                { name: 'Arroz', category: 'Alimentos', quantity: 2, price: 10 },
+                { name: 'Sabão', category: 'Limpeza', quantity: 1, price: 5 }
+            ]
+        });
+        await db.create({
+            id: 'l2',
+            userId: 'bia',
+            status: 'completed',
+            items: [{ name: 'Feijão', category: 'Alimentos', quantity: 3, price: 8 }]
+        });
+        await db.create({ id: 'l3', userId: 'ana', status: 'active', items: [] });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('desdobra os itens e agrupa o gasto por categoria', async () => {
+        const result = await db.aggregate([
+            { $match: { status: 'completed' } },
+            { $unwind: '$items' },
+            {
+                $group: {
+                    _id: '$items.category',
+                    total: { $sum: { $multiply: ['$items.quantity', '$items.price'] } },
+                    averagePrice: { $avg: '$items.price' },
+                    items: { $push: '$items.name' },
+                    count: { $count: {} }
+                }
+            },
+            { $sort: { total: -1 } }
+        ]);
+
+        assert.deepStrictEqual(result, [
+            { _id: 'Alimentos', total: 44, averagePrice: 9, items: ['Arroz', 'Feijão'], count: 2 },
+            { _id: 'Limpeza', total: 5, averagePrice: 5, items: ['Sabão'], count: 1 }
+        ]);
+    });
+
+    it('agrupa por chave composta e por null', async () => {
+        const byUser = await db.aggregate([
+            { $group: { _id: { userId: '$userId', status: '$status' }, lists: { $push: '$id' } } }
+        ]);
+        assert.deepStrictEqual(byUser.map(group => [group._id, group.lists]), [
+            [{ userId: 'ana', status: 'completed' }, ['l1']],
+            [{ userId: 'bia', status: 'completed' }, ['l2']],
+            [{ userId: 'ana', status: 'active' }, ['l3']]
+        ]);
+
+        const [all] = await db.aggregate([
+            { $group: { _id: null, lists: { $count: {} }, firstUser: { $min: '$userId' }, lastUser: { $max: '$userId' } } }
+        ]);
+        assert.deepStrictEqual(all, { _id: null, lists: 3, firstUser: 'ana', lastUser: 'bia' });
+    });
+
+    it('mantém listas vazias no $unwind só com preserveNullAndEmptyArrays', async () => {
+        const skipped = await db.aggregate([{ $unwind: '$items' }, { $project: { id: 1 } }]);
+        assert.deepStrictEqual(skipped.map(doc => doc.id), ['l1', 'l1', 'l2']);
+
+        const preserved = await db.aggregate([
+            { $unwind: { path: '$items', preserveNullAndEmptyArrays: true } },
+            { $project: { id: 1, item: '$items.name' } }
+        ]);
+        assert.deepStrictEqual(preserved.map(doc => [doc.id, doc.item]), [
+            ['l1', 'Arroz'], ['l1', 'Sabão'], ['l2', 'Feijão'], ['l3', undefined]
+        ]);
+        assert.strictEqual('items' in preserved[3], false);
+    });
+
+    it('não altera os documentos gravados', async () => {
+        await db.aggregate([{ $unwind: '$items' }, { $skip: 1 }, { $limit: 1 }]);
+        assert.strictEqual((await db.findById('l1')).items.length, 2);
+    });
+
+    it('rejeita pipelines malformados com InvalidQueryError', async () => {
+        for (const pipeline of [
+            {},
+            [{ $match: {}, $limit: 1 }],
+            [{ $lookup: {} }],
+            [{ $group: { total: { $sum: 1 } } }],
+            [{ $group: { _id: null, total: { $median: '$x' } } }],
+            [{ $unwind: 'items' }],
+            [{ $limit: -1 }],
+            [{ $project: { name: 1, items: 0 } }]
+        ]) {
+            await assert.rejects(db.aggregate(pipeline), InvalidQueryError, JSON.stringify(pipeline));
+        }
+    });
+});
@@ -0,0 +1,247 @@
+// shared/BackupManager.js
+// Backups dos bancos JsonDatabase de todos os serviços. Cada backup é um
+// diretório em `backups/<id>` com uma cópia por coleção e um manifest.json:
+//
+//     {
+//         id, label, createdAt,
+//         collections: [{ service, collection, file, storage, persistence,
+//                         keyId, documentCount, bytes, sha256, takenAt }]
+//     }
+//
+// Serviços com chave de criptografia configurada (ver KeyRing) têm as
+// cópias gravadas cifradas com a chave atual, identificada em `keyId`. Para
+// restaurar um backup anterior a uma rotação, a chave antiga precisa estar
+// em *_ENCRYPTION_PREVIOUS_KEYS.
+//
+// A cópia de cada coleção é consistente mesmo com o serviço rodando (ver
+// JsonDatabase.snapshot()). Coleções de serviços diferentes são copiadas uma
+// após a outra, então o backup não é um ponto único no tempo entre serviços.
+// A restauração deve ser feita com os serviços parados.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+const { DatabaseError } = require('./DatabaseErrors');
+const KeyRing = require('./KeyRing');
+const { SqliteStorage, storageFromEnv } = require('./storage');
+const { serialize, parse } = require('./storage/encryption');
+
+const DEFAULT_SERVICES = ['user-service', 'item-service', 'list-service'];
+
+class BackupManager {
+    constructor(rootDir, options = {}) {
+        this.rootDir = rootDir;
+        this.backupDir = options.backupDir || path.join(rootDir, 'backups');
+        this.services = options.services || DEFAULT_SERVICES;
+    }
+
+    getDatabasePath(service) {
+        return path.join(this.rootDir, 'services', service, 'database');
+    }
+
+    // Coleções existentes no diretório do banco: <nome>.json e <nome>.journal,
+    // sem os arquivos de índice, e as gravadas no database.sqlite
+    async listCollections(service) {
+        const dbPath = this.getDatabasePath(service);
+        if (!await fs.pathExists(dbPath)) return [];
+
+        const names = new Set(SqliteStorage.listCollections(dbPath));
+        for (const file of await fs.readdir(dbPath)) {
+            const match = /^(.+)\.(json|journal)$/.exec(file);
+            if (match && !match[1].endsWith('_index')) {
+                names.add(match[1]);
+            }
+        }
+        return [...names].sort();
+    }
+
+    // Abre a coleção no backend e modo em que ela está gravada; coleções que
+    // ainda não existem usam o backend configurado para o serviço. A
+    // compactação periódica fica desligada para não competir com o serviço
+    // dono do arquivo
+    async openCollection(service, collection) {
+        const dbPath = this.getDatabasePath(service);
+        const journal = await fs.pathExists(path.join(dbPath, `${collection}.journal`));
+        const snapshot = await fs.pathExists(path.join(dbPath, `${collection}.json`));
+        let storage = storageFromEnv(service);
+        if (journal || snapshot) {
+            storage = 'file';
+        } else if (SqliteStorage.listCollections(dbPath).includes(collection)) {
+            storage = 'sqlite';
+        }
+
+        const db = new JsonDatabase(dbPath, collection, {
+            storage,
+            persistence: journal ? 'journal' : 'snapshot',
+            encryption: KeyRing.fromEnv(service),
+            compactInterval: 0
+        });
+        await db.ready;
+        return db;
+    }
+
+    async create(options = {}) {
+        const createdAt = new Date().toISOString();
+        const id = createdAt.replace(/[:.]/g, '-');
+        const target = path.join(this.backupDir, id);
+        const manifest = { id, label: options.label || null, createdAt, collections: [] };
+
+        await fs.ensureDir(target);
+        for (const service of this.services) {
+            for (const collection of await this.listCollections(service)) {
+                const db = await this.openCollection(service, collection);
+                const documents = await db.snapshot();
+                const content = serialize(documents, db.encryption, 2);
+                const file = path.join(service, `${collection}.json`);
+
+                await fs.outputFile(path.join(target, file), content);
+                manifest.collections.push({
+                    service,
+                    collection,
+                    file,
+                    storage: db.storage.type,
+                    persistence: db.options.persistence,
+                    keyId: db.encryption ? db.encryption.keyId : null,
+                    documentCount: documents.length,
+                    bytes: Buffer.byteLength(content),
+                    sha256: this.checksum(content),
+                    takenAt: new Date().toISOString()
+                });
+            }
+        }
+
+        // O manifest por último: backup sem manifest é um backup incompleto
+        await fs.writeJson(path.join(target, 'manifest.json'), manifest, { spaces: 2 });
+        return manifest;
+    }
+
+    // Backups completos, do mais antigo para o mais recente
+    async list() {
+        if (!await fs.pathExists(this.backupDir)) return [];
+
+        const manifests = [];
+        for (const id of await fs.readdir(this.backupDir)) {
+            const manifestPath = path.join(this.backupDir, id, 'manifest.json');
+            if (await fs.pathExists(manifestPath)) {
+                manifests.push(await fs.readJson(manifestPath));
+            }
+        }
+        return manifests.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // `id` de um backup, 'latest' ou { at: data }: o último backup feito até
+    // aquele instante
+    async find(selector) {
+        const manifests = await this.list();
+        let manifest;
+
+        if (selector && typeof selector === 'object') {
+            const at = new Date(selector.at).getTime();
+            manifest = manifests.filter(item => new Date(item.createdAt).getTime() <= at).pop();
+        } else if (!selector || selector === 'latest') {
+            manifest = manifests[manifests.length - 1];
+        } else {
+            manifest = manifests.find(item => item.id === selector);
+        }
+
+        if (!manifest) {
+            throw new DatabaseError('Backup não encontrado', 'BACKUP_NOT_FOUND', { selector });
+        }
+        return manifest;
+    }
+
+    // Confere os checksums de todas as coleções do backup
+    async verify(selector) {
+        const manifest = await this.find(selector);
+        const problems = [];
+
+        for (const entry of manifest.collections) {
+            try {
+                await this.readBackupCollection(manifest, entry);
+            } catch (error) {
+                problems.push({ service: entry.service, collection: entry.collection, message: error.message });
+            }
+        }
+        return { id: manifest.id, valid: problems.length === 0, problems };
+    }
+
+    // Restaura o backup inteiro ou só as coleções filtradas por `service` e
+    // `collection`. Todos os checksums são conferidos antes de gravar
+    // qualquer coleção. Com dryRun, só devolve a diferença entre o estado
+    // atual e o backup.
+    async restore(selector, options = {}) {
+        const manifest = await this.find(selector);
+        const entries = manifest.collections.filter(entry =>
+            (!options.service || entry.service === options.service) &&
+            (!options.collection || entry.collection === options.collection));
+
+        if (entries.length === 0) {
+            throw new DatabaseError('Nenhuma coleção do backup corresponde ao filtro', 'BACKUP_NOT_FOUND', {
+                selector,
+                service: options.service,
+                collection: options.collection
+            });
+        }
+
+        const plan = [];
+        for (const entry of entries) {
+            const documents = await this.readBackupCollection(manifest, entry);
+            const db = await this.openCollection(entry.service, entry.collection);
+            const current = await db.snapshot();
+            plan.push({ entry, db, documents, diff: this.diff(current, documents) });
+        }
+
+        const report = [];
+        for (const { entry, db, documents, diff } of plan) {
+            if (!options.dryRun) {
+                await db.restore(documents);
+            }
+            report.push({ service: entry.service, collection: entry.collection, ...diff });
+        }
+        return { id: manifest.id, dryRun: Boolean(options.dryRun), collections: report };
+    }
+
+    async readBackupCollection(manifest, entry) {
+        const content = await fs.readFile(path.join(this.backupDir, manifest.id, entry.file), 'utf8');
+        if (this.checksum(content) !== entry.sha256) {
+            throw new DatabaseError(
+                `Checksum inválido para ${entry.service}/${entry.collection} no backup ${manifest.id}`,
+                'BACKUP_CHECKSUM_MISMATCH',
+                { backupId: manifest.id, service: entry.service, collection: entry.collection }
+            );
+        }
+        return parse(
+            content,
+            KeyRing.fromEnv(entry.service),
+            `Backup de ${entry.service}/${entry.collection}`
+        );
+    }
+
+    // Diferença por id entre o estado atual e o do backup
+    diff(current, target) {
+        const currentById = new Map(current.map(doc => [doc.id, doc]));
+        const targetById = new Map(target.map(doc => [doc.id, doc]));
+        const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+        for (const [id, doc] of targetById) {
+            if (!currentById.has(id)) {
+                result.added.push(id);
+            } else if (JSON.stringify(currentById.get(id)) !== JSON.stringify(doc)) {
+                result.changed.push(id);
+            } else {
+                result.unchanged++;
+            }
+        }
+        for (const id of currentById.keys()) {
+            if (!targetById.has(id)) result.removed.push(id);
+        }
+        return result;
+    }
+
+    checksum(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+}
+
+module.exports = BackupManager;
@@ -0,0 +1,95 @@
+// shared/BackupManager.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const BackupManager = require('./BackupManager');
+const { UniqueConstraintError } = require('./DatabaseErrors');
+
+describe('BackupManager', () => {
+    let root;
+    let manager;
+    let users;
+    let lists;
+
+    beforeEach(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), 'backups-'));
+        mock.method(console, 'error', () => {});
+        manager = new BackupManager(root, { services: ['user-service', 'list-service'] });
+        users = new JsonDatabase(path.join(root, 'services', 'user-service', 'database'), 'users');
+        lists = new JsonDatabase(path.join(root, 'services', 'list-service', 'database'), 'lists', {
+            persistence: 'journal',
+            compactInterval: 0
+        });
+
+        await users.create({ id: 'u1', email: 'ana@demo.com' });
+        await users.create({ id: 'u2', email: 'bia@demo.com' });
+        await lists.create({ id: 'l1', name: 'Mercado' });
+    });
+
+    afterEach(async () => {
+        lists.close();
+        mock.restoreAll();
+        await fs.remove(root);
+    });
+
+    it('restaura as coleções de todos os serviços como estavam no backup', async () => {
+        const manifest = await manager.create({ label: 'antes' });
+        assert.deepStrictEqual(
+            manifest.collections.map(entry => [entry.service, entry.collection, entry.persistence, entry.documentCount]),
+            [['user-service', 'users', 'snapshot', 2], ['list-service', 'lists', 'journal', 1]]
+        );
+        const expectedUsers = await users.find();
+        const expectedLists = await lists.find();
+
+        await users.update('u1', { email: 'ana@outro.com' });
+        await users.delete('u2');
+        await users.create({ id: 'u3', email: 'caio@demo.com' });
+        await lists.update('l1', { name: 'Feira' });
+
+        const dryRun = await manager.restore('latest', { service: 'user-service', dryRun: true });
+        assert.deepStrictEqual(dryRun.collections, [
+            { service: 'user-service', collection: 'users', added: ['u2'], removed: ['u3'], changed: ['u1'], unchanged: 0 }
+        ]);
+        assert.strictEqual(await users.count(), 2);
+
+        const result = await manager.restore(manifest.id);
+        assert.strictEqual(result.dryRun, false);
+        assert.deepStrictEqual(await users.find(), expectedUsers);
+        assert.deepStrictEqual(await lists.find(), expectedLists);
+        assert.deepStrictEqual(await new JsonDatabase(lists.dbPath, 'lists', { persistence: 'journal' }).find(), expectedLists);
+    });
+
+    it('escolhe o backup pela data e recusa cópias com checksum inválido', async () => {
+        const first = await manager.create();
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await users.create({ id: 'u3', email: 'caio@demo.com' });
+        const second = await manager.create();
+
+        assert.strictEqual((await manager.find({ at: first.createdAt })).id, first.id);
+        assert.strictEqual((await manager.find('latest')).id, second.id);
+        await assert.rejects(manager.find({ at: '2000-01-01' }), { code: 'BACKUP_NOT_FOUND' });
+
+        await fs.appendFile(path.join(manager.backupDir, first.id, 'list-service', 'lists.json'), ' ');
+        assert.deepStrictEqual((await manager.verify(first.id)).problems.map(problem => problem.collection), ['lists']);
+
+        await users.delete('u1');
+        await assert.rejects(manager.restore(first.id), { code: 'BACKUP_CHECKSUM_MISMATCH' });
+        // Nada é gravado se alguma coleção do backup estiver corrompida
+        assert.strictEqual(await users.findById('u1'), null);
+    });
+
+    it('não grava documentos que violam um índice único', async () => {
+        const indexed = new JsonDatabase(users.dbPath, 'users', {
+            indexes: [{ fields: ['email'], unique: true }]
+        });
+
+        await assert.rejects(
+            indexed.restore([{ id: 'u1', email: 'ana@demo.com' }, { id: 'u9', email: 'ana@demo.com' }]),
+            UniqueConstraintError
+        );
+        assert.deepStrictEqual((await indexed.find()).map(user => user.id), ['u1', 'u2']);
+    });
+});
@@ -0,0 +1,99 @@
+// shared/ChangeStream.js
+// Fluxo de mudanças de uma coleção do JsonDatabase, criado por db.watch().
+// Pode ser consumido como EventEmitter:
+//
+//     const stream = db.watch({ status: 'completed' });
+//     stream.on('change', event => { ... });
+//
+// ou como async iterator:
+//
+//     for await (const event of db.watch()) { ... }
+//
+// Cada evento tem { _id, sequence, operationType ('insert' | 'update' |
+// 'delete'), collection, documentKey, fullDocument, fullDocumentBeforeChange,
+// timestamp }. `_id` é o token para retomar com { resumeAfter: token }.
+const { EventEmitter } = require('events');
+
+class ChangeStream extends EventEmitter {
+    // `feed` é o EventEmitter compartilhado da coleção, `matches(event)` o
+    // filtro e `replay` os eventos do histórico a entregar antes dos novos
+    constructor(feed, matches, replay = []) {
+        super();
+        this.feed = feed;
+        this.matches = matches;
+        this.closed = false;
+        this.resumeToken = null;
+
+        // Eventos guardados só enquanto alguém itera com for await
+        this.iterating = false;
+        this.buffer = [];
+        this.waiting = [];
+
+        // Eventos novos que chegarem durante o replay esperam a vez dele
+        this.replaying = true;
+        this.queued = [];
+        this.listener = event => {
+            if (this.replaying) {
+                this.queued.push(event);
+            } else {
+                this.push(event);
+            }
+        };
+        this.feed.on('change', this.listener);
+
+        // Entrega no próximo tick para dar tempo de registrar os listeners
+        process.nextTick(() => {
+            for (const event of [...replay, ...this.queued]) {
+                this.push(event);
+            }
+            this.replaying = false;
+            this.queued = [];
+        });
+    }
+
+    push(event) {
+        if (this.closed || !this.matches(event)) return;
+
+        this.resumeToken = event._id;
+        this.emit('change', event);
+
+        if (this.waiting.length > 0) {
+            this.waiting.shift()({ value: event, done: false });
+        } else if (this.iterating) {
+            this.buffer.push(event);
+        }
+    }
+
+    close() {
+        if (this.closed) return;
+
+        this.closed = true;
+        this.feed.removeListener('change', this.listener);
+        for (const resolve of this.waiting.splice(0)) {
+            resolve({ value: undefined, done: true });
+        }
+        this.emit('close');
+    }
+
+    [Symbol.asyncIterator]() {
+        this.iterating = true;
+
+        return {
+            next: () => {
+                if (this.buffer.length > 0) {
+                    return Promise.resolve({ value: this.buffer.shift(), done: false });
+                }
+                if (this.closed) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise(resolve => this.waiting.push(resolve));
+            },
+            return: () => {
+                this.close();
+                return Promise.resolve({ value: undefined, done: true });
+            }
+        };
+    }
+}
+
+module.exports = ChangeStream;
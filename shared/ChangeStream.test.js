@@ -0,0 +1,130 @@
+// shared/ChangeStream.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { InvalidResumeTokenError } = require('./DatabaseErrors');
+
+// Junta os eventos emitidos até aqui (a entrega começa no próximo tick)
+function collect(stream) {
+    const events = [];
+    stream.on('change', event => events.push(event));
+    return events;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('JsonDatabase.watch', () => {
+    let dir;
+    let db;
+    let streams;
+
+    function watch(filter, options) {
+        const stream = db.watch(filter, options);
+        streams.push(stream);
+        return stream;
+    }
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'change-stream-'));
+        mock.method(console, 'error', () => {});
+        db = new JsonDatabase(dir, 'lists');
+        streams = [];
+    });
+
+    afterEach(async () => {
+        streams.forEach(stream => stream.close());
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('emite insert, update e delete com o documento antes e depois', async () => {
+        const events = collect(watch());
+
+        const { id } = await db.create({ name: 'Mercado' });
+        await db.update(id, { name: 'Feira' });
+        await db.delete(id);
+        await tick();
+
+        assert.deepStrictEqual(events.map(event => event.operationType), ['insert', 'update', 'delete']);
+        assert.deepStrictEqual(events.map(event => event.documentKey), [{ id }, { id }, { id }]);
+        assert.strictEqual(events[0].fullDocumentBeforeChange, null);
+        assert.strictEqual(events[1].fullDocumentBeforeChange.name, 'Mercado');
+        assert.strictEqual(events[1].fullDocument.name, 'Feira');
+        assert.strictEqual(events[2].fullDocument, null);
+        assert.strictEqual(events[2].collection, 'lists');
+    });
+
+    it('filtra por documento e por tipo de operação', async () => {
+        const completed = collect(watch({ status: 'completed' }));
+        const inserts = collect(watch({}, { operationTypes: ['insert'] }));
+
+        const { id } = await db.create({ name: 'Mercado', status: 'active' });
+        await db.update(id, { status: 'completed' });
+        await db.create({ name: 'Feira', status: 'completed' });
+        await tick();
+
+        assert.deepStrictEqual(completed.map(event => event.operationType), ['update', 'insert']);
+        assert.deepStrictEqual(inserts.map(event => event.fullDocument.name), ['Mercado', 'Feira']);
+    });
+
+    it('recebe as escritas de outras instâncias da mesma coleção', async () => {
+        const events = collect(watch());
+        await new JsonDatabase(dir, 'lists').create({ name: 'Mercado' });
+        await tick();
+
+        assert.strictEqual(events.length, 1);
+    });
+
+    it('retoma a partir de um token sem perder nem repetir eventos', async () => {
+        const first = collect(watch());
+        await db.create({ id: 'a' });
+        await tick();
+        const token = first[0]._id;
+        streams.forEach(stream => stream.close());
+
+        await db.create({ id: 'b' });
+        await db.create({ id: 'c' });
+
+        const resumed = collect(watch({}, { resumeAfter: token }));
+        await db.create({ id: 'd' });
+        await tick();
+
+        assert.deepStrictEqual(resumed.map(event => event.documentKey.id), ['b', 'c', 'd']);
+        assert.throws(() => db.watch({}, { resumeAfter: 'token-invalido' }), InvalidResumeTokenError);
+    });
+
+    it('rejeita um token cujo evento seguinte já saiu do histórico', async () => {
+        db = new JsonDatabase(dir, 'history', { changeHistorySize: 2 });
+        const events = collect(watch());
+        for (const id of ['a', 'b', 'c', 'd']) {
+            await db.create({ id });
+        }
+        await tick();
+
+        assert.throws(() => db.watch({}, { resumeAfter: events[0]._id }), InvalidResumeTokenError);
+        const resumed = collect(watch({}, { resumeAfter: events[1]._id }));
+        await tick();
+        assert.deepStrictEqual(resumed.map(event => event.documentKey.id), ['c', 'd']);
+    });
+
+    it('pode ser consumido com for await até ser fechado', async () => {
+        const stream = watch({}, { operationTypes: ['insert'] });
+        const received = [];
+        const consuming = (async () => {
+            for await (const event of stream) {
+                received.push(event.documentKey.id);
+                if (received.length === 2) break;
+            }
+        })();
+
+        await db.create({ id: 'a' });
+        await db.create({ id: 'b' });
+        await consuming;
+
+        assert.deepStrictEqual(received, ['a', 'b']);
+        assert.strictEqual(stream.closed, true);
+    });
+});
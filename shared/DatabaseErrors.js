@@ -0,0 +1,141 @@
+// shared/DatabaseErrors.js
+// Erros lançados pelo JsonDatabase. Cada erro carrega um `code` estável para
+// que os serviços possam traduzi-lo em respostas HTTP sem depender da mensagem.
+
+class DatabaseError extends Error {
+    constructor(message, code = 'DATABASE_ERROR', details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+// Arquivo da coleção ilegível (JSON inválido ou truncado)
+class CorruptedCollectionError extends DatabaseError {
+    constructor(collectionName, filePath, cause) {
+        super(
+            `Coleção "${collectionName}" corrompida: ${filePath}`,
+            'COLLECTION_CORRUPTED',
+            { collectionName, filePath, cause }
+        );
+    }
+}
+
+// Filtro ou atualização com operador desconhecido ou mal formado
+class InvalidQueryError extends DatabaseError {
+    constructor(message) {
+        super(message, 'INVALID_QUERY');
+    }
+}
+
+// Violação de índice único
+class DuplicateKeyError extends DatabaseError {
+    constructor(collectionName, indexName, fields, values) {
+        super(
+            `Valor duplicado para ${fields.join(', ')} na coleção "${collectionName}"`,
+            'DUPLICATE_KEY',
+            { collectionName, indexName, fields, values }
+        );
+    }
+}
+
+// Índice único declarado sobre documentos que já repetem o valor: o índice
+// não é criado. `conflicts` traz, para cada valor repetido, os ids envolvidos.
+class UniqueConstraintError extends DatabaseError {
+    constructor(collectionName, indexName, fields, conflicts) {
+        const ids = conflicts.map(conflict => conflict.ids.join(', ')).join('; ');
+        super(
+            `Índice único "${indexName}" da coleção "${collectionName}" violado pelos documentos existentes: ${ids}`,
+            'UNIQUE_CONSTRAINT',
+            { collectionName, indexName, fields, conflicts }
+        );
+    }
+}
+
+// Documento rejeitado pelo schema da coleção. `errors` traz uma entrada
+// { field, message } por problema encontrado.
+class ValidationError extends DatabaseError {
+    constructor(collectionName, errors) {
+        super(
+            `Documento inválido para a coleção "${collectionName}"`,
+            'VALIDATION_FAILED',
+            { collectionName, errors }
+        );
+    }
+}
+
+// A versão do documento não é a esperada pelo chamador (controle otimista)
+class VersionConflictError extends DatabaseError {
+    constructor(collectionName, id, expectedVersion, currentVersion) {
+        super(
+            `Conflito de versão no documento ${id} da coleção "${collectionName}": ` +
+            `esperada ${[].concat(expectedVersion).join(' ou ') || 'nenhuma'}, atual ${currentVersion}`,
+            'VERSION_CONFLICT',
+            { collectionName, id, expectedVersion, currentVersion }
+        );
+    }
+}
+
+// Token de retomada do watch() que não pode mais ser atendido (histórico
+// descartado ou token de outra execução do processo)
+class InvalidResumeTokenError extends DatabaseError {
+    constructor(collectionName, token) {
+        super(
+            `Não é possível retomar o fluxo de mudanças de "${collectionName}" a partir do token informado`,
+            'INVALID_RESUME_TOKEN',
+            { collectionName, token }
+        );
+    }
+}
+
+// Cursor de paginação ilegível ou criado para outra ordenação
+class InvalidCursorError extends DatabaseError {
+    constructor(cursor) {
+        super('Cursor de paginação inválido', 'INVALID_CURSOR', { cursor });
+    }
+}
+
+// Uso inválido de db.transaction(): transação aninhada, escrita direta numa
+// coleção travada pela transação ou operação depois do fim da transação
+class TransactionError extends DatabaseError {
+    constructor(message) {
+        super(message, 'INVALID_TRANSACTION');
+    }
+}
+
+// Escrita em lote atômica rejeitada. `errors` traz uma entrada
+// { index, code, message, errors? } por documento com problema; nenhum
+// documento do lote foi gravado.
+class BulkWriteError extends DatabaseError {
+    constructor(collectionName, errors) {
+        super(
+            `Escrita em lote rejeitada na coleção "${collectionName}": ${errors.length} documento(s) com erro`,
+            'BULK_WRITE_FAILED',
+            { collectionName, errors }
+        );
+    }
+}
+
+// Chave de criptografia ausente, inválida ou desconhecida, ou dado cifrado
+// que não passou na verificação de integridade (ver KeyRing)
+class EncryptionError extends DatabaseError {
+    constructor(message, details = {}) {
+        super(message, 'ENCRYPTION_FAILED', details);
+    }
+}
+
+module.exports = {
+    DatabaseError,
+    CorruptedCollectionError,
+    InvalidQueryError,
+    DuplicateKeyError,
+    UniqueConstraintError,
+    ValidationError,
+    VersionConflictError,
+    InvalidResumeTokenError,
+    InvalidCursorError,
+    TransactionError,
+    BulkWriteError,
+    EncryptionError
+};
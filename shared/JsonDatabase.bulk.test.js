@@ -0,0 +1,103 @@
+// shared/JsonDatabase.bulk.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { BulkWriteError, DuplicateKeyError, ValidationError } = require('./DatabaseErrors');
+
+const SCHEMA = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        price: { type: 'number', minimum: 0 }
+    }
+};
+
+describe('JsonDatabase: operações em lote', () => {
+    let dir;
+    let db;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-database-bulk-'));
+        mock.method(console, 'error', () => {});
+        db = new JsonDatabase(dir, 'items', {
+            schema: SCHEMA,
+            indexes: [{ fields: ['sku'], unique: true }]
+        });
+        await db.create({ id: 'a', name: 'Arroz', sku: 'A1', price: 10 });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    const batch = () => [
+        { name: 'Feijão', sku: 'F1', price: '8' },
+        { name: 'Sabão', sku: 'A1' },
+        'sabonete',
+        { name: '', price: -1 },
+        { name: 'Leite', sku: 'L1' },
+        { name: 'Leite desnatado', sku: 'L1' }
+    ];
+
+    it('com atomic (padrão), rejeita o lote inteiro listando cada posição com erro', async () => {
+        await assert.rejects(db.insertMany(batch()), error => {
+            assert.ok(error instanceof BulkWriteError);
+            assert.strictEqual(error.code, 'BULK_WRITE_FAILED');
+            assert.deepStrictEqual(error.errors.map(entry => [entry.index, entry.code]), [
+                [1, 'DUPLICATE_KEY'],
+                [2, 'INVALID_QUERY'],
+                [3, 'VALIDATION_FAILED'],
+                [5, 'DUPLICATE_KEY']
+            ]);
+            assert.deepStrictEqual(error.errors[2].errors.map(entry => entry.field).sort(), ['name', 'price']);
+            return true;
+        });
+        assert.strictEqual(await db.count(), 1);
+    });
+
+    it('com atomic: false, grava os válidos e devolve os problemas', async () => {
+        const result = await db.insertMany(batch(), { atomic: false });
+
+        assert.strictEqual(result.insertedCount, 2);
+        assert.deepStrictEqual(result.documents.map(doc => doc.name), ['Feijão', 'Leite']);
+        assert.strictEqual(result.documents[0].price, 8);
+        assert.deepStrictEqual(result.errors.map(entry => entry.index), [1, 2, 3, 5]);
+        assert.deepStrictEqual(
+            (await new JsonDatabase(dir, 'items').find({}, { sort: { name: 1 } })).map(doc => doc.sku),
+            ['A1', 'F1', 'L1']
+        );
+    });
+
+    it('atualiza todos os documentos do filtro ou nenhum', async () => {
+        await db.insertMany([{ name: 'Feijão', sku: 'F1', price: 8 }, { name: 'Leite', sku: 'L1', price: 5 }]);
+
+        assert.deepStrictEqual(await db.updateMany({ price: { $gte: 8 } }, { $inc: { price: 1 } }), { updatedCount: 2 });
+        assert.deepStrictEqual((await db.find({}, { sort: { price: 1 } })).map(doc => [doc.sku, doc.price, doc.version]), [
+            ['L1', 5, 1],
+            ['F1', 9, 2],
+            ['A1', 11, 2]
+        ]);
+
+        await assert.rejects(db.updateMany({}, { $inc: { price: -10 } }), ValidationError);
+        await assert.rejects(db.updateMany({ price: { $lt: 10 } }, { sku: 'X' }), DuplicateKeyError);
+        assert.deepStrictEqual((await db.find({}, { sort: { price: 1 } })).map(doc => doc.price), [5, 9, 11]);
+    });
+
+    it('remove todos os documentos do filtro de uma vez', async () => {
+        await db.insertMany([{ name: 'Feijão', sku: 'F1' }, { name: 'Leite', sku: 'L1' }]);
+        const events = [];
+        db.watch().on('change', event => events.push(event.operationType));
+
+        assert.deepStrictEqual(await db.deleteMany({ sku: { $in: ['F1', 'L1'] } }), { deletedCount: 2 });
+        assert.deepStrictEqual(await db.deleteMany({ sku: 'F1' }), { deletedCount: 0 });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepStrictEqual(events, ['delete', 'delete']);
+        assert.deepStrictEqual((await db.find()).map(doc => doc.id), ['a']);
+    });
+});
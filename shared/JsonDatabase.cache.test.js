@@ -0,0 +1,80 @@
+// shared/JsonDatabase.cache.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+
+describe('JsonDatabase: cache', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-database-cache-'));
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('carrega o arquivo uma vez e responde as leituras seguintes do cache', async () => {
+        const db = new JsonDatabase(dir, 'items');
+        await db.create({ id: 'a', name: 'Arroz' });
+        const loads = db.getStats().load.count;
+
+        await db.find();
+        await db.findById('a');
+        await db.count({ name: 'Arroz' });
+
+        const stats = db.getStats();
+        assert.strictEqual(stats.load.count, loads);
+        assert.ok(stats.cache.hits >= 3);
+        assert.strictEqual(stats.documentCount, 1);
+    });
+
+    it('recarrega quando o arquivo é alterado por fora', async () => {
+        const db = new JsonDatabase(dir, 'items');
+        await db.create({ id: 'a', name: 'Arroz' });
+        assert.strictEqual((await db.findById('a')).name, 'Arroz');
+
+        // Outra instância (como outro processo) grava no mesmo arquivo
+        await new JsonDatabase(dir, 'items').create({ id: 'b', name: 'Feijão' });
+        assert.deepStrictEqual((await db.find({}, { sort: { id: 1 } })).map(doc => doc.id), ['a', 'b']);
+
+        // Edição manual do arquivo
+        const filePath = path.join(dir, 'items.json');
+        const documents = await fs.readJson(filePath);
+        documents[0].name = 'Arroz integral';
+        await fs.writeJson(filePath, documents);
+
+        const loads = db.getStats().load.count;
+        assert.strictEqual((await db.findById('a')).name, 'Arroz integral');
+        assert.strictEqual(db.getStats().load.count, loads + 1);
+    });
+
+    it('entrega cópias: alterar o resultado não altera o cache', async () => {
+        const db = new JsonDatabase(dir, 'items');
+        const created = await db.create({ id: 'a', name: 'Arroz', tags: ['grãos'] });
+        created.name = 'alterado';
+
+        const found = await db.findById('a');
+        found.tags.push('alterado');
+        (await db.find())[0].name = 'alterado';
+
+        assert.deepStrictEqual(await db.findById('a'), { ...found, name: 'Arroz', tags: ['grãos'] });
+    });
+
+    it('com cache: false, lê o arquivo a cada operação', async () => {
+        const db = new JsonDatabase(dir, 'items', { cache: false });
+        await db.create({ id: 'a', name: 'Arroz' });
+        const loads = db.getStats().load.count;
+
+        await db.find();
+        await db.find();
+
+        assert.strictEqual(db.getStats().load.count, loads + 2);
+        assert.strictEqual(db.getStats().cache.enabled, false);
+    });
+});
@@ -0,0 +1,106 @@
+// shared/JsonDatabase.indexes.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { DuplicateKeyError, UniqueConstraintError } = require('./DatabaseErrors');
+
+describe('JsonDatabase: índices', () => {
+    let dir;
+
+    function openUsers() {
+        return new JsonDatabase(dir, 'users', {
+            indexes: [
+                { fields: ['email'], unique: true },
+                { fields: ['tenant', 'username'], unique: true },
+                { fields: ['tags'] }
+            ]
+        });
+    }
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-database-indexes-'));
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('rejeita create e update que repetem a chave de um índice único', async () => {
+        const db = openUsers();
+        await db.create({ id: 'u1', email: 'ana@demo.com', tenant: 'a', username: 'ana' });
+        await db.create({ id: 'u2', email: 'bia@demo.com', tenant: 'a', username: 'bia' });
+
+        await assert.rejects(db.create({ email: 'ana@demo.com', tenant: 'b', username: 'ana' }), error => {
+            assert.ok(error instanceof DuplicateKeyError);
+            assert.strictEqual(error.code, 'DUPLICATE_KEY');
+            assert.strictEqual(error.indexName, 'email');
+            assert.deepStrictEqual(error.values, ['ana@demo.com']);
+            return true;
+        });
+        await assert.rejects(db.update('u2', { username: 'ana' }), error => {
+            assert.ok(error instanceof DuplicateKeyError);
+            assert.deepStrictEqual(error.fields, ['tenant', 'username']);
+            assert.deepStrictEqual(error.values, ['a', 'ana']);
+            return true;
+        });
+
+        // A mesma chave composta em outro tenant é permitida, e o próprio
+        // documento pode manter a sua
+        await db.create({ id: 'u3', email: 'ana@outro.com', tenant: 'b', username: 'ana' });
+        await db.update('u1', { email: 'ana@demo.com', name: 'Ana' });
+
+        const reopened = openUsers();
+        assert.strictEqual(await reopened.count(), 3);
+        assert.strictEqual((await reopened.findById('u2')).username, 'bia');
+    });
+
+    it('libera a chave quando o documento é removido ou alterado', async () => {
+        const db = openUsers();
+        await db.create({ id: 'u1', email: 'ana@demo.com' });
+        await db.create({ id: 'u2', email: 'bia@demo.com' });
+
+        await db.update('u1', { email: 'ana@novo.com' });
+        await db.create({ id: 'u3', email: 'ana@demo.com' });
+        await db.delete('u2');
+        await db.create({ id: 'u4', email: 'bia@demo.com' });
+
+        assert.deepStrictEqual((await openUsers().find({}, { sort: { id: 1 } })).map(doc => doc.email),
+            ['ana@novo.com', 'ana@demo.com', 'bia@demo.com']);
+    });
+
+    it('consulta pelo índice com o mesmo resultado da varredura, inclusive em campos array', async () => {
+        const db = openUsers();
+        await db.create({ id: 'u1', email: 'a@demo.com', tags: ['admin', 'beta'] });
+        await db.create({ id: 'u2', email: 'b@demo.com', tags: ['beta'] });
+        await db.create({ id: 'u3', email: 'c@demo.com' });
+
+        assert.deepStrictEqual((await db.find({ tags: 'beta' }, { sort: { id: 1 } })).map(doc => doc.id), ['u1', 'u2']);
+        assert.deepStrictEqual((await db.find({ tags: { $in: ['admin'] } })).map(doc => doc.id), ['u1']);
+        assert.strictEqual((await db.findOne({ email: 'c@demo.com' })).id, 'u3');
+        assert.strictEqual(await db.count({ email: 'x@demo.com' }), 0);
+    });
+
+    it('não cria um índice único sobre dados que já o violam', async () => {
+        const legacy = new JsonDatabase(dir, 'users');
+        await legacy.create({ id: 'u1', email: 'ana@demo.com' });
+        await legacy.create({ id: 'u2', email: 'bia@demo.com' });
+        await legacy.create({ id: 'u3', email: 'ana@demo.com' });
+
+        const db = openUsers();
+        await assert.rejects(db.find(), error => {
+            assert.ok(error instanceof UniqueConstraintError);
+            assert.strictEqual(error.code, 'UNIQUE_CONSTRAINT');
+            assert.strictEqual(error.indexName, 'email');
+            assert.deepStrictEqual(error.conflicts, [{ values: ['ana@demo.com'], ids: ['u1', 'u3'] }]);
+            assert.match(error.message, /u1, u3/);
+            return true;
+        });
+        await assert.rejects(db.create({ id: 'u4', email: 'caio@demo.com' }), UniqueConstraintError);
+        assert.strictEqual(await legacy.count(), 3);
+    });
+});
@@ -0,0 +1,111 @@
+// shared/JsonDatabase.journal.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { CorruptedCollectionError } = require('./DatabaseErrors');
+
+describe('JsonDatabase: journal', () => {
+    let dir;
+    let opened;
+
+    function open(options = {}) {
+        const db = new JsonDatabase(dir, 'lists', { persistence: 'journal', compactInterval: 0, ...options });
+        opened.push(db);
+        return db;
+    }
+
+    async function ids(db) {
+        return (await db.find({}, { sort: { id: 1 } })).map(doc => doc.id);
+    }
+
+    function journalPath() {
+        return path.join(dir, 'lists.journal');
+    }
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-database-journal-'));
+        opened = [];
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        opened.forEach(db => db.close());
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('acrescenta as escritas ao journal e as reaplica ao reabrir', async () => {
+        const db = open();
+        await db.create({ id: 'a', name: 'Mercado' });
+        await db.create({ id: 'b', name: 'Feira' });
+        await db.update('a', { name: 'Mercado do mês' });
+        await db.delete('b');
+
+        assert.deepStrictEqual(await fs.readJson(path.join(dir, 'lists.json')), []);
+        const lines = (await fs.readFile(journalPath(), 'utf8')).trim().split('\n');
+        assert.deepStrictEqual(lines.map(line => JSON.parse(line).op), ['put', 'put', 'put', 'delete']);
+
+        const reopened = open();
+        assert.deepStrictEqual(await ids(reopened), ['a']);
+        assert.strictEqual((await reopened.findById('a')).name, 'Mercado do mês');
+    });
+
+    it('descarta uma última linha incompleta e continua gravando depois dela', async () => {
+        const db = open();
+        await db.create({ id: 'a', name: 'Mercado' });
+        await fs.appendFile(journalPath(), '{"op":"put","doc":{"id":"b","na');
+
+        const reopened = open();
+        assert.deepStrictEqual(await ids(reopened), ['a']);
+        assert.ok(console.error.mock.calls.some(call => /bytes incompletos/.test(call.arguments[0])));
+
+        await reopened.create({ id: 'c', name: 'Feira' });
+        const lines = (await fs.readFile(journalPath(), 'utf8')).trim().split('\n');
+        assert.deepStrictEqual(lines.map(line => JSON.parse(line).doc.id), ['a', 'c']);
+        assert.deepStrictEqual(await ids(open()), ['a', 'c']);
+    });
+
+    it('lança CorruptedCollectionError para uma linha inválida no meio do journal', async () => {
+        const db = open();
+        await db.create({ id: 'a', name: 'Mercado' });
+        await fs.appendFile(journalPath(), 'lixo\n{"op":"delete","id":"a"}\n');
+
+        await assert.rejects(open().find(), CorruptedCollectionError);
+    });
+
+    it('compacta o journal no snapshot', async () => {
+        const db = open();
+        await db.create({ id: 'a', name: 'Mercado' });
+        await db.create({ id: 'b', name: 'Feira' });
+        await db.delete('a');
+
+        assert.deepStrictEqual(await db.compact(), { compacted: 3 });
+        assert.deepStrictEqual((await fs.readJson(path.join(dir, 'lists.json'))).map(doc => doc.id), ['b']);
+        assert.strictEqual(await fs.readFile(journalPath(), 'utf8'), '');
+        assert.deepStrictEqual(await ids(open()), ['b']);
+    });
+
+    it('compacta sozinho ao atingir compactThreshold', async () => {
+        const db = open({ compactThreshold: 3 });
+        for (const id of ['a', 'b', 'c']) {
+            await db.create({ id });
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.deepStrictEqual((await fs.readJson(path.join(dir, 'lists.json'))).map(doc => doc.id), ['a', 'b', 'c']);
+        assert.strictEqual(await fs.readFile(journalPath(), 'utf8'), '');
+    });
+
+    it('incorpora o journal ao snapshot ao abrir em modo snapshot', async () => {
+        const db = open();
+        await db.create({ id: 'a', name: 'Mercado' });
+
+        const snapshot = open({ persistence: 'snapshot' });
+        assert.deepStrictEqual(await ids(snapshot), ['a']);
+        assert.strictEqual(await fs.pathExists(journalPath()), false);
+        assert.deepStrictEqual((await fs.readJson(path.join(dir, 'lists.json'))).map(doc => doc.id), ['a']);
+    });
+});
@@ -1,31 +1,119 @@
 // shared/JsonDatabase.js
-const fs = require('fs-extra');
-const path = require('path');
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
+const SchemaValidator = require('./SchemaValidator');
+const ChangeStream = require('./ChangeStream');
+const AggregationPipeline = require('./AggregationPipeline');
+const TextIndex = require('./TextIndex');
+const Transaction = require('./Transaction');
+const KeyRing = require('./KeyRing');
+const { createStorage } = require('./storage');
+const {
+    DatabaseError,
+    InvalidQueryError,
+    DuplicateKeyError,
+    UniqueConstraintError,
+    ValidationError,
+    VersionConflictError,
+    InvalidResumeTokenError,
+    InvalidCursorError,
+    TransactionError,
+    BulkWriteError,
+    EncryptionError
+} = require('./DatabaseErrors');
+
+// Campos mantidos pelo próprio banco em todo documento
+const SYSTEM_FIELDS = ['id', 'createdAt', 'updatedAt', 'version'];
+
+// Fila de escrita por arquivo de coleção. É compartilhada entre instâncias do
+// mesmo processo para que duas instâncias apontando para o mesmo arquivo
+// também sejam serializadas.
+const writeQueues = new Map();
+
+// Fluxo de mudanças por arquivo de coleção, também compartilhado entre
+// instâncias do processo: { emitter, epoch, sequence, history }
+const changeFeeds = new Map();
 
 class JsonDatabase {
-    constructor(dbPath, collectionName) {
+    constructor(dbPath, collectionName, options = {}) {
         this.dbPath = dbPath;
         this.collectionName = collectionName;
-        this.filePath = path.join(dbPath, `${collectionName}.json`);
-        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.options = {
+            storage: 'file', // 'file', 'memory', 'sqlite' ou uma instância (ver storage/)
+            fsync: false, // fsync do arquivo e do diretório a cada escrita
+            indexes: [], // ex: [{ fields: ['email'], unique: true }]
+            cache: true, // manter a coleção em memória entre operações
+            persistence: 'snapshot', // 'snapshot' (reescreve o arquivo) ou 'journal'
+            compactThreshold: 1000, // entradas no journal antes de compactar
+            compactInterval: 60000, // compactação periódica em background (ms)
+            schema: null, // JSON Schema aplicado em create/update (ver SchemaValidator)
+            coerce: true, // converter tipos simples para o tipo do schema
+            changeHistorySize: 1000, // eventos guardados para retomar um watch()
+            textIndex: null, // pesos dos campos no search(), ex: { name: 3, description: 1 }
+            ttl: null, // expiração: { field: 'expiresAt' } ou { field: 'createdAt', seconds: 3600 }
+            ttlSweepInterval: 60000, // remoção periódica dos documentos expirados (ms)
+            encryption: null, // KeyRing (ver KeyRing.fromEnv): grava a coleção cifrada
+            encryptedFields: [], // campos cifrados também dentro do documento, ex: ['password']
+            ...options
+        };
+        this.storage = createStorage(this.options.storage, {
+            dbPath,
+            collectionName,
+            fsync: this.options.fsync,
+            persistence: this.options.persistence,
+            encryption: this.options.encryption
+        });
+        this.compactTimer = null;
+        this.sweepTimer = null;
+        this.ttl = this.normalizeTtl(this.options.ttl);
+        this.textWeights = this.normalizeTextWeights(this.options.textIndex);
+        this.indexDefinitions = this.normalizeIndexDefinitions(this.options.indexes);
+        this.encryption = this.options.encryption || null;
+        this.encryptedFields = this.normalizeEncryptedFields(this.options.encryptedFields);
+        this.validator = this.options.schema
+            ? new SchemaValidator(this.options.schema, {
+                coerce: this.options.coerce,
+                ignoredFields: SYSTEM_FIELDS
+            })
+            : null;
+        this.cache = null;
+        this.cacheStats = {
+            hits: 0,
+            misses: 0,
+            loads: 0,
+            totalLoadMs: 0,
+            lastLoadMs: 0,
+            lastLoadedAt: null
+        };
 
-        this.ensureDatabase();
+        // Todas as operações aguardam a inicialização antes de tocar no disco
+        this.ready = this.ensureDatabase();
+        this.ready.catch(() => {});
     }
 
     async ensureDatabase() {
         try {
-            // Criar diretório do banco se não existir
-            await fs.ensureDir(this.dbPath);
+            await this.storage.init();
 
-            // Criar arquivo da coleção se não existir
-            if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
+            // Reconstruir índices a partir dos documentos: cobre definições
+            // novas e um índice que ficou para trás após uma queda
+            const { documents, version } = await this.storage.load();
+            await this.storage.writeIndex(this.buildIndex(documents), version);
+
+            if (this.storage.compacts && this.options.compactInterval > 0) {
+                this.compactTimer = setInterval(() => {
+                    this.compactIfNeeded(1).catch(error =>
+                        console.error('Erro na compactação do journal:', error));
+                }, this.options.compactInterval);
+                this.compactTimer.unref();
             }
 
-            // Criar índice se não existir
-            if (!await fs.pathExists(this.indexPath)) {
-                await fs.writeJson(this.indexPath, {});
+            if (this.ttl && this.options.ttlSweepInterval > 0) {
+                this.sweepTimer = setInterval(() => {
+                    this.purgeExpired().catch(error =>
+                        console.error('Erro ao remover documentos expirados:', error));
+                }, this.options.ttlSweepInterval);
+                this.sweepTimer.unref();
             }
         } catch (error) {
             console.error('Erro ao inicializar banco:', error);
@@ -36,19 +124,18 @@ class JsonDatabase {
     // Criar documento
     async create(data) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+            return await this.withWriteLock(async () => {
+                const state = await this.loadWriteState();
+                const document = this.prepareInsert(data, state.byId);
 
-            documents.push(document);
-            await this.writeAll(documents);
-            await this.updateIndex(document);
+                this.assertUniqueConstraints(state.index, document, null);
 
-            return document;
+                await this.commitChanges(state, [...state.documents, document], [
+                    { type: 'insert', before: null, after: document }
+                ]);
+
+                return this.cloneDocument(document);
+            });
         } catch (error) {
             console.error('Erro ao criar documento:', error);
             throw error;
@@ -58,8 +145,9 @@ class JsonDatabase {
     // Buscar por ID
     async findById(id) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => doc.id === id) || null;
+            const state = await this.loadState();
+            const document = state.byId.get(id);
+            return document && !this.isExpired(document) ? this.cloneDocument(document) : null;
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -69,47 +157,73 @@ class JsonDatabase {
     // Buscar um documento com filtro
     async findOne(filter) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            const documents = await this.queryDocuments(filter);
+            const document = documents.find(doc => this.matchesFilter(doc, filter));
+            return document ? this.cloneDocument(document) : null;
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
         }
     }
 
-    // Buscar múltiplos documentos
+    // Buscar múltiplos documentos. Opções: sort, skip, limit, projection (ex:
+    // { password: 0 } ou { name: 1, 'profile.firstName': 1 }) e cursor (ver
+    // findPage)
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
-
-            // Aplicar filtro
-            if (Object.keys(filter).length > 0) {
-                documents = documents.filter(doc => this.matchesFilter(doc, filter));
-            }
-
-            // Aplicar ordenação
-            if (options.sort) {
-                documents = this.sortDocuments(documents, options.sort);
+            if (options.cursor) {
+                return (await this.queryPage(filter, options)).documents;
             }
 
-            // Aplicar paginação
-            if (options.skip || options.limit) {
-                const skip = options.skip || 0;
-                const limit = options.limit || documents.length;
-                documents = documents.slice(skip, skip + limit);
-            }
+            const projection = this.normalizeProjection(options.projection);
+            const documents = await this.queryDocuments(filter);
+            return this.selectDocuments(documents, filter, options).map(doc => this.projectDocument(doc, projection));
+        } catch (error) {
+            console.error('Erro ao buscar documentos:', error);
+            throw error;
+        }
+    }
 
-            return documents;
+    // Uma página do find() com o cursor da próxima: { documents, nextCursor }.
+    // O cursor é opaco e guarda a chave de ordenação do último documento da
+    // página; passado de volta em `cursor`, a busca continua depois dele
+    // (ignorando `skip`), então inserções e remoções concorrentes não
+    // deslocam as páginas. `id` entra como desempate na ordenação. nextCursor
+    // é null na última página.
+    async findPage(filter = {}, options = {}) {
+        try {
+            return await this.queryPage(filter, options);
         } catch (error) {
             console.error('Erro ao buscar documentos:', error);
             throw error;
         }
     }
 
+    async queryPage(filter, options) {
+        const sort = this.getKeysetSort(options.sort);
+        const projection = this.normalizeProjection(options.projection);
+        const after = options.cursor ? this.decodeCursor(options.cursor, sort) : null;
+
+        let documents = this.selectDocuments(await this.queryDocuments(filter), filter, { sort });
+        if (after) {
+            const start = documents.findIndex(doc => this.compareToCursor(doc, after, sort) > 0);
+            documents = start === -1 ? [] : documents.slice(start);
+        } else if (options.skip) {
+            documents = documents.slice(options.skip);
+        }
+
+        const page = options.limit ? documents.slice(0, options.limit) : documents;
+        const nextCursor = page.length > 0 && page.length < documents.length
+            ? this.encodeCursor(page[page.length - 1], sort)
+            : null;
+
+        return { documents: page.map(doc => this.projectDocument(doc, projection)), nextCursor };
+    }
+
     // Contar documentos
     async count(filter = {}) {
         try {
-            const documents = await this.readAll();
+            const documents = await this.queryDocuments(filter);
             if (Object.keys(filter).length === 0) {
                 return documents.length;
             }
@@ -120,144 +234,1556 @@ class JsonDatabase {
         }
     }
 
-    // Atualizar documento
-    async update(id, updates) {
+    // Agregação em estágios ($match, $group, $sort, $limit, $skip, $project,
+    // $unwind; ver AggregationPipeline). Um $match no início usa os índices
+    // como o find().
+    async aggregate(pipeline) {
+        try {
+            const aggregation = new AggregationPipeline(this, pipeline);
+            const documents = await this.queryDocuments(aggregation.getInitialFilter());
+            return aggregation.run(documents.map(doc => this.cloneDocument(doc)));
+        } catch (error) {
+            console.error('Erro na agregação:', error);
+            throw error;
+        }
+    }
+
+    // Atualizar documento. `updates` pode ser um objeto simples (equivalente a
+    // $set, com suporte a caminhos como 'profile.preferences.theme') ou um
+    // objeto de operadores: $set, $unset, $inc, $push, $pull, $addToSet.
+    // Com `options.expectedVersion`, falha com VersionConflictError se o
+    // documento tiver sido alterado desde aquela versão (ou não estiver em
+    // nenhuma das versões, se for uma lista). Com `options.validate: false`,
+    // o schema da coleção não é aplicado (usado pelas migrações, que corrigem
+    // documentos antigos fora do schema).
+    async update(id, updates, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.modifyDocument(id, options, current => this.applyUpdate(current, updates));
+        } catch (error) {
+            console.error('Erro ao atualizar documento:', error);
+            throw error;
+        }
+    }
 
-            if (index === -1) {
+    // Substitui o conteúdo inteiro do documento (campos ausentes em
+    // `document` são removidos). id, createdAt e version seguem as mesmas
+    // regras do update.
+    async replace(id, document, options = {}) {
+        try {
+            return await this.modifyDocument(id, options, current => this.applyReplacement(current, document));
+        } catch (error) {
+            console.error('Erro ao substituir documento:', error);
+            throw error;
+        }
+    }
+
+    async modifyDocument(id, options, transform) {
+        return this.withWriteLock(async () => {
+            const state = await this.loadWriteState();
+            const current = state.byId.get(id);
+
+            if (!current) {
                 return null;
             }
 
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id, // Preservar ID
-                createdAt: documents[index].createdAt, // Preservar data de criação
-                updatedAt: new Date().toISOString()
-            };
+            this.assertExpectedVersion(current, options.expectedVersion);
+
+            const updated = this.prepareUpdate(current, transform(current), options);
+            this.assertUniqueConstraints(state.index, updated, current);
+
+            const documents = state.documents.map(doc => doc.id === id ? updated : doc);
+            await this.commitChanges(state, documents, [
+                { type: 'update', before: current, after: updated }
+            ]);
 
-            await this.writeAll(documents);
-            await this.updateIndex(documents[index]);
+            return this.cloneDocument(updated);
+        });
+    }
+
+    async delete(id, options = {}) {
+        try {
+            return await this.withWriteLock(async () => {
+                const state = await this.loadWriteState();
+                const removed = state.byId.get(id);
+
+                if (!removed) {
+                    return false;
+                }
+
+                this.assertExpectedVersion(removed, options.expectedVersion);
+
+                const documents = state.documents.filter(doc => doc.id !== id);
+                await this.commitChanges(state, documents, [
+                    { type: 'delete', before: removed, after: null }
+                ]);
 
-            return documents[index];
+                return true;
+            });
         } catch (error) {
-            console.error('Erro ao atualizar documento:', error);
+            console.error('Erro ao deletar documento:', error);
+            throw error;
+        }
+    }
+
+    // Operações em lote ---------------------------------------------------
+    // Cada uma grava todas as mudanças de uma vez (uma única escrita no
+    // armazenamento), travando a coleção só uma vez.
+
+    // Insere vários documentos. Com `atomic` (padrão), basta um documento
+    // inválido ou duplicado para nada ser gravado: lança BulkWriteError com
+    // os problemas de cada posição. Com `atomic: false`, os válidos são
+    // gravados e os problemas voltam em `errors`. Resultado:
+    // { insertedCount, documents, errors: [{ index, code, message, errors? }] }
+    async insertMany(documents, options = {}) {
+        const { atomic = true } = options;
+
+        if (!Array.isArray(documents)) {
+            throw new InvalidQueryError('insertMany espera uma lista de documentos');
+        }
+
+        try {
+            return await this.withWriteLock(async () => {
+                const state = await this.loadWriteState();
+                const index = this.cloneDocument(state.index);
+                const ids = new Set(state.byId.keys());
+                const inserted = [];
+                const errors = [];
+
+                documents.forEach((data, position) => {
+                    try {
+                        if (!this.isPlainObject(data)) {
+                            throw new InvalidQueryError('Documento deve ser um objeto');
+                        }
+                        const document = this.prepareInsert(data, ids);
+                        this.assertUniqueConstraints(index, document, null);
+                        this.indexDocument(index, document);
+                        ids.add(document.id);
+                        inserted.push(document);
+                    } catch (error) {
+                        if (!(error instanceof DatabaseError)) throw error;
+                        errors.push(this.describeBulkError(position, error));
+                    }
+                });
+
+                if (atomic && errors.length > 0) {
+                    throw new BulkWriteError(this.collectionName, errors);
+                }
+
+                if (inserted.length > 0) {
+                    await this.commitChanges(
+                        state,
+                        [...state.documents, ...inserted],
+                        inserted.map(document => ({ type: 'insert', before: null, after: document }))
+                    );
+                }
+
+                return {
+                    insertedCount: inserted.length,
+                    documents: inserted.map(document => this.cloneDocument(document)),
+                    errors
+                };
+            });
+        } catch (error) {
+            console.error('Erro ao inserir documentos:', error);
             throw error;
         }
     }
 
-    // Deletar documento
-    async delete(id) {
+    // Aplica `updates` (mesmo formato do update) a todos os documentos que
+    // casam com o filtro. Se qualquer um ficar inválido, nenhum é gravado.
+    async updateMany(filter, updates) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.withWriteLock(async () => {
+                const state = await this.loadWriteState();
+                const index = this.cloneDocument(state.index);
+                const changes = [];
 
-            if (index === -1) {
-                return false;
-            }
+                for (const current of state.documents) {
+                    if (!this.matchesFilter(current, filter || {})) continue;
+
+                    const updated = this.prepareUpdate(current, this.applyUpdate(current, updates));
+                    this.assertUniqueConstraints(index, updated, current);
+                    this.unindexDocument(index, current);
+                    this.indexDocument(index, updated);
+                    changes.push({ type: 'update', before: current, after: updated });
+                }
 
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            await this.removeFromIndex(id);
+                if (changes.length > 0) {
+                    const replacements = new Map(changes.map(change => [change.before, change.after]));
+                    await this.commitChanges(
+                        state,
+                        state.documents.map(doc => replacements.get(doc) || doc),
+                        changes
+                    );
+                }
 
-            return true;
+                return { updatedCount: changes.length };
+            });
         } catch (error) {
-            console.error('Erro ao deletar documento:', error);
+            console.error('Erro ao atualizar documentos:', error);
             throw error;
         }
     }
 
-    // Busca de texto
-    async search(query, fields = []) {
+    async deleteMany(filter) {
         try {
-            const documents = await this.readAll();
-            const searchTerm = query.toLowerCase();
-
-            return documents.filter(doc => {
-                // Se campos específicos foram fornecidos, buscar apenas neles
-                if (fields.length > 0) {
-                    return fields.some(field => {
-                        const value = this.getNestedValue(doc, field);
-                        return value && value.toString().toLowerCase().includes(searchTerm);
-                    });
+            return await this.withWriteLock(async () => {
+                const state = await this.loadWriteState();
+                const removed = state.documents.filter(doc => this.matchesFilter(doc, filter || {}));
+
+                if (removed.length > 0) {
+                    await this.commitChanges(
+                        state,
+                        state.documents.filter(doc => !removed.includes(doc)),
+                        removed.map(doc => ({ type: 'delete', before: doc, after: null }))
+                    );
                 }
 
-                // Buscar em todos os campos de string do documento
-                return this.searchInObject(doc, searchTerm);
+                return { deletedCount: removed.length };
             });
+        } catch (error) {
+            console.error('Erro ao deletar documentos:', error);
+            throw error;
+        }
+    }
+
+    // Entrada de BulkWriteError para o documento na posição `index`
+    describeBulkError(index, error) {
+        const entry = { index, code: error.code, message: error.message };
+        if (error.errors) entry.errors = error.errors;
+        return entry;
+    }
+
+    // Executa `callback(tx)` como uma transação: as escritas feitas por `tx`
+    // (nesta coleção ou em outras, via tx.collection(db)) só são gravadas se
+    // o callback terminar sem erro; uma exceção descarta todas. Ver
+    // Transaction para as garantias de isolamento.
+    async transaction(callback) {
+        return Transaction.run(this, callback);
+    }
+
+    // Busca textual com relevância (ver TextIndex): ignora acentos e
+    // maiúsculas, reduz as palavras ao radical e tolera erros de digitação.
+    // `fields` é uma lista de campos (peso 1) ou um objeto { campo: peso };
+    // sem campos, usa a opção textIndex da coleção ou todos os textos do
+    // documento. Os documentos voltam do mais relevante para o menos, com a
+    // pontuação em `_score`. Opções: filter, limit e projection.
+    async search(query, fields = [], options = {}) {
+        try {
+            const weights = this.getSearchWeights(fields);
+            const projection = this.normalizeProjection(options.projection);
+            const state = await this.loadState();
+            const now = Date.now();
+            const results = [];
+
+            for (const { id, score } of this.getTextIndex(state, weights).search(String(query))) {
+                const doc = state.byId.get(id);
+                if (!doc || this.isExpired(doc, now)) continue;
+                if (options.filter && !this.matchesFilter(doc, options.filter)) continue;
+
+                results.push({ ...this.projectDocument(doc, projection), _score: score });
+                if (options.limit && results.length >= options.limit) break;
+            }
+            return results;
         } catch (error) {
             console.error('Erro na busca:', error);
             throw error;
         }
     }
 
+    // Documento novo com os campos de sistema, já validado pelo schema.
+    // `existingIds` (Map ou Set) são os ids já usados na coleção: um id
+    // informado que já existe lança DuplicateKeyError, como um índice único.
+    prepareInsert(data, existingIds) {
+        const id = data.id || uuidv4();
+        if (existingIds.has(id)) {
+            throw new DuplicateKeyError(this.collectionName, 'id', ['id'], [id]);
+        }
+
+        return this.encryptFields(this.validateDocument(this.readableFields({
+            ...data,
+            id,
+            createdAt: data.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            version: 1
+        }), null));
+    }
+
+    // Nova versão de `current` a partir do resultado de um update/replace
+    prepareUpdate(current, next, options = {}) {
+        const fields = options.validate === false
+            ? this.readableFields(next)
+            : this.validateDocument(this.readableFields(next), this.readableFields(current));
+        return {
+            ...this.encryptFields(fields),
+            id: current.id, // Preservar ID
+            createdAt: current.createdAt, // Preservar data de criação
+            updatedAt: new Date().toISOString(),
+            version: this.getVersion(current) + 1
+        };
+    }
+
+    applyReplacement(current, document) {
+        const { id: _id, createdAt, updatedAt, version, ...fields } = this.cloneDocument(document);
+        return { ...fields, id: current.id, createdAt: current.createdAt };
+    }
+
+    // Filtro, ordenação e paginação do find() sobre documentos já carregados
+    selectDocuments(documents, filter = {}, options = {}) {
+        let selected = documents;
+
+        // Aplicar filtro
+        if (Object.keys(filter).length > 0) {
+            selected = selected.filter(doc => this.matchesFilter(doc, filter));
+        }
+
+        // Aplicar ordenação
+        if (options.sort) {
+            selected = this.sortDocuments([...selected], options.sort);
+        }
+
+        // Aplicar paginação
+        if (options.skip || options.limit) {
+            const skip = options.skip || 0;
+            const limit = options.limit || selected.length;
+            selected = selected.slice(skip, skip + limit);
+        }
+
+        return selected;
+    }
+
+    // Documentos gravados antes do controle de versão contam como versão 0
+    getVersion(document) {
+        return Number.isInteger(document.version) ? document.version : 0;
+    }
+
+    // `expectedVersion` é uma versão ou uma lista de versões aceitas (como
+    // as várias ETags de um If-Match)
+    assertExpectedVersion(document, expectedVersion) {
+        if (expectedVersion === undefined || expectedVersion === null) return;
+
+        const currentVersion = this.getVersion(document);
+        if (![].concat(expectedVersion).includes(currentVersion)) {
+            throw new VersionConflictError(this.collectionName, document.id, expectedVersion, currentVersion);
+        }
+    }
+
+    // Aplica o schema da coleção (defaults e coerções) e lança
+    // ValidationError com todos os problemas encontrados. Em atualizações,
+    // `previous` é o documento atual: id e createdAt não podem mudar.
+    validateDocument(document, previous) {
+        if (!this.validator) return document;
+
+        const { value, errors } = this.validator.validate(document, { previous });
+        if (previous) {
+            for (const field of ['id', 'createdAt']) {
+                if (document[field] !== previous[field]) {
+                    errors.push({ field, message: 'Campo somente leitura' });
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError(this.collectionName, errors);
+        }
+        return value;
+    }
+
+    // Fluxo de mudanças ------------------------------------------------------
+    //
+    // Eventos de insert/update/delete feitos por este processo (em qualquer
+    // instância que aponte para o mesmo arquivo). Escritas de outros
+    // processos só aparecem nos dados, não no fluxo.
+
+    // `filter` é aplicado ao documento depois da mudança (ou ao documento
+    // removido, em deletes). Opções: operationTypes (ex: ['insert']) e
+    // resumeAfter (token `_id` de um evento anterior).
+    watch(filter = {}, options = {}) {
+        const feed = this.getChangeFeed();
+        const operationTypes = options.operationTypes || null;
+
+        const matches = event => {
+            if (operationTypes && !operationTypes.includes(event.operationType)) return false;
+            if (Object.keys(filter).length === 0) return true;
+
+            const document = event.fullDocument || event.fullDocumentBeforeChange;
+            return this.matchesFilter(document, filter);
+        };
+
+        let replay = [];
+        if (options.resumeAfter) {
+            replay = this.getEventsAfter(feed, options.resumeAfter);
+        }
+
+        return new ChangeStream(feed.emitter, matches, replay);
+    }
+
+    getChangeFeed() {
+        if (!changeFeeds.has(this.storage.key)) {
+            const emitter = new EventEmitter();
+            emitter.setMaxListeners(0);
+            changeFeeds.set(this.storage.key, { emitter, epoch: uuidv4(), sequence: 0, history: [] });
+        }
+        return changeFeeds.get(this.storage.key);
+    }
+
+    publishChanges(changes) {
+        const feed = this.getChangeFeed();
+
+        for (const change of changes) {
+            feed.sequence++;
+            const event = {
+                _id: this.encodeResumeToken(feed.epoch, feed.sequence),
+                sequence: feed.sequence,
+                operationType: change.type,
+                collection: this.collectionName,
+                documentKey: { id: (change.after || change.before).id },
+                fullDocument: change.after ? this.cloneDocument(change.after) : null,
+                fullDocumentBeforeChange: change.before ? this.cloneDocument(change.before) : null,
+                timestamp: new Date().toISOString()
+            };
+
+            feed.history.push(event);
+            if (feed.history.length > this.options.changeHistorySize) {
+                feed.history.shift();
+            }
+            feed.emitter.emit('change', event);
+        }
+    }
+
+    getEventsAfter(feed, token) {
+        const position = this.decodeResumeToken(token);
+        if (!position || position.epoch !== feed.epoch || position.sequence > feed.sequence) {
+            throw new InvalidResumeTokenError(this.collectionName, token);
+        }
+
+        // O evento seguinte ao token precisa ainda estar no histórico
+        const oldest = feed.history.length > 0 ? feed.history[0].sequence : feed.sequence + 1;
+        if (position.sequence + 1 < oldest) {
+            throw new InvalidResumeTokenError(this.collectionName, token);
+        }
+
+        return feed.history.filter(event => event.sequence > position.sequence);
+    }
+
+    encodeResumeToken(epoch, sequence) {
+        return Buffer.from(JSON.stringify({ epoch, sequence })).toString('base64url');
+    }
+
+    decodeResumeToken(token) {
+        try {
+            const { epoch, sequence } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+            return Number.isInteger(sequence) ? { epoch, sequence } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Busca textual ----------------------------------------------------------
+    //
+    // Cada estado do cache guarda os índices invertidos já montados, um por
+    // conjunto de pesos. São criados na primeira busca e atualizados a cada
+    // commit, como os índices secundários.
+
+    normalizeTextWeights(weights) {
+        if (weights === undefined || weights === null) return null;
+
+        const entries = Array.isArray(weights)
+            ? weights.map(field => [field, 1])
+            : this.isPlainObject(weights) ? Object.entries(weights) : null;
+        if (!entries || entries.some(([field, weight]) =>
+            typeof field !== 'string' || typeof weight !== 'number' || !(weight > 0))) {
+            throw new InvalidQueryError('Campos da busca textual devem ser uma lista ou { campo: peso > 0 }');
+        }
+        return entries.length > 0 ? Object.fromEntries(entries) : null;
+    }
+
+    getSearchWeights(fields) {
+        return this.normalizeTextWeights(fields) || this.textWeights;
+    }
+
+    getTextIndex(state, weights) {
+        const key = weights ? JSON.stringify(weights) : '*';
+        if (!state.textIndexes.has(key)) {
+            const textIndex = new TextIndex(weights, {
+                ignoredFields: [...SYSTEM_FIELDS, ...this.encryptedFields]
+            });
+            for (const document of state.documents) {
+                textIndex.add(document);
+            }
+            state.textIndexes.set(key, textIndex);
+        }
+        return state.textIndexes.get(key);
+    }
+
+    // Projeção e cursores ----------------------------------------------------
+
+    // Projeção de inclusão ({ campo: 1 }) ou de exclusão ({ campo: 0 }),
+    // com caminhos aninhados. Como no MongoDB, o id sempre vem, a não ser
+    // que seja excluído explicitamente, e só ele pode ser excluído numa
+    // projeção de inclusão.
+    normalizeProjection(projection) {
+        if (projection === undefined || projection === null) return null;
+        if (!this.isPlainObject(projection)) {
+            throw new InvalidQueryError('projection deve ser um objeto de campos');
+        }
+
+        const entries = Object.entries(projection);
+        if (entries.length === 0) return null;
+
+        for (const [field, value] of entries) {
+            if (![0, 1, true, false].includes(value)) {
+                throw new InvalidQueryError(`Valor de projeção inválido para "${field}": use 1 ou 0`);
+            }
+            this.splitPath(field);
+        }
+
+        const included = entries.filter(([, value]) => value).map(([field]) => field);
+        const excluded = entries.filter(([, value]) => !value).map(([field]) => field);
+        if (included.length > 0 && excluded.some(field => field !== 'id')) {
+            throw new InvalidQueryError('projection não pode misturar inclusão e exclusão de campos');
+        }
+
+        return included.length > 0
+            ? { include: included, keepId: !excluded.includes('id') }
+            : { exclude: excluded };
+    }
+
+    // Cópia do documento com a projeção já normalizada (null = inteiro)
+    projectDocument(document, projection) {
+        if (!projection) return this.cloneDocument(document);
+
+        if (projection.exclude) {
+            const result = this.cloneDocument(document);
+            for (const field of projection.exclude) {
+                this.unsetNestedValue(result, field);
+            }
+            return result;
+        }
+
+        const result = {};
+        if (projection.keepId && document.id !== undefined) {
+            result.id = document.id;
+        }
+        for (const field of projection.include) {
+            const value = this.getNestedValue(document, field);
+            if (value !== undefined) {
+                this.setNestedValue(result, field, this.cloneDocument(value));
+            }
+        }
+        return result;
+    }
+
+    getKeysetSort(sort = {}) {
+        if (!this.isPlainObject(sort) ||
+            Object.values(sort).some(direction => direction !== 1 && direction !== -1)) {
+            throw new InvalidQueryError('sort exige campos com direção 1 ou -1');
+        }
+        return 'id' in sort ? { ...sort } : { ...sort, id: 1 };
+    }
+
+    // Os valores ausentes viram [] e os presentes [valor], para que um campo
+    // faltando não volte do JSON como null
+    encodeCursor(document, sort) {
+        const values = Object.keys(sort).map(field => {
+            const value = this.getNestedValue(document, field);
+            return value === undefined ? [] : [value];
+        });
+        return Buffer.from(JSON.stringify({ sort: Object.entries(sort), values })).toString('base64url');
+    }
+
+    decodeCursor(cursor, sort) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new InvalidCursorError(cursor);
+        }
+
+        const fields = Object.keys(sort);
+        if (!decoded || !Array.isArray(decoded.values) || decoded.values.length !== fields.length ||
+            !decoded.values.every(Array.isArray) ||
+            JSON.stringify(decoded.sort) !== JSON.stringify(Object.entries(sort))) {
+            throw new InvalidCursorError(cursor);
+        }
+        return decoded.values.map(value => (value.length > 0 ? value[0] : undefined));
+    }
+
+    // Posição do documento em relação ao cursor, na ordem de `sort`. Usa a
+    // mesma comparação do sortDocuments: se as duas discordassem, a página
+    // seguinte poderia repetir ou pular documentos.
+    compareToCursor(document, values, sort) {
+        return this.compareSortKeys(this.getSortKey(document, sort), values, sort);
+    }
+
+    // Estatísticas do cache e das cargas do arquivo (exibidas no /health)
+    getStats() {
+        const { hits, misses, loads, totalLoadMs, lastLoadMs, lastLoadedAt } = this.cacheStats;
+        const lookups = hits + misses;
+
+        return {
+            collection: this.collectionName,
+            storage: this.storage.type,
+            documentCount: this.cache ? this.cache.documents.length : null,
+            cache: {
+                enabled: this.options.cache,
+                hits,
+                misses,
+                hitRate: lookups > 0 ? Number((hits / lookups).toFixed(4)) : 0
+            },
+            load: {
+                count: loads,
+                lastMs: lastLoadMs,
+                avgMs: loads > 0 ? Number((totalLoadMs / loads).toFixed(3)) : 0,
+                lastLoadedAt
+            }
+        };
+    }
+
     // Métodos auxiliares
     async readAll() {
+        const { documents } = await this.loadState();
+        return this.withoutExpired(documents).map(doc => this.cloneDocument(doc));
+    }
+
+    // Estado em memória da coleção (documentos, mapa por id e índices). É
+    // reaproveitado enquanto a versão do armazenamento não mudar; uma escrita
+    // de outro processo muda a versão e força a recarga. Os documentos do
+    // cache nunca são entregues diretamente aos chamadores, só cópias.
+    async loadState() {
+        await this.ready;
+        const version = await this.storage.getVersion();
+
+        if (this.options.cache && this.cache && this.storage.isSameVersion(this.cache.version, version)) {
+            this.cacheStats.hits++;
+            return this.cache;
+        }
+
+        this.cacheStats.misses++;
+        const startedAt = process.hrtime.bigint();
+
+        const { documents, version: readVersion, info } = await this.storage.load();
+        const index = await this.loadIndex(documents, readVersion);
+        const state = this.setCache(documents, index, readVersion, info);
+
+        const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        this.cacheStats.loads++;
+        this.cacheStats.totalLoadMs += elapsedMs;
+        this.cacheStats.lastLoadMs = Number(elapsedMs.toFixed(3));
+        this.cacheStats.lastLoadedAt = new Date().toISOString();
+
+        return state;
+    }
+
+    // `info` é o estado próprio do armazenamento (ex: tamanho do journal)
+    setCache(documents, index, version, info = null, textIndexes = new Map()) {
+        const state = {
+            documents,
+            byId: new Map(documents.map(doc => [doc.id, doc])),
+            positions: new Map(documents.map((doc, position) => [doc.id, position])),
+            index,
+            textIndexes,
+            version,
+            info
+        };
+        this.cache = this.options.cache ? state : null;
+        return state;
+    }
+
+    // Persiste as mudanças e, só depois da escrita, aplica-as no índice e
+    // atualiza o cache
+    async commitChanges(state, documents, changes) {
+        const result = await this.storage.commit(documents, changes, state.info);
+        await this.applyCommit(state, documents, changes, result);
+    }
+
+    // Segunda metade do commit, separada para que uma transação grave todas
+    // as coleções antes de publicar qualquer mudança
+    async applyCommit(state, documents, changes, { version, info }) {
+        for (const change of changes) {
+            if (change.before) this.unindexDocument(state.index, change.before);
+            if (change.after) this.indexDocument(state.index, change.after);
+
+            for (const textIndex of state.textIndexes.values()) {
+                if (change.before) textIndex.remove(change.before);
+                if (change.after) textIndex.add(change.after);
+            }
+        }
+
+        this.setCache(documents, state.index, version, info, state.textIndexes);
+        this.publishChanges(changes);
+
+        if (this.storage.needsCompaction(info, this.options.compactThreshold)) {
+            setImmediate(() => {
+                this.compactIfNeeded(this.options.compactThreshold).catch(error =>
+                    console.error('Erro na compactação do journal:', error));
+            });
+        }
+        await this.storage.writeIndex(state.index, version);
+    }
+
+    // Compactação sob demanda: grava o estado atual como snapshot e esvazia
+    // o journal (só o armazenamento em arquivo no modo 'journal' compacta)
+    async compact() {
         try {
-            return await fs.readJson(this.filePath);
+            return await this.withWriteLock(() => this.compactStorage());
         } catch (error) {
-            return [];
+            console.error('Erro ao compactar coleção:', error);
+            throw error;
+        }
+    }
+
+    async compactIfNeeded(minEntries) {
+        return this.withWriteLock(async () => {
+            const state = await this.loadState();
+            if (this.storage.needsCompaction(state.info, minEntries)) {
+                await this.compactStorage();
+            }
+        });
+    }
+
+    async compactStorage() {
+        const { compacted, documents, version, info } = await this.storage.compact();
+        if (compacted === 0) return { compacted };
+
+        const index = this.buildIndex(documents);
+        this.setCache(documents, index, version, info);
+        await this.storage.writeIndex(index, version);
+
+        return { compacted };
+    }
+
+    // Expiração (TTL) -------------------------------------------------------
+    //
+    // Com a opção `ttl`, o documento expira na data do campo `field` somada a
+    // `seconds` (0 por padrão). O campo pode ser uma data ISO, um Date
+    // serializado ou um timestamp em ms; documentos sem o campo não expiram.
+    // As leituras ignoram documentos expirados mesmo antes da remoção, e
+    // cada escrita remove os expirados da coleção antes de rodar, para que
+    // eles também não contem nos índices únicos.
+
+    normalizeTtl(ttl) {
+        if (!ttl) return null;
+
+        const seconds = ttl.seconds === undefined ? 0 : ttl.seconds;
+        if (typeof ttl.field !== 'string' || ttl.field.length === 0 ||
+            typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+            throw new InvalidQueryError('ttl exige { field, seconds } com seconds >= 0');
+        }
+        return { field: ttl.field, seconds };
+    }
+
+    // Instante (ms) em que o documento expira, ou null
+    getExpiration(document) {
+        if (!this.ttl) return null;
+
+        const value = this.getNestedValue(document, this.ttl.field);
+        const time = typeof value === 'number' ? value : Date.parse(value);
+        return Number.isFinite(time) ? time + this.ttl.seconds * 1000 : null;
+    }
+
+    isExpired(document, now = Date.now()) {
+        const expiration = this.getExpiration(document);
+        return expiration !== null && expiration <= now;
+    }
+
+    withoutExpired(documents) {
+        if (!this.ttl) return [...documents];
+
+        const now = Date.now();
+        return documents.filter(doc => !this.isExpired(doc, now));
+    }
+
+    // Estado para uma escrita (já dentro da fila de escrita): remove antes os
+    // documentos expirados, gerando eventos de delete no watch()
+    async loadWriteState() {
+        const state = await this.loadState();
+        if (!this.ttl) return state;
+
+        const now = Date.now();
+        const expired = state.documents.filter(doc => this.isExpired(doc, now));
+        if (expired.length === 0) return state;
+
+        await this.commitChanges(
+            state,
+            state.documents.filter(doc => !expired.includes(doc)),
+            expired.map(doc => ({ type: 'delete', before: doc, after: null }))
+        );
+        return this.loadState();
+    }
+
+    // Remoção sob demanda dos documentos expirados (também feita
+    // periodicamente, conforme ttlSweepInterval)
+    async purgeExpired() {
+        if (!this.ttl) return { deleted: 0 };
+
+        return this.withWriteLock(async () => {
+            const before = (await this.loadState()).documents.length;
+            const after = (await this.loadWriteState()).documents.length;
+            return { deleted: before - after };
+        });
+    }
+
+    // Criptografia -----------------------------------------------------------
+    //
+    // Com a opção `encryption`, os arquivos da coleção são gravados cifrados
+    // (ver storage/encryption) e lidos de forma transparente. Os campos de
+    // `encryptedFields` são cifrados também dentro do documento: o cache, o
+    // find() e o findById() devolvem o valor cifrado, e só quem precisa do
+    // valor chama decryptField(). Por isso esses campos não podem ser
+    // indexados nem pesquisados, e filtros sobre eles não casam. Sem chave
+    // configurada, os campos são gravados em texto puro.
+
+    normalizeEncryptedFields(fields = []) {
+        if (!Array.isArray(fields) || fields.some(field => typeof field !== 'string' || !field)) {
+            throw new InvalidQueryError('encryptedFields deve ser uma lista de campos');
+        }
+
+        const unavailable = new Set([
+            ...SYSTEM_FIELDS,
+            ...this.indexDefinitions.flatMap(definition => definition.fields),
+            ...Object.keys(this.textWeights || {})
+        ]);
+        const conflict = fields.find(field => unavailable.has(field));
+        if (conflict) {
+            throw new InvalidQueryError(
+                `Campo cifrado "${conflict}" não pode ser indexado nem pesquisado na coleção "${this.collectionName}"`
+            );
+        }
+        return fields;
+    }
+
+    // Valor em texto puro de um campo cifrado (valores em texto puro voltam
+    // como estão)
+    decryptField(value) {
+        if (!KeyRing.isEncryptedValue(value)) return value;
+        if (!this.encryption) {
+            throw new EncryptionError(
+                `Campo cifrado na coleção "${this.collectionName}", mas nenhuma chave de criptografia foi configurada`
+            );
         }
+        return this.encryption.decryptValue(value);
+    }
+
+    // Cópia do documento com os campos de encryptedFields em texto puro
+    decryptFields(document) {
+        return this.mapEncryptedFields(document, value => this.decryptField(value));
+    }
+
+    // Cifra com a chave atual os campos de encryptedFields em texto puro
+    encryptFields(document) {
+        if (!this.encryption) return document;
+        return this.mapEncryptedFields(document, value =>
+            KeyRing.isEncryptedValue(value) ? value : this.encryption.encryptValue(value));
+    }
+
+    // Documento como o schema deve vê-lo: campos cifrados decifrados, se
+    // houver chave (sem ela, o valor cifrado segue como está)
+    readableFields(document) {
+        return this.encryption ? this.decryptFields(document) : document;
     }
 
-    async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+    mapEncryptedFields(document, transform) {
+        if (this.encryptedFields.length === 0) return document;
+
+        let result = document;
+        for (const field of this.encryptedFields) {
+            const value = this.getNestedValue(document, field);
+            if (value === undefined || value === null) continue;
+
+            const mapped = transform(value);
+            if (mapped !== value) {
+                if (result === document) result = this.cloneDocument(document);
+                this.setNestedValue(result, field, mapped);
+            }
+        }
+        return result;
+    }
+
+    // Valores cifrados em qualquer ponto do documento, inclusive campos que
+    // esta instância não declara em encryptedFields (ex: a linha de comando
+    // de rotação, que abre as coleções sem a configuração do serviço)
+    mapEncryptedValues(value, transform) {
+        if (KeyRing.isEncryptedValue(value)) return transform(value);
+        if (Array.isArray(value)) {
+            const mapped = value.map(item => this.mapEncryptedValues(item, transform));
+            return mapped.some((item, i) => item !== value[i]) ? mapped : value;
+        }
+        if (value && typeof value === 'object') {
+            let result = value;
+            for (const [key, item] of Object.entries(value)) {
+                const mapped = this.mapEncryptedValues(item, transform);
+                if (mapped !== item) {
+                    if (result === value) result = { ...value };
+                    result[key] = mapped;
+                }
+            }
+            return result;
+        }
+        return value;
     }
 
-    async updateIndex(document) {
+    // Regrava a coleção inteira com a chave atual: os arquivos (ou linhas do
+    // SQLite) e todos os valores cifrados dos documentos; campos de
+    // encryptedFields ainda em texto puro são cifrados. É o passo final da
+    // rotação de chaves, com a chave nova em *_ENCRYPTION_KEY e a antiga em
+    // *_ENCRYPTION_PREVIOUS_KEYS, e também cifra uma coleção gravada antes
+    // de a criptografia ser ligada. Não muda versões nem gera eventos.
+    async reencrypt() {
+        if (!this.encryption) {
+            throw new EncryptionError(
+                `Nenhuma chave de criptografia configurada para a coleção "${this.collectionName}"`
+            );
+        }
+
         try {
-            const index = await fs.readJson(this.indexPath);
-            index[document.id] = {
-                id: document.id,
-                updatedAt: document.updatedAt
-            };
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            return await this.withWriteLock(async () => {
+                const state = await this.loadState();
+                let fields = 0;
+
+                const documents = state.documents.map(document => {
+                    const encrypted = this.mapEncryptedFields(document, value => {
+                        if (KeyRing.isEncryptedValue(value)) return value;
+                        fields++;
+                        return this.encryption.encryptValue(value);
+                    });
+                    return this.mapEncryptedValues(encrypted, value => {
+                        if (!this.encryption.needsRotation(value)) return value;
+                        fields++;
+                        return this.encryption.encryptValue(this.decryptField(value));
+                    });
+                });
+
+                const { version, info } = await this.storage.replaceAll(documents);
+                const index = this.buildIndex(documents);
+                this.setCache(documents, index, version, info);
+                await this.storage.writeIndex(index, version);
+
+                return { documents: documents.length, fields, keyId: this.encryption.keyId };
+            });
         } catch (error) {
-            console.error('Erro ao atualizar índice:', error);
+            console.error('Erro ao recifrar coleção:', error);
+            throw error;
         }
     }
 
-    async removeFromIndex(id) {
+    // Chaves em uso na coleção: `keyId` é a atual; `storage` e `fields` são
+    // os kids encontrados nos dados gravados e nos campos cifrados (null
+    // para o que está em texto puro). Qualquer kid diferente do atual
+    // indica que falta rodar reencrypt().
+    async encryptionStatus() {
+        return this.withWriteLock(async () => {
+            const state = await this.loadState();
+            const fields = new Set();
+            for (const document of state.documents) {
+                this.mapEncryptedValues(document, value => {
+                    fields.add(KeyRing.keyIdFrom(value));
+                    return value;
+                });
+                this.mapEncryptedFields(document, value => {
+                    if (!KeyRing.isEncryptedValue(value)) fields.add(null);
+                    return value;
+                });
+            }
+
+            const storage = await this.storage.keyIds();
+            const keyId = this.encryption ? this.encryption.keyId : null;
+            return {
+                keyId,
+                storage,
+                fields: [...fields],
+                current: [...storage, ...fields].every(id => id === keyId)
+            };
+        });
+    }
+
+    // Backup e restauração ---------------------------------------------------
+
+    // Cópia consistente dos documentos, inclusive com o serviço dono da
+    // coleção escrevendo em outro processo
+    async snapshot() {
+        return this.withWriteLock(() => this.storage.snapshot());
+    }
+
+    // Substitui a coleção inteira pelos documentos informados. Não gera
+    // eventos no watch().
+    async restore(documents) {
         try {
-            const index = await fs.readJson(this.indexPath);
-            delete index[id];
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            return await this.withWriteLock(async () => {
+                const restored = documents.map(doc => this.cloneDocument(doc));
+                // Antes de gravar: documentos que violam um índice único
+                // falham aqui, com a coleção atual intacta
+                const index = this.buildIndex(restored);
+
+                const { version, info } = await this.storage.replaceAll(restored);
+                this.setCache(restored, index, version, info);
+                await this.storage.writeIndex(index, version);
+
+                return { restored: restored.length };
+            });
         } catch (error) {
-            console.error('Erro ao remover do índice:', error);
+            console.error('Erro ao restaurar coleção:', error);
+            throw error;
+        }
+    }
+
+    // Para a compactação e a remoção de expirados periódicas e libera o armazenamento (útil em testes e
+    // no encerramento)
+    close() {
+        if (this.compactTimer) {
+            clearInterval(this.compactTimer);
+            this.compactTimer = null;
+        }
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+        this.storage.close();
+    }
+
+    // Executa a operação depois de todas as escritas pendentes na coleção.
+    // Cada read-modify-write roda sozinho, então escritas concorrentes não se
+    // sobrescrevem mais.
+    async withWriteLock(operation) {
+        // Esperar a própria transação em andamento nunca terminaria
+        const transaction = Transaction.current();
+        if (transaction && transaction.running && transaction.holds(this.storage.key)) {
+            throw new TransactionError(
+                `Coleção "${this.collectionName}" está travada pela transação atual: use tx para escrever nela`
+            );
+        }
+
+        const release = await this.acquireWriteLock();
+        try {
+            await this.ready;
+            return await operation();
+        } finally {
+            release();
+        }
+    }
+
+    // Entra na fila de escrita da coleção e devolve a função que a libera.
+    // Usado diretamente pelas transações, que seguram a vez até o commit.
+    async acquireWriteLock() {
+        const key = this.storage.key;
+        const previous = writeQueues.get(key) || Promise.resolve();
+        let release;
+        const tail = previous.then(() => new Promise(resolve => { release = resolve; }));
+
+        writeQueues.set(key, tail);
+        await previous;
+
+        return () => {
+            release();
+            if (writeQueues.get(key) === tail) {
+                writeQueues.delete(key);
+            }
+        };
+    }
+
+    // Índices secundários -------------------------------------------------
+    //
+    // O arquivo _index.json guarda o mapa id -> updatedAt e, para cada índice
+    // declarado, o mapa chave -> ids. A chave é o JSON dos valores dos campos
+    // do índice; campos array geram uma entrada por elemento (multikey).
+    // Documentos sem algum dos campos não entram no índice, então consultas só
+    // usam índices para valores string, number ou boolean.
+
+    normalizeIndexDefinitions(indexes = []) {
+        return indexes.map(definition => {
+            const fields = Array.isArray(definition.fields) ? definition.fields : [definition.fields];
+            if (fields.length === 0 || fields.some(field => typeof field !== 'string' || !field)) {
+                throw new InvalidQueryError(`Índice inválido na coleção "${this.collectionName}"`);
+            }
+            return {
+                name: definition.name || fields.join('_'),
+                fields,
+                unique: Boolean(definition.unique)
+            };
+        });
+    }
+
+    createEmptyIndex() {
+        const indexes = {};
+        for (const definition of this.indexDefinitions) {
+            indexes[definition.name] = { ...definition, entries: {} };
+        }
+        return { documents: {}, indexes, source: null };
+    }
+
+    // Documentos que já violam um índice único impedem a criação do índice
+    // (UniqueConstraintError com os ids em conflito): os dados precisam ser
+    // corrigidos antes, por exemplo numa migração
+    buildIndex(documents) {
+        const index = this.createEmptyIndex();
+        for (const document of documents) {
+            this.indexDocument(index, document);
+        }
+
+        for (const definition of this.indexDefinitions) {
+            if (!definition.unique) continue;
+
+            const conflicts = Object.entries(index.indexes[definition.name].entries)
+                .filter(([, ids]) => ids.length > 1)
+                .map(([key, ids]) => ({ values: JSON.parse(key), ids }));
+            if (conflicts.length > 0) {
+                throw new UniqueConstraintError(
+                    this.collectionName,
+                    definition.name,
+                    definition.fields,
+                    conflicts
+                );
+            }
+        }
+        return index;
+    }
+
+    // Índice persistido, desde que corresponda ao arquivo atual da coleção e
+    // às definições atuais; caso contrário é reconstruído em memória
+    async loadIndex(documents, version) {
+        const index = await this.storage.readIndex();
+        if (this.isIndexCurrent(index, version)) {
+            return index;
+        }
+        return this.buildIndex(documents);
+    }
+
+    isIndexCurrent(index, version) {
+        if (!index || !index.indexes || !this.storage.isIndexCurrent(index, version)) return false;
+
+        const names = Object.keys(index.indexes);
+        return names.length === this.indexDefinitions.length &&
+            this.indexDefinitions.every(definition => {
+                const stored = index.indexes[definition.name];
+                return stored && stored.unique === definition.unique &&
+                    this.valuesEqual(stored.fields, definition.fields);
+            });
+    }
+
+    // Chaves de um documento em um índice (vazio se faltar algum campo)
+    getIndexKeys(definition, document) {
+        let combinations = [[]];
+
+        for (const field of definition.fields) {
+            const value = this.getNestedValue(document, field);
+            if (value === undefined) return [];
+
+            const values = Array.isArray(value) ? [value, ...value] : [value];
+            combinations = combinations.flatMap(prefix => values.map(v => [...prefix, v]));
+        }
+
+        return [...new Set(combinations.map(values => JSON.stringify(values)))];
+    }
+
+    indexDocument(index, document) {
+        index.documents[document.id] = {
+            id: document.id,
+            updatedAt: document.updatedAt
+        };
+
+        for (const definition of this.indexDefinitions) {
+            const entries = index.indexes[definition.name].entries;
+            for (const key of this.getIndexKeys(definition, document)) {
+                entries[key] = entries[key] || [];
+                if (!entries[key].includes(document.id)) {
+                    entries[key].push(document.id);
+                }
+            }
         }
     }
 
+    unindexDocument(index, document) {
+        delete index.documents[document.id];
+
+        for (const definition of this.indexDefinitions) {
+            const entries = index.indexes[definition.name].entries;
+            for (const key of this.getIndexKeys(definition, document)) {
+                if (!entries[key]) continue;
+                entries[key] = entries[key].filter(id => id !== document.id);
+                if (entries[key].length === 0) delete entries[key];
+            }
+        }
+    }
+
+    // Índices únicos em que `document` colidiria com outro documento. Chaves
+    // que o documento já tinha antes (`previous`) não são verificadas de novo.
+    findUniqueViolations(index, document, previous) {
+        return this.indexDefinitions.filter(definition => {
+            if (!definition.unique) return false;
+
+            const entries = index.indexes[definition.name].entries;
+            const previousKeys = previous ? this.getIndexKeys(definition, previous) : [];
+            return this.getIndexKeys(definition, document).some(key =>
+                !previousKeys.includes(key) &&
+                (entries[key] || []).some(id => id !== document.id)
+            );
+        });
+    }
+
+    assertUniqueConstraints(index, document, previous) {
+        const [violation] = this.findUniqueViolations(index, document, previous);
+        if (violation) {
+            throw new DuplicateKeyError(
+                this.collectionName,
+                violation.name,
+                violation.fields,
+                violation.fields.map(field => this.getNestedValue(document, field))
+            );
+        }
+    }
+
+    // Documentos candidatos para um filtro. Usa o índice que cobre mais
+    // campos de igualdade do filtro; sem índice aplicável, retorna todos. O
+    // filtro completo ainda é aplicado pelo chamador.
+    async queryDocuments(filter = {}) {
+        const { documents, byId, positions, index } = await this.loadState();
+
+        const plan = this.planQuery(filter);
+        if (!plan) return this.withoutExpired(documents);
+
+        const entries = index.indexes[plan.definition.name].entries;
+        const ids = new Set(plan.keys.flatMap(key => entries[key] || []));
+
+        // Mantém a ordem de inserção sem percorrer a coleção inteira
+        return this.withoutExpired([...ids]
+            .filter(id => byId.has(id))
+            .sort((a, b) => positions.get(a) - positions.get(b))
+            .map(id => byId.get(id)));
+    }
+
+    planQuery(filter) {
+        if (this.indexDefinitions.length === 0 || !this.isPlainObject(filter)) return null;
+
+        const isIndexable = value =>
+            ['string', 'number', 'boolean'].includes(typeof value);
+        const valuesFor = field => {
+            if (!Object.prototype.hasOwnProperty.call(filter, field)) return null;
+
+            const condition = filter[field];
+            if (isIndexable(condition)) return [condition];
+            if (this.isPlainObject(condition)) {
+                const operators = Object.keys(condition);
+                if (operators.length === 1 && operators[0] === '$eq' && isIndexable(condition.$eq)) {
+                    return [condition.$eq];
+                }
+                if (operators.length === 1 && operators[0] === '$in' &&
+                    Array.isArray(condition.$in) && condition.$in.every(isIndexable)) {
+                    return condition.$in;
+                }
+            }
+            return null;
+        };
+
+        let best = null;
+        for (const definition of this.indexDefinitions) {
+            const fieldValues = definition.fields.map(valuesFor);
+            if (fieldValues.some(values => values === null)) continue;
+
+            const keys = fieldValues
+                .reduce((combinations, values) =>
+                    combinations.flatMap(prefix => values.map(v => [...prefix, v])), [[]])
+                .map(values => JSON.stringify(values));
+
+            const score = definition.fields.length + (definition.unique ? 0.5 : 0);
+            if (!best || score > best.score) {
+                best = { definition, keys, score };
+            }
+        }
+
+        return best;
+    }
+
+    // Avalia um filtro no estilo MongoDB. Chaves que começam com "$" no nível
+    // do filtro são operadores lógicos; as demais são caminhos de campo
+    // (com suporte a notação de ponto) comparados com um valor ou com um
+    // objeto de operadores.
     matchesFilter(document, filter) {
-        return Object.entries(filter).every(([key, value]) => {
+        if (!this.isPlainObject(filter)) {
+            throw new InvalidQueryError('Filtro deve ser um objeto');
+        }
+
+        return Object.entries(filter).every(([key, condition]) => {
+            if (key.startsWith('$')) {
+                return this.matchesLogicalOperator(document, key, condition);
+            }
+
             const docValue = this.getNestedValue(document, key);
+            return this.matchesCondition(docValue, condition);
+        });
+    }
+
+    matchesLogicalOperator(document, operator, operand) {
+        switch (operator) {
+            case '$or':
+            case '$and': {
+                if (!Array.isArray(operand) || operand.length === 0) {
+                    throw new InvalidQueryError(`${operator} exige um array não vazio de filtros`);
+                }
+                const matches = subFilter => this.matchesFilter(document, subFilter);
+                return operator === '$or' ? operand.some(matches) : operand.every(matches);
+            }
+            case '$not':
+                return !this.matchesFilter(document, operand);
+            default:
+                throw new InvalidQueryError(`Operador desconhecido: ${operator}`);
+        }
+    }
+
+    // Compara o valor de um campo com um valor literal, RegExp ou objeto de operadores
+    matchesCondition(docValue, condition) {
+        if (condition instanceof RegExp) {
+            return this.matchesEquality(docValue, condition);
+        }
+
+        if (this.isOperatorObject(condition)) {
+            return Object.entries(condition).every(([operator, operand]) =>
+                this.applyOperator(operator, docValue, operand, condition)
+            );
+        }
 
-            if (typeof value === 'object' && value !== null) {
-                // Operadores especiais
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
-                    return regex.test(docValue);
+        return this.matchesEquality(docValue, condition);
+    }
+
+    applyOperator(operator, docValue, operand, condition) {
+        switch (operator) {
+            case '$eq':
+                return this.matchesEquality(docValue, operand);
+            case '$ne':
+                return !this.matchesEquality(docValue, operand);
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                return this.matchesComparison(operator, docValue, operand);
+            case '$in':
+                if (!Array.isArray(operand)) {
+                    throw new InvalidQueryError('$in exige um array');
                 }
-                if (value.$in) {
-                    return value.$in.includes(docValue);
+                return operand.some(value => this.matchesEquality(docValue, value));
+            case '$nin':
+                if (!Array.isArray(operand)) {
+                    throw new InvalidQueryError('$nin exige um array');
+                }
+                return !operand.some(value => this.matchesEquality(docValue, value));
+            case '$exists':
+                return (docValue !== undefined) === Boolean(operand);
+            case '$regex': {
+                const regex = operand instanceof RegExp
+                    ? operand
+                    : new RegExp(operand, condition.$options || 'i');
+                return this.matchesEquality(docValue, regex);
+            }
+            case '$options':
+                if (condition.$regex === undefined) {
+                    throw new InvalidQueryError('$options só pode ser usado com $regex');
                 }
-                if (value.$gt) {
-                    return docValue > value.$gt;
+                return true;
+            case '$not':
+                return !this.matchesCondition(docValue, operand);
+            case '$size':
+                return Array.isArray(docValue) && docValue.length === operand;
+            case '$elemMatch':
+                if (!this.isPlainObject(operand)) {
+                    throw new InvalidQueryError('$elemMatch exige um objeto');
                 }
-                if (value.$lt) {
-                    return docValue < value.$lt;
+                return Array.isArray(docValue) && docValue.some(element =>
+                    this.isOperatorObject(operand)
+                        ? this.matchesCondition(element, operand)
+                        : this.isPlainObject(element) && this.matchesFilter(element, operand)
+                );
+            default:
+                throw new InvalidQueryError(`Operador desconhecido: ${operator}`);
+        }
+    }
+
+    // Igualdade com a semântica do MongoDB: um campo array casa se ele for
+    // igual ao valor ou se algum de seus elementos for
+    matchesEquality(docValue, expected) {
+        const equals = value => expected instanceof RegExp
+            ? typeof value === 'string' && expected.test(value)
+            : this.valuesEqual(value, expected);
+
+        if (equals(docValue)) return true;
+        return Array.isArray(docValue) && docValue.some(equals);
+    }
+
+    matchesComparison(operator, docValue, operand) {
+        const compare = value => {
+            if (value === undefined || value === null || operand === undefined || operand === null) {
+                return false;
+            }
+            // Só compara valores do mesmo tipo ("10" não é maior que 9)
+            if (typeof value !== typeof operand) return false;
+
+            switch (operator) {
+                case '$gt': return value > operand;
+                case '$gte': return value >= operand;
+                case '$lt': return value < operand;
+                case '$lte': return value <= operand;
+            }
+        };
+
+        return Array.isArray(docValue) ? docValue.some(compare) : compare(docValue);
+    }
+
+    valuesEqual(a, b) {
+        if (a === b) return true;
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((value, i) => this.valuesEqual(value, b[i]));
+        }
+        if (this.isPlainObject(a) && this.isPlainObject(b)) {
+            const keysA = Object.keys(a);
+            const keysB = Object.keys(b);
+            return keysA.length === keysB.length &&
+                keysA.every(key => this.valuesEqual(a[key], b[key]));
+        }
+        return false;
+    }
+
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null &&
+            !Array.isArray(value) && !(value instanceof RegExp);
+    }
+
+    // Objeto cujas chaves são todas operadores ({ $gt: 1, $lt: 5 }). Misturar
+    // operadores e campos no mesmo objeto é ambíguo e é rejeitado.
+    isOperatorObject(value) {
+        if (!this.isPlainObject(value)) return false;
+
+        const keys = Object.keys(value);
+        const operatorKeys = keys.filter(key => key.startsWith('$'));
+        if (operatorKeys.length > 0 && operatorKeys.length !== keys.length) {
+            throw new InvalidQueryError('Não é possível misturar operadores e campos na mesma condição');
+        }
+        return keys.length > 0 && operatorKeys.length === keys.length;
+    }
+
+    // Aplica uma atualização sobre uma cópia do documento e retorna a cópia
+    applyUpdate(document, updates) {
+        if (!this.isPlainObject(updates)) {
+            throw new InvalidQueryError('Atualização deve ser um objeto');
+        }
+
+        const keys = Object.keys(updates);
+        const operatorKeys = keys.filter(key => key.startsWith('$'));
+        if (operatorKeys.length > 0 && operatorKeys.length !== keys.length) {
+            throw new InvalidQueryError('Não é possível misturar operadores e campos na mesma atualização');
+        }
+
+        // Sem operadores, cada chave é um caminho a ser definido
+        const operations = operatorKeys.length > 0 ? updates : { $set: updates };
+        const result = this.cloneDocument(document);
+
+        for (const [operator, fields] of Object.entries(operations)) {
+            if (!this.isPlainObject(fields)) {
+                throw new InvalidQueryError(`${operator} exige um objeto de campos`);
+            }
+            for (const [field, operand] of Object.entries(fields)) {
+                this.applyUpdateOperator(result, operator, field, operand);
+            }
+        }
+
+        return result;
+    }
+
+    applyUpdateOperator(document, operator, field, operand) {
+        const current = this.getNestedValue(document, field);
+
+        switch (operator) {
+            case '$set':
+                this.setNestedValue(document, field, operand);
+                break;
+            case '$unset':
+                this.unsetNestedValue(document, field);
+                break;
+            case '$inc':
+                if (typeof operand !== 'number') {
+                    throw new InvalidQueryError(`$inc exige um número em "${field}"`);
                 }
-                if (value.$gte) {
-                    return docValue >= value.$gte;
+                if (current !== undefined && current !== null && typeof current !== 'number') {
+                    throw new InvalidQueryError(`$inc não pode ser aplicado ao campo não numérico "${field}"`);
                 }
-                if (value.$lte) {
-                    return docValue <= value.$lte;
+                this.setNestedValue(document, field, (current || 0) + operand);
+                break;
+            case '$push':
+            case '$addToSet': {
+                const array = this.getArrayForUpdate(current, operator, field);
+                const values = this.isPlainObject(operand) && Array.isArray(operand.$each)
+                    ? operand.$each
+                    : [operand];
+
+                for (const value of values) {
+                    if (operator === '$addToSet' && array.some(item => this.valuesEqual(item, value))) {
+                        continue;
+                    }
+                    array.push(value);
                 }
+                this.setNestedValue(document, field, array);
+                break;
+            }
+            case '$pull': {
+                if (current === undefined) break;
+                const array = this.getArrayForUpdate(current, operator, field);
+                const matches = item => {
+                    if (this.isPlainObject(operand) && !this.isOperatorObject(operand)) {
+                        return this.isPlainObject(item) && this.matchesFilter(item, operand);
+                    }
+                    return this.matchesCondition(item, operand);
+                };
+                this.setNestedValue(document, field, array.filter(item => !matches(item)));
+                break;
+            }
+            default:
+                throw new InvalidQueryError(`Operador de atualização desconhecido: ${operator}`);
+        }
+    }
+
+    getArrayForUpdate(current, operator, field) {
+        if (current === undefined || current === null) return [];
+        if (!Array.isArray(current)) {
+            throw new InvalidQueryError(`${operator} exige que "${field}" seja um array`);
+        }
+        return [...current];
+    }
+
+    // Define um valor seguindo o caminho com pontos, criando objetos intermediários
+    setNestedValue(obj, path, value) {
+        const keys = this.splitPath(path);
+        const last = keys.pop();
+
+        const parent = keys.reduce((current, key) => {
+            if (current[key] === undefined || current[key] === null) {
+                current[key] = {};
+            } else if (typeof current[key] !== 'object') {
+                throw new InvalidQueryError(`Não é possível criar "${path}": "${key}" não é um objeto`);
             }
+            return current[key];
+        }, obj);
 
-            return docValue === value;
-        });
+        parent[last] = value;
+    }
+
+    unsetNestedValue(obj, path) {
+        const keys = this.splitPath(path);
+        const last = keys.pop();
+        const parent = keys.reduce((current, key) =>
+            current && typeof current === 'object' ? current[key] : undefined, obj);
+
+        if (parent && typeof parent === 'object') {
+            delete parent[last];
+        }
+    }
+
+    splitPath(path) {
+        const keys = path.split('.');
+        if (keys.some(key => key === '' || key.startsWith('$'))) {
+            throw new InvalidQueryError(`Caminho de campo inválido: "${path}"`);
+        }
+        return keys;
+    }
+
+    cloneDocument(document) {
+        return JSON.parse(JSON.stringify(document));
     }
 
     getNestedValue(obj, path) {
@@ -267,33 +1793,53 @@ class JsonDatabase {
     }
 
     sortDocuments(documents, sortOptions) {
-        return documents.sort((a, b) => {
-            for (const [field, direction] of Object.entries(sortOptions)) {
-                const valueA = this.getNestedValue(a, field);
-                const valueB = this.getNestedValue(b, field);
+        const keys = new Map(documents.map(doc => [doc, this.getSortKey(doc, sortOptions)]));
+        return documents.sort((a, b) => this.compareSortKeys(keys.get(a), keys.get(b), sortOptions));
+    }
 
-                let comparison = 0;
-                if (valueA < valueB) comparison = -1;
-                if (valueA > valueB) comparison = 1;
+    // Valores dos campos de `sort` no documento, na ordem da ordenação
+    getSortKey(document, sort) {
+        return Object.keys(sort).map(field => this.getNestedValue(document, field));
+    }
 
-                if (comparison !== 0) {
-                    return direction === -1 ? -comparison : comparison;
-                }
+    compareSortKeys(a, b, sort) {
+        const directions = Object.values(sort);
+        for (let i = 0; i < directions.length; i++) {
+            const comparison = this.compareValues(a[i], b[i]);
+            if (comparison !== 0) {
+                return directions[i] === -1 ? -comparison : comparison;
             }
-            return 0;
-        });
+        }
+        return 0;
     }
 
-    searchInObject(obj, searchTerm) {
-        for (const value of Object.values(obj)) {
-            if (typeof value === 'string' && value.toLowerCase().includes(searchTerm)) {
-                return true;
-            }
-            if (typeof value === 'object' && value !== null && this.searchInObject(value, searchTerm)) {
-                return true;
-            }
+    // Ordem total entre valores de qualquer tipo: primeiro pelo tipo
+    // (ausente < null < número < texto < objeto < lista < booleano), depois
+    // pelo valor. Com `<` direto, um campo ausente ou de tipo misto
+    // empataria com tudo e a ordenação deixaria de ser consistente.
+    compareValues(a, b) {
+        const rankA = this.getTypeRank(a);
+        const rankB = this.getTypeRank(b);
+        if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+
+        if (typeof a === 'object' && a !== null) {
+            a = JSON.stringify(a);
+            b = JSON.stringify(b);
         }
-        return false;
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    }
+
+    getTypeRank(value) {
+        if (value === undefined) return 0;
+        if (value === null || Number.isNaN(value)) return 1;
+        if (typeof value === 'number') return 2;
+        if (typeof value === 'string') return 3;
+        if (Array.isArray(value)) return 5;
+        if (typeof value === 'object') return 4;
+        if (typeof value === 'boolean') return 6;
+        return 7;
     }
 }
 
@@ -0,0 +1,112 @@
+// shared/JsonDatabase.pagination.test.js
+// Paginação por cursor (findPage) quando o campo de ordenação falta em
+// alguns documentos, é null ou tem tipos diferentes entre eles.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const JsonDatabase = require('./JsonDatabase');
+
+// Gerador determinístico, para que uma falha seja reproduzível
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+const VALUES = [undefined, null, 0, 1, 2, -5, 2.5, 'a', 'b', '10', { x: 1 }, [1], true, false];
+
+function randomDocuments(next, count) {
+    return Array.from({ length: count }, (_, i) => {
+        const document = { id: `doc-${String(i).padStart(3, '0')}`, name: `Item ${i}` };
+        const value = VALUES[Math.floor(next() * VALUES.length)];
+        if (value !== undefined) document.n = value;
+        return document;
+    });
+}
+
+async function insert(db, documents) {
+    for (const document of documents) {
+        await db.create(document);
+    }
+}
+
+async function collectPages(db, options) {
+    const seen = [];
+    let { cursor } = options;
+    for (let page = 0; page < 100; page++) {
+        const result = await db.findPage({}, { ...options, cursor });
+        seen.push(...result.documents.map(doc => doc.id));
+        if (!result.nextCursor) return seen;
+        cursor = result.nextCursor;
+    }
+    assert.fail(`paginação não terminou, ids vistos: ${seen.join(', ')}`);
+}
+
+describe('JsonDatabase.findPage', () => {
+    let db;
+    let seed = 0;
+
+    beforeEach(() => {
+        db = new JsonDatabase(`pagination-${seed++}`, 'docs', { storage: 'memory' });
+    });
+
+    afterEach(() => db.close());
+
+    it('percorre todos os documentos quando o campo de ordenação falta em alguns', async () => {
+        await insert(db, [
+            { id: 'a', n: 2 },
+            { id: 'b' },
+            { id: 'c', n: 1 },
+            { id: 'd' },
+            { id: 'e', n: null },
+            { id: 'f', n: 1 }
+        ]);
+
+        assert.deepStrictEqual(await collectPages(db, { sort: { n: 1 }, limit: 2 }), ['b', 'd', 'e', 'c', 'f', 'a']);
+        assert.deepStrictEqual(await collectPages(db, { sort: { n: -1 }, limit: 2 }), ['a', 'c', 'f', 'e', 'b', 'd']);
+    });
+
+    it('ordena tipos misturados por tipo e depois por valor', async () => {
+        await insert(db, [
+            { id: 'bool', n: true },
+            { id: 'text', n: '2' },
+            { id: 'number', n: 10 },
+            { id: 'missing' },
+            { id: 'object', n: { x: 1 } },
+            { id: 'null', n: null },
+            { id: 'list', n: [1] }
+        ]);
+
+        const sorted = (await db.find({}, { sort: { n: 1 } })).map(doc => doc.id);
+        assert.deepStrictEqual(sorted, ['missing', 'null', 'number', 'text', 'object', 'list', 'bool']);
+        assert.deepStrictEqual(await collectPages(db, { sort: { n: 1 }, limit: 3 }), sorted);
+    });
+
+    it('não repete nem pula documentos com dados aleatórios', async () => {
+        for (let run = 1; run <= 40; run++) {
+            const collection = new JsonDatabase(`pagination-random-${run}`, 'docs', { storage: 'memory' });
+            const next = random(run);
+            await insert(collection, randomDocuments(next, 30));
+
+            for (const sort of [{ n: 1 }, { n: -1 }, { n: 1, name: -1 }]) {
+                const limit = 1 + Math.floor(next() * 7);
+                const expected = (await collection.find({}, { sort: { ...sort, id: 1 } })).map(doc => doc.id);
+                const paged = await collectPages(collection, { sort, limit });
+                assert.deepStrictEqual(paged, expected, `execução ${run}, sort ${JSON.stringify(sort)}, limit ${limit}`);
+            }
+            collection.close();
+        }
+    });
+
+    it('continua depois do cursor mesmo com inserções entre as páginas', async () => {
+        await insert(db, [{ id: 'a', n: 1 }, { id: 'b' }, { id: 'c', n: 3 }, { id: 'd', n: 'x' }]);
+
+        const first = await db.findPage({}, { sort: { n: 1 }, limit: 2 });
+        assert.deepStrictEqual(first.documents.map(doc => doc.id), ['b', 'a']);
+
+        await insert(db, [{ id: 'e' }, { id: 'f', n: 2 }]);
+        const rest = await collectPages(db, { sort: { n: 1 }, limit: 2, cursor: first.nextCursor });
+        assert.deepStrictEqual(rest, ['f', 'c', 'd']);
+    });
+});
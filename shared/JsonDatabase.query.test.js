@@ -0,0 +1,77 @@
+// shared/JsonDatabase.query.test.js
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { InvalidQueryError } = require('./DatabaseErrors');
+
+describe('JsonDatabase: operadores de consulta', () => {
+    let dir;
+    let db;
+
+    async function ids(filter) {
+        return (await db.find(filter, { sort: { id: 1 } })).map(doc => doc.id);
+    }
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-database-query-'));
+        mock.method(console, 'error', () => {});
+        db = new JsonDatabase(dir, 'items');
+        for (const document of [
+            { id: 'a', name: 'Arroz', category: 'grãos', price: 7, tags: ['básico', 'cesta'], stock: { qty: 10 } },
+            { id: 'b', name: 'Detergente', category: 'limpeza', price: 3, tags: ['cesta'], stock: { qty: 0 } },
+            { id: 'c', name: 'Feijão', category: 'grãos', price: '5', tags: [] },
+            { id: 'd', name: 'Café', category: 'bebidas', price: 15, stock: { qty: 4 }, discount: null }
+        ]) {
+            await db.create(document);
+        }
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('compara só valores do mesmo tipo', async () => {
+        assert.deepStrictEqual(await ids({ price: { $gt: 4 } }), ['a', 'd']);
+        assert.deepStrictEqual(await ids({ price: { $gte: 3, $lt: 10 } }), ['a', 'b']);
+        assert.deepStrictEqual(await ids({ price: { $lte: '5' } }), ['c']);
+        assert.deepStrictEqual(await ids({ price: { $ne: 7 } }), ['b', 'c', 'd']);
+    });
+
+    it('combina filtros com $or, $and e $not', async () => {
+        assert.deepStrictEqual(await ids({ $or: [{ category: 'limpeza' }, { price: { $gt: 10 } }] }), ['b', 'd']);
+        assert.deepStrictEqual(await ids({ $and: [{ category: 'grãos' }, { price: 7 }] }), ['a']);
+        assert.deepStrictEqual(await ids({ $not: { category: 'grãos' } }), ['b', 'd']);
+        assert.deepStrictEqual(await ids({ price: { $not: { $gt: 4 } } }), ['b', 'c']);
+    });
+
+    it('aplica $in, $nin, $exists e $regex', async () => {
+        assert.deepStrictEqual(await ids({ category: { $in: ['limpeza', 'bebidas'] } }), ['b', 'd']);
+        assert.deepStrictEqual(await ids({ category: { $nin: ['grãos'] } }), ['b', 'd']);
+        assert.deepStrictEqual(await ids({ discount: { $exists: true } }), ['d']);
+        assert.deepStrictEqual(await ids({ stock: { $exists: false } }), ['c']);
+        assert.deepStrictEqual(await ids({ name: { $regex: '^caf' } }), ['d']);
+        assert.deepStrictEqual(await ids({ name: { $regex: 'CAFÉ$', $options: 'i' } }), ['d']);
+        assert.deepStrictEqual(await ids({ name: /jão$/ }), ['c']);
+    });
+
+    it('casa campos array pelo elemento, por $size e por $elemMatch', async () => {
+        assert.deepStrictEqual(await ids({ tags: 'cesta' }), ['a', 'b']);
+        assert.deepStrictEqual(await ids({ tags: ['cesta'] }), ['b']);
+        assert.deepStrictEqual(await ids({ tags: { $size: 0 } }), ['c']);
+        assert.deepStrictEqual(await ids({ tags: { $elemMatch: { $regex: '^bás' } } }), ['a']);
+        assert.deepStrictEqual(await ids({ 'stock.qty': { $gt: 0 } }), ['a', 'd']);
+    });
+
+    it('rejeita operadores desconhecidos ou mal formados', async () => {
+        await assert.rejects(db.find({ price: { $between: [1, 2] } }), InvalidQueryError);
+        await assert.rejects(db.find({ $nor: [{ price: 1 }] }), InvalidQueryError);
+        await assert.rejects(db.find({ $or: [] }), InvalidQueryError);
+        await assert.rejects(db.find({ category: { $in: 'grãos' } }), InvalidQueryError);
+        await assert.rejects(db.find({ price: { $gt: 1, currency: 'BRL' } }), InvalidQueryError);
+        await assert.rejects(db.find({ name: { $options: 'i' } }), InvalidQueryError);
+    });
+});
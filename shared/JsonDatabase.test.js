@@ -0,0 +1,67 @@
+// shared/JsonDatabase.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { CorruptedCollectionError } = require('./DatabaseErrors');
+
+describe('JsonDatabase: escritas', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-database-'));
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('serializa escritas concorrentes de instâncias diferentes na mesma coleção', async () => {
+        const first = new JsonDatabase(dir, 'items');
+        const second = new JsonDatabase(dir, 'items');
+
+        await Promise.all(Array.from({ length: 20 }, (_, i) =>
+            (i % 2 === 0 ? first : second).create({ id: `item-${i}`, position: i })
+        ));
+        assert.strictEqual(await new JsonDatabase(dir, 'items').count(), 20);
+
+        // Cada update lê o documento depois do anterior: nenhum campo se perde
+        await Promise.all(Array.from({ length: 10 }, (_, i) =>
+            (i % 2 === 0 ? first : second).update('item-0', { [`field${i}`]: i })
+        ));
+        const document = await new JsonDatabase(dir, 'items').findById('item-0');
+        for (let i = 0; i < 10; i++) {
+            assert.strictEqual(document[`field${i}`], i);
+        }
+    });
+
+    it('mantém o arquivo anterior intacto quando a escrita falha', async () => {
+        const db = new JsonDatabase(dir, 'items');
+        await db.create({ id: 'a', name: 'Arroz' });
+
+        mock.method(fs, 'rename', async () => {
+            throw new Error('disco cheio');
+        });
+        await assert.rejects(db.create({ id: 'b', name: 'Feijão' }), /disco cheio/);
+        fs.rename.mock.restore();
+
+        const reopened = new JsonDatabase(dir, 'items');
+        assert.deepStrictEqual((await reopened.find()).map(doc => doc.id), ['a']);
+        assert.deepStrictEqual((await fs.readdir(dir)).filter(name => name.endsWith('.tmp')), []);
+    });
+
+    it('lança CorruptedCollectionError em vez de tratar o arquivo corrompido como vazio', async () => {
+        const db = new JsonDatabase(dir, 'items');
+        await db.create({ id: 'a', name: 'Arroz' });
+        await fs.writeFile(path.join(dir, 'items.json'), '[{"id": "a", "na');
+
+        const reopened = new JsonDatabase(dir, 'items');
+        await assert.rejects(reopened.find(), CorruptedCollectionError);
+        await assert.rejects(reopened.create({ id: 'b' }), CorruptedCollectionError);
+        assert.strictEqual(await fs.readFile(path.join(dir, 'items.json'), 'utf8'), '[{"id": "a", "na');
+    });
+});
@@ -0,0 +1,98 @@
+// shared/JsonDatabase.ttl.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { InvalidQueryError } = require('./DatabaseErrors');
+
+const past = () => new Date(Date.now() - 1000).toISOString();
+const future = () => new Date(Date.now() + 60000).toISOString();
+
+describe('JsonDatabase: expiração (TTL)', () => {
+    let dir;
+    let opened;
+
+    function open(name, options = {}) {
+        const db = new JsonDatabase(dir, name, { ttlSweepInterval: 0, ...options });
+        opened.push(db);
+        return db;
+    }
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-database-ttl-'));
+        mock.method(console, 'error', () => {});
+        opened = [];
+    });
+
+    afterEach(async () => {
+        opened.forEach(db => db.close());
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('esconde documentos expirados das leituras antes de removê-los', async () => {
+        const sessions = open('sessions', { ttl: { field: 'expiresAt' } });
+        // Cada escrita remove os já expirados: o expirado é gravado por último
+        await sessions.create({ id: 'new', expiresAt: future() });
+        await sessions.create({ id: 'forever' });
+        await sessions.create({ id: 'old', expiresAt: past() });
+
+        assert.strictEqual(await sessions.findById('old'), null);
+        assert.deepStrictEqual((await sessions.find({}, { sort: { id: 1 } })).map(doc => doc.id), ['forever', 'new']);
+        assert.strictEqual(await sessions.count(), 2);
+
+        // Ainda gravado, até a próxima escrita ou varredura
+        assert.strictEqual(await open('sessions').count(), 3);
+    });
+
+    it('expira pelo campo somado a seconds, aceitando timestamps em ms', async () => {
+        const tokens = open('tokens', { ttl: { field: 'issuedAt', seconds: 60 } });
+        await tokens.create({ id: 'a', issuedAt: Date.now() - 61000 });
+        await tokens.create({ id: 'b', issuedAt: Date.now() - 30000 });
+
+        assert.deepStrictEqual((await tokens.find()).map(doc => doc.id), ['b']);
+    });
+
+    it('remove os expirados antes de cada escrita, liberando os índices únicos', async () => {
+        const sessions = open('sessions', {
+            ttl: { field: 'expiresAt' },
+            indexes: [{ fields: ['token'], unique: true }]
+        });
+        await sessions.create({ id: 'old', token: 't1', expiresAt: past() });
+
+        const events = [];
+        sessions.watch().on('change', event => events.push([event.operationType, event.documentKey.id]));
+
+        await sessions.create({ id: 'new', token: 't1', expiresAt: future() });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepStrictEqual(events, [['delete', 'old'], ['insert', 'new']]);
+        assert.deepStrictEqual((await open('sessions').find()).map(doc => doc.id), ['new']);
+    });
+
+    it('remove os expirados sob demanda e periodicamente', async () => {
+        const raw = open('sessions', { cache: false });
+        await raw.create({ id: 'a', expiresAt: past() });
+        await raw.create({ id: 'b', expiresAt: past() });
+        await raw.create({ id: 'c', expiresAt: new Date(Date.now() + 500).toISOString() });
+
+        const sessions = open('sessions', { ttl: { field: 'expiresAt' } });
+
+        assert.deepStrictEqual(await sessions.purgeExpired(), { deleted: 2 });
+        assert.deepStrictEqual(await sessions.purgeExpired(), { deleted: 0 });
+
+        const swept = open('sessions', { ttl: { field: 'expiresAt' }, ttlSweepInterval: 20 });
+        await swept.ready;
+        for (let attempt = 0; attempt < 150 && await raw.count() > 0; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.strictEqual(await raw.count(), 0);
+    });
+
+    it('rejeita configurações de ttl inválidas', () => {
+        assert.throws(() => open('x', { ttl: { seconds: 10 } }), InvalidQueryError);
+        assert.throws(() => open('x', { ttl: { field: 'createdAt', seconds: -1 } }), InvalidQueryError);
+    });
+});
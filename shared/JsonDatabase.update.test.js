@@ -0,0 +1,75 @@
+// shared/JsonDatabase.update.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { InvalidQueryError } = require('./DatabaseErrors');
+
+describe('JsonDatabase.update', () => {
+    let dir;
+    let db;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-database-update-'));
+        mock.method(console, 'error', () => {});
+        db = new JsonDatabase(dir, 'users');
+        await db.create({
+            id: 'u1',
+            name: 'Ana',
+            profile: { preferences: { theme: 'light', language: 'pt-BR' } },
+            tags: ['nova', 'vip'],
+            loginCount: 1
+        });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('trata um objeto simples como $set por caminho, sem apagar os irmãos', async () => {
+        const updated = await db.update('u1', { 'profile.preferences.theme': 'dark', 'address.city': 'BH' });
+
+        assert.deepStrictEqual(updated.profile.preferences, { theme: 'dark', language: 'pt-BR' });
+        assert.deepStrictEqual(updated.address, { city: 'BH' });
+        assert.strictEqual(updated['profile.preferences.theme'], undefined);
+        assert.deepStrictEqual((await db.findById('u1')).profile, updated.profile);
+    });
+
+    it('aplica $set, $unset, $inc, $push, $addToSet e $pull', async () => {
+        const updated = await db.update('u1', {
+            $set: { name: 'Ana Maria' },
+            $unset: { 'profile.preferences.language': '' },
+            $inc: { loginCount: 2, 'stats.visits': 1 },
+            $push: { history: { $each: ['login', 'logout'] } },
+            $addToSet: { tags: 'vip' },
+            $pull: { 'profile.unknown': 'x' }
+        });
+
+        assert.strictEqual(updated.name, 'Ana Maria');
+        assert.deepStrictEqual(updated.profile.preferences, { theme: 'light' });
+        assert.strictEqual(updated.loginCount, 3);
+        assert.deepStrictEqual(updated.stats, { visits: 1 });
+        assert.deepStrictEqual(updated.history, ['login', 'logout']);
+        assert.deepStrictEqual(updated.tags, ['nova', 'vip']);
+
+        const pulled = await db.update('u1', { $pull: { tags: 'nova', history: { $regex: '^log' } } });
+        assert.deepStrictEqual(pulled.tags, ['vip']);
+        assert.deepStrictEqual(pulled.history, []);
+    });
+
+    it('rejeita atualizações mal formadas sem gravar nada', async () => {
+        const before = await db.findById('u1');
+
+        await assert.rejects(db.update('u1', { $set: { name: 'x' }, name: 'y' }), InvalidQueryError);
+        await assert.rejects(db.update('u1', { $rename: { name: 'nome' } }), InvalidQueryError);
+        await assert.rejects(db.update('u1', { $inc: { name: 1 } }), InvalidQueryError);
+        await assert.rejects(db.update('u1', { $push: { name: 'x' } }), InvalidQueryError);
+        await assert.rejects(db.update('u1', { $set: { 'name.first': 'Ana' } }), InvalidQueryError);
+        await assert.rejects(db.update('u1', { $set: { 'profile..theme': 'dark' } }), InvalidQueryError);
+
+        assert.deepStrictEqual(await db.findById('u1'), before);
+    });
+});
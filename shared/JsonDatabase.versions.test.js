@@ -0,0 +1,67 @@
+// shared/JsonDatabase.versions.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { VersionConflictError } = require('./DatabaseErrors');
+
+describe('JsonDatabase: versões', () => {
+    let dir;
+    let db;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-database-versions-'));
+        mock.method(console, 'error', () => {});
+        db = new JsonDatabase(dir, 'lists');
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('começa na versão 1 e incrementa a cada update, ignorando a versão enviada', async () => {
+        const created = await db.create({ name: 'Mercado', version: 9 });
+        assert.strictEqual(created.version, 1);
+
+        const updated = await db.update(created.id, { name: 'Feira', version: 1 });
+        assert.strictEqual(updated.version, 2);
+        assert.strictEqual((await db.findById(created.id)).version, 2);
+    });
+
+    it('rejeita update e delete com versão esperada diferente da atual', async () => {
+        const { id } = await db.create({ name: 'Mercado' });
+        await db.update(id, { name: 'Feira' });
+
+        await assert.rejects(db.update(id, { name: 'x' }, { expectedVersion: 1 }), error => {
+            assert.ok(error instanceof VersionConflictError);
+            assert.strictEqual(error.code, 'VERSION_CONFLICT');
+            assert.strictEqual(error.expectedVersion, 1);
+            assert.strictEqual(error.currentVersion, 2);
+            return true;
+        });
+        await assert.rejects(db.delete(id, { expectedVersion: 3 }), VersionConflictError);
+        assert.strictEqual((await db.findById(id)).name, 'Feira');
+
+        assert.strictEqual((await db.update(id, { name: 'Sacolão' }, { expectedVersion: 2 })).version, 3);
+        assert.strictEqual(await db.delete(id, { expectedVersion: 3 }), true);
+    });
+
+    it('aceita uma lista de versões esperadas', async () => {
+        const { id } = await db.create({ name: 'Mercado' });
+
+        await assert.rejects(db.update(id, { name: 'x' }, { expectedVersion: [] }), /nenhuma/);
+        await assert.rejects(db.update(id, { name: 'x' }, { expectedVersion: [2, 3] }), /esperada 2 ou 3, atual 1/);
+        assert.strictEqual((await db.update(id, { name: 'Feira' }, { expectedVersion: [3, 1] })).version, 2);
+    });
+
+    it('trata documentos sem versão, gravados antes do controle, como versão 0', async () => {
+        await fs.writeJson(path.join(dir, 'legacy.json'), [{ id: 'a', name: 'Antiga' }]);
+        const legacy = new JsonDatabase(dir, 'legacy');
+
+        await assert.rejects(legacy.update('a', { name: 'x' }, { expectedVersion: 1 }), VersionConflictError);
+        assert.strictEqual((await legacy.update('a', { name: 'Nova' }, { expectedVersion: 0 })).version, 1);
+    });
+});
@@ -0,0 +1,155 @@
+// shared/KeyRing.js
+// Chaves da criptografia em repouso do JsonDatabase (AES-256-GCM). A chave
+// atual cifra tudo o que é gravado; as anteriores só decifram, para que os
+// dados antigos continuem legíveis até serem regravados com a atual
+// (rotação, ver JsonDatabase.reencrypt() e `npm run encryption`).
+//
+//     DB_ENCRYPTION_KEY=<32 bytes em base64 ou hex>
+//     DB_ENCRYPTION_PREVIOUS_KEYS=<chave antiga>,<outra mais antiga>
+//
+// ou por serviço: USER_SERVICE_ENCRYPTION_KEY e
+// USER_SERVICE_ENCRYPTION_PREVIOUS_KEYS. Cada chave é identificada por um
+// prefixo do seu SHA-256 (`kid`), gravado junto com o dado cifrado; a chave
+// em si nunca é gravada.
+//
+// Dois formatos:
+//   envelope   { encrypted: 'aes-256-gcm', kid, iv, tag, data } para arquivos
+//              e linhas inteiras (coleção, journal, índice, backup)
+//   valor      'enc:v1:<kid>:<iv>:<tag>:<data>' para campos de documentos
+//              (o valor original é serializado em JSON antes de cifrar)
+const crypto = require('crypto');
+const { EncryptionError } = require('./DatabaseErrors');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const VALUE_PREFIX = 'enc:v1:';
+
+class KeyRing {
+    // `keys`: chave atual primeiro, depois as anteriores (Buffer, base64 ou hex)
+    constructor(keys) {
+        if (!Array.isArray(keys) || keys.length === 0) {
+            throw new EncryptionError('Informe ao menos uma chave de criptografia');
+        }
+
+        this.keys = new Map();
+        for (const key of keys) {
+            const buffer = KeyRing.parseKey(key);
+            this.keys.set(KeyRing.keyIdOf(buffer), buffer);
+        }
+        this.keyId = KeyRing.keyIdOf(KeyRing.parseKey(keys[0]));
+    }
+
+    // Chaves configuradas para um serviço, ou null sem criptografia
+    static fromEnv(serviceName) {
+        const prefix = serviceName.toUpperCase().replace(/-/g, '_');
+        const current = process.env[`${prefix}_ENCRYPTION_KEY`] || process.env.DB_ENCRYPTION_KEY;
+        if (!current) return null;
+
+        const previous = process.env[`${prefix}_ENCRYPTION_PREVIOUS_KEYS`] ||
+            process.env.DB_ENCRYPTION_PREVIOUS_KEYS || '';
+        return new KeyRing([
+            current,
+            ...previous.split(',').map(key => key.trim()).filter(Boolean)
+        ]);
+    }
+
+    static parseKey(key) {
+        let buffer = null;
+        if (Buffer.isBuffer(key)) {
+            buffer = key;
+        } else if (typeof key === 'string' && /^[0-9a-fA-F]{64}$/.test(key)) {
+            buffer = Buffer.from(key, 'hex');
+        } else if (typeof key === 'string') {
+            buffer = Buffer.from(key, 'base64');
+        }
+
+        if (!buffer || buffer.length !== KEY_BYTES) {
+            throw new EncryptionError(
+                `Chave de criptografia inválida: use ${KEY_BYTES} bytes em base64 ou hex ` +
+                '(ex: openssl rand -base64 32)'
+            );
+        }
+        return buffer;
+    }
+
+    static keyIdOf(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 12);
+    }
+
+    static isEnvelope(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+            value.encrypted === ALGORITHM && typeof value.data === 'string';
+    }
+
+    static isEncryptedValue(value) {
+        return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+    }
+
+    // kid de um envelope ou valor cifrado (null para texto puro)
+    static keyIdFrom(value) {
+        if (KeyRing.isEnvelope(value)) return value.kid;
+        if (KeyRing.isEncryptedValue(value)) return value.slice(VALUE_PREFIX.length).split(':')[0];
+        return null;
+    }
+
+    // Cifrado com uma chave que não é a atual (ou ainda em texto puro)?
+    needsRotation(value) {
+        return KeyRing.keyIdFrom(value) !== this.keyId;
+    }
+
+    encrypt(text) {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.keyId), iv);
+        const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+        return {
+            encrypted: ALGORITHM,
+            kid: this.keyId,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(envelope) {
+        const key = this.keys.get(envelope.kid);
+        if (!key) {
+            throw new EncryptionError(
+                `Dado cifrado com uma chave desconhecida (kid ${envelope.kid}): ` +
+                'configure-a em *_ENCRYPTION_PREVIOUS_KEYS',
+                { keyId: envelope.kid }
+            );
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+            return Buffer.concat([
+                decipher.update(Buffer.from(envelope.data, 'base64')),
+                decipher.final()
+            ]).toString('utf8');
+        } catch (error) {
+            // GCM autentica o conteúdo: falha aqui é dado adulterado ou truncado
+            throw new EncryptionError('Falha ao decifrar: dado adulterado ou corrompido', {
+                keyId: envelope.kid,
+                cause: error
+            });
+        }
+    }
+
+    encryptValue(value) {
+        const { kid, iv, tag, data } = this.encrypt(JSON.stringify(value));
+        return `${VALUE_PREFIX}${kid}:${iv}:${tag}:${data}`;
+    }
+
+    // Valores que não estão cifrados voltam como estão
+    decryptValue(value) {
+        if (!KeyRing.isEncryptedValue(value)) return value;
+
+        const [kid, iv, tag, data] = value.slice(VALUE_PREFIX.length).split(':');
+        return JSON.parse(this.decrypt({ encrypted: ALGORITHM, kid, iv, tag, data }));
+    }
+}
+
+module.exports = KeyRing;
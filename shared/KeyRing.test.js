@@ -0,0 +1,137 @@
+// shared/KeyRing.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const KeyRing = require('./KeyRing');
+const JsonDatabase = require('./JsonDatabase');
+const { EncryptionError, InvalidQueryError } = require('./DatabaseErrors');
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('hex');
+
+describe('KeyRing', () => {
+    it('cifra e decifra envelopes e valores com a chave atual', () => {
+        const keys = new KeyRing([OLD_KEY]);
+
+        const envelope = keys.encrypt('segredo');
+        assert.strictEqual(envelope.kid, keys.keyId);
+        assert.ok(!JSON.stringify(envelope).includes('segredo'));
+        assert.strictEqual(keys.decrypt(envelope), 'segredo');
+
+        const value = keys.encryptValue({ pin: 1234 });
+        assert.ok(KeyRing.isEncryptedValue(value));
+        assert.deepStrictEqual(keys.decryptValue(value), { pin: 1234 });
+        assert.strictEqual(keys.decryptValue('texto puro'), 'texto puro');
+    });
+
+    it('decifra com as chaves anteriores e cifra só com a atual', () => {
+        const old = new KeyRing([OLD_KEY]);
+        const rotated = new KeyRing([NEW_KEY, OLD_KEY]);
+        const value = old.encryptValue('segredo');
+
+        assert.strictEqual(rotated.decryptValue(value), 'segredo');
+        assert.strictEqual(rotated.needsRotation(value), true);
+        assert.strictEqual(rotated.needsRotation(rotated.encryptValue('segredo')), false);
+        assert.throws(() => new KeyRing([NEW_KEY]).decryptValue(value), EncryptionError);
+    });
+
+    it('rejeita dados adulterados e chaves inválidas', () => {
+        const keys = new KeyRing([OLD_KEY]);
+        const envelope = keys.encrypt('segredo');
+        const data = Buffer.from(envelope.data, 'base64');
+        data[0] ^= 1;
+
+        assert.throws(() => keys.decrypt({ ...envelope, data: data.toString('base64') }), /adulterado/);
+        assert.throws(() => new KeyRing(['curta']), EncryptionError);
+        assert.throws(() => new KeyRing([]), EncryptionError);
+    });
+});
+
+describe('JsonDatabase com criptografia', () => {
+    let dir;
+    let opened;
+
+    function open(keys, options = {}) {
+        const db = new JsonDatabase(dir, 'users', {
+            encryption: keys && new KeyRing(keys),
+            compactInterval: 0,
+            ...options
+        });
+        opened.push(db);
+        return db;
+    }
+
+    async function rawFiles() {
+        const contents = await Promise.all(
+            (await fs.readdir(dir)).map(file => fs.readFile(path.join(dir, file), 'utf8'))
+        );
+        return contents.join('\n');
+    }
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'encryption-'));
+        mock.method(console, 'error', () => {});
+        opened = [];
+    });
+
+    afterEach(async () => {
+        opened.forEach(db => db.close());
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    for (const persistence of ['snapshot', 'journal']) {
+        it(`grava os arquivos cifrados e os lê de volta (${persistence})`, async () => {
+            const db = open([OLD_KEY], { persistence });
+            await db.create({ id: 'u1', email: 'ana@demo.com' });
+            await db.update('u1', { name: 'Ana' });
+
+            assert.ok(!(await rawFiles()).includes('ana@demo.com'));
+            assert.strictEqual((await open([OLD_KEY], { persistence }).findById('u1')).name, 'Ana');
+            await assert.rejects(open(null, { persistence }).findById('u1'), EncryptionError);
+        });
+    }
+
+    it('cifra os campos de encryptedFields dentro do documento', async () => {
+        const db = open([OLD_KEY], {
+            encryptedFields: ['password'],
+            schema: { type: 'object', properties: { password: { type: 'string', minLength: 6 } } }
+        });
+        const created = await db.create({ id: 'u1', email: 'ana@demo.com', password: 'segredo123' });
+
+        assert.ok(KeyRing.isEncryptedValue(created.password));
+        assert.strictEqual(db.decryptField(created.password), 'segredo123');
+        assert.deepStrictEqual(db.decryptFields(await db.findById('u1')).password, 'segredo123');
+        // O schema valida o valor decifrado
+        await assert.rejects(db.update('u1', { password: '123' }), { code: 'VALIDATION_FAILED' });
+        assert.throws(
+            () => open([OLD_KEY], { encryptedFields: ['email'], indexes: [{ fields: ['email'], unique: true }] }),
+            InvalidQueryError
+        );
+    });
+
+    it('rotaciona a chave: lê com a anterior e regrava tudo com a nova', async () => {
+        const before = open([OLD_KEY], { persistence: 'journal', encryptedFields: ['password'] });
+        await before.create({ id: 'u1', password: 'segredo123' });
+        await before.create({ id: 'u2', password: 'outro456' });
+        before.close();
+
+        const rotated = open([NEW_KEY, OLD_KEY], { persistence: 'journal', encryptedFields: ['password'] });
+        const status = await rotated.encryptionStatus();
+        assert.strictEqual(status.current, false);
+        assert.deepStrictEqual(status.fields, [new KeyRing([OLD_KEY]).keyId]);
+
+        const result = await rotated.reencrypt();
+        assert.deepStrictEqual(result, { documents: 2, fields: 2, keyId: new KeyRing([NEW_KEY]).keyId });
+        assert.strictEqual((await rotated.encryptionStatus()).current, true);
+
+        // Sem a chave antiga, tudo continua legível
+        const current = open([NEW_KEY], { persistence: 'journal', encryptedFields: ['password'] });
+        const users = await current.find({}, { sort: { id: 1 } });
+        assert.deepStrictEqual(users.map(user => current.decryptField(user.password)), ['segredo123', 'outro456']);
+        await assert.rejects(open([OLD_KEY], { persistence: 'journal' }).find(), EncryptionError);
+    });
+});
@@ -0,0 +1,296 @@
+// shared/MigrationRunner.js
+// Migrações versionadas dos dados de um serviço. Cada serviço guarda seus
+// scripts em services/<serviço>/migrations, com nomes NNN-descricao.js:
+//
+//     module.exports = {
+//         collection: 'users',
+//         description: 'Texto curto para o log',
+//         up(document) { ...; return document; },
+//         down(document) { ...; return document; } // opcional
+//     };
+//
+// up/down recebem uma cópia de cada documento da coleção e devolvem o
+// documento migrado. A versão aplicada de cada coleção (schemaVersion) fica
+// na coleção `schema_versions` do próprio serviço, junto com o estado
+// anterior dos documentos alterados, usado no rollback das migrações sem
+// down().
+//
+// As transformações devem ser idempotentes: se o processo cair no meio de
+// uma migração, ela é executada de novo desde o início.
+
+const fs = require('fs');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+
+const MIGRATION_FILE = /^(\d+)-.+\.js$/;
+
+class MigrationRunner {
+    // `collections` recebe as instâncias já abertas pelo serviço, para que as
+    // migrações passem pelos mesmos índices; coleções ausentes são abertas só
+    // com o backend `storage` e as chaves `encryption` do serviço. O schema
+    // da coleção não é aplicado às escritas das migrações: elas existem
+    // justamente para corrigir documentos antigos, e um único documento fora
+    // do schema impediria o serviço de subir.
+    constructor(dbPath, migrationsDir, options = {}) {
+        this.dbPath = dbPath;
+        this.migrationsDir = migrationsDir;
+        this.collections = { ...(options.collections || {}) };
+        this.storage = options.storage || 'file';
+        this.encryption = options.encryption || null;
+        this.logger = options.logger || console;
+        this.versionsDb = null;
+    }
+
+    loadMigrations() {
+        if (!fs.existsSync(this.migrationsDir)) return [];
+
+        const migrations = fs.readdirSync(this.migrationsDir)
+            .filter(file => MIGRATION_FILE.test(file))
+            .map(file => {
+                const definition = require(path.join(this.migrationsDir, file));
+                if (typeof definition.collection !== 'string' || typeof definition.up !== 'function') {
+                    throw new Error(`Migração ${file} deve exportar collection e up()`);
+                }
+                return {
+                    ...definition,
+                    version: parseInt(MIGRATION_FILE.exec(file)[1], 10),
+                    name: path.basename(file, '.js')
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new Error(`Versão de migração duplicada: ${migrations[i].version}`);
+            }
+        }
+        return migrations;
+    }
+
+    getCollection(name) {
+        if (!this.collections[name]) {
+            this.collections[name] = new JsonDatabase(this.dbPath, name, {
+                storage: this.storage,
+                encryption: this.encryption
+            });
+        }
+        return this.collections[name];
+    }
+
+    // A coleção de versões só é criada quando o serviço tem migrações
+    getVersionsDb() {
+        if (!this.versionsDb) {
+            this.versionsDb = new JsonDatabase(this.dbPath, 'schema_versions', {
+                storage: this.storage,
+                encryption: this.encryption
+            });
+        }
+        return this.versionsDb;
+    }
+
+    async getVersionRecord(collection) {
+        const record = await this.getVersionsDb().findById(collection);
+        return record || { id: collection, collection, schemaVersion: 0, applied: [] };
+    }
+
+    // Versão atual e migrações pendentes de cada coleção
+    async status() {
+        const migrations = this.loadMigrations();
+        const collections = [...new Set(migrations.map(migration => migration.collection))];
+        const result = [];
+
+        for (const collection of collections) {
+            const record = await this.getVersionRecord(collection);
+            result.push({
+                collection,
+                version: record.schemaVersion,
+                pending: migrations
+                    .filter(migration => migration.collection === collection && migration.version > record.schemaVersion)
+                    .map(migration => migration.name)
+            });
+        }
+        return result;
+    }
+
+    // Aplica as migrações pendentes em ordem. Com dryRun nada é gravado; cada
+    // migração é simulada sobre o resultado das anteriores. Retorna uma
+    // entrada { version, name, collection, changed } por migração.
+    async migrate(options = {}) {
+        const migrations = this.loadMigrations();
+        if (migrations.length === 0) return [];
+
+        const versions = new Map();
+        const previews = new Map();
+        const report = [];
+
+        for (const migration of migrations) {
+            if (!versions.has(migration.collection)) {
+                versions.set(migration.collection, (await this.getVersionRecord(migration.collection)).schemaVersion);
+            }
+            if (migration.version <= versions.get(migration.collection)) continue;
+
+            const documents = await this.readDocuments(migration.collection, previews);
+            const changes = this.transform(documents, migration.up);
+            report.push(this.describe(migration, changes));
+
+            if (options.dryRun) {
+                previews.set(migration.collection, this.applyToPreview(documents, changes));
+                continue;
+            }
+
+            await this.writeChanges(migration.collection, changes);
+            await this.recordApplied(migration, changes);
+            this.logger.log(
+                `Migração ${migration.name} aplicada em ${migration.collection} ` +
+                `(${changes.length} documento(s) alterado(s))`
+            );
+        }
+
+        return report;
+    }
+
+    // Desfaz a última migração aplicada ou, com `to`, todas as posteriores a
+    // essa versão. Usa down() quando a migração define, senão restaura os
+    // documentos salvos quando ela foi aplicada.
+    async rollback(options = {}) {
+        const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+        const records = await this.getVersionsDb().find();
+        const applied = records
+            .flatMap(record => record.applied.map(entry => ({ ...entry, collection: record.id })))
+            .sort((a, b) => b.version - a.version);
+
+        const targets = options.to === undefined
+            ? applied.slice(0, 1)
+            : applied.filter(entry => entry.version > options.to);
+
+        const previews = new Map();
+        const report = [];
+
+        for (const entry of targets) {
+            const migration = migrations.get(entry.version);
+            const documents = await this.readDocuments(entry.collection, previews);
+            const changes = migration && migration.down
+                ? this.transform(documents, migration.down)
+                : this.restoreChanges(documents, entry.before);
+            report.push(this.describe(entry, changes));
+
+            if (options.dryRun) {
+                previews.set(entry.collection, this.applyToPreview(documents, changes));
+                continue;
+            }
+
+            await this.writeChanges(entry.collection, changes);
+            await this.recordRolledBack(entry);
+            this.logger.log(
+                `Migração ${entry.name} desfeita em ${entry.collection} ` +
+                `(${changes.length} documento(s) alterado(s))`
+            );
+        }
+
+        return report;
+    }
+
+    async readDocuments(collection, previews) {
+        return previews.get(collection) || this.getCollection(collection).readAll();
+    }
+
+    // Lista { before, after } só dos documentos que a função alterou
+    transform(documents, fn) {
+        const changes = [];
+        for (const document of documents) {
+            const before = this.clone(document);
+            const after = fn(this.clone(document));
+            if (!this.isSame(before, after)) {
+                changes.push({ before, after });
+            }
+        }
+        return changes;
+    }
+
+    restoreChanges(documents, saved = []) {
+        const current = new Map(documents.map(document => [document.id, document]));
+        return saved
+            .filter(document => current.has(document.id))
+            .map(document => ({ before: current.get(document.id), after: this.clone(document) }))
+            .filter(change => !this.isSame(change.before, change.after));
+    }
+
+    async writeChanges(collection, changes) {
+        const db = this.getCollection(collection);
+        for (const { before, after } of changes) {
+            await db.replace(before.id, after, { validate: false });
+        }
+    }
+
+    async recordApplied(migration, changes) {
+        const record = await this.getVersionRecord(migration.collection);
+        await this.saveVersionRecord({
+            ...record,
+            schemaVersion: migration.version,
+            applied: [...record.applied, {
+                version: migration.version,
+                name: migration.name,
+                appliedAt: new Date().toISOString(),
+                before: changes.map(change => change.before)
+            }]
+        });
+    }
+
+    async recordRolledBack(entry) {
+        const record = await this.getVersionRecord(entry.collection);
+        const applied = record.applied.filter(item => item.version !== entry.version);
+        await this.saveVersionRecord({
+            ...record,
+            schemaVersion: applied.reduce((max, item) => Math.max(max, item.version), 0),
+            applied
+        });
+    }
+
+    async saveVersionRecord(record) {
+        const versionsDb = this.getVersionsDb();
+        if (await versionsDb.findById(record.id)) {
+            await versionsDb.replace(record.id, record);
+        } else {
+            await versionsDb.create(record);
+        }
+    }
+
+    applyToPreview(documents, changes) {
+        const changed = new Map(changes.map(change => [change.before.id, change.after]));
+        return documents.map(document => changed.get(document.id) || document);
+    }
+
+    describe(migration, changes) {
+        return {
+            version: migration.version,
+            name: migration.name,
+            collection: migration.collection,
+            changed: changes.map(change => change.before.id)
+        };
+    }
+
+    // Comparação que ignora a ordem das chaves e os campos de controle
+    isSame(a, b) {
+        const { updatedAt: _a, version: _va, ...restA } = a;
+        const { updatedAt: _b, version: _vb, ...restB } = b;
+        return this.stableStringify(restA) === this.stableStringify(restB);
+    }
+
+    stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    clone(document) {
+        return JSON.parse(JSON.stringify(document));
+    }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,61 @@
+// shared/MigrationRunner.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const MigrationRunner = require('./MigrationRunner');
+const { ValidationError } = require('./DatabaseErrors');
+
+const SCHEMA = {
+    type: 'object',
+    required: ['username'],
+    properties: {
+        username: { type: 'string', pattern: '^[a-z0-9]+$' },
+        displayName: { type: 'string' }
+    }
+};
+
+describe('MigrationRunner', () => {
+    let dir;
+    let users;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+        await fs.outputFile(path.join(dir, 'migrations', '001-display-name.js'), `
+            module.exports = {
+                collection: 'users',
+                description: 'Copia o username para displayName',
+                up(user) { return { ...user, displayName: user.displayName || user.username }; }
+            };
+        `);
+
+        // Usuário gravado antes do schema existir
+        await new JsonDatabase(dir, 'users').create({ id: 'legacy', username: 'joao silva' });
+        users = new JsonDatabase(dir, 'users', { schema: SCHEMA });
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        users.close();
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('migra documentos fora do schema da coleção', async () => {
+        const runner = new MigrationRunner(dir, path.join(dir, 'migrations'), {
+            collections: { users },
+            logger: { log() {} }
+        });
+
+        const report = await runner.migrate();
+
+        assert.deepStrictEqual(report.map(entry => entry.changed), [['legacy']]);
+        assert.strictEqual((await users.findById('legacy')).displayName, 'joao silva');
+        assert.deepStrictEqual(await runner.status(), [{ collection: 'users', version: 1, pending: [] }]);
+
+        // As escritas normais continuam validadas
+        await assert.rejects(users.create({ username: 'maria souza' }), ValidationError);
+    });
+});
@@ -0,0 +1,181 @@
+// shared/OutboxRelay.js
+// Relay do outbox transacional. O serviço grava o evento numa coleção de
+// outbox na mesma transação da mudança que o originou:
+//
+//   await listsDb.transaction(async (tx) => {
+//     await tx.update(listId, { status: "completed" });
+//     const event = events.create("list.checkout.completed", data, { producer });
+//     await tx.collection(outboxDb).create(OutboxRelay.entry(event.type, event));
+//   });
+//
+// e o relay publica as entradas pendentes com publisher confirms, em ordem
+// de criação (uma entrada que falhou segura as seguintes). Só a
+// confirmação do broker marca a entrada como entregue; uma falha reagenda
+// a entrada com backoff exponencial, sem limite de tentativas. A exceção é
+// o evento que nenhuma tentativa vai publicar (o publisher lança um erro
+// com code "INVALID_EVENT": fora do schema, como um evento gravado por uma
+// versão antiga do serviço, ou que não vira JSON): a entrada é marcada como
+// "failed", fica no outbox para inspeção e deixa de segurar as seguintes.
+// Uma queda entre a confirmação e a marcação faz o evento ser publicado de
+// novo (entrega "ao menos uma vez"): a entrada usa o eventId do envelope
+// como id, e ele vai como messageId para que os consumidores descartem
+// duplicatas.
+const { v4: uuidv4 } = require("uuid");
+
+class OutboxRelay {
+  // `publisher` precisa de publishConfirmed(routingKey, message, options),
+  // como o RabbitMQService
+  constructor(outboxDb, publisher, options = {}) {
+    this.outboxDb = outboxDb;
+    this.publisher = publisher;
+    this.options = {
+      pollInterval: 1000, // busca periódica de entradas pendentes (ms)
+      batchSize: 50, // entradas publicadas por rodada
+      retryDelay: 1000, // espera após a primeira falha (ms)
+      maxRetryDelay: 60000, // teto do backoff exponencial (ms)
+      ...options,
+    };
+    this.timer = null;
+    this.changeStream = null;
+    this.draining = null;
+    this.lastError = null;
+  }
+
+  // Entrada nova para o outbox; `payload` é o envelope do evento
+  static entry(routingKey, payload, aggregateId = null) {
+    return {
+      id: payload.eventId || uuidv4(),
+      routingKey,
+      payload,
+      aggregateId,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      lastError: null,
+    };
+  }
+
+  // Publica a cada inserção no outbox (pelo fluxo de mudanças) e,
+  // periodicamente, o que ficou pendente por falha
+  start() {
+    if (this.timer) return;
+
+    this.changeStream = this.outboxDb.watch({}, { operationTypes: ["insert"] });
+    this.changeStream.on("change", () => this.drain());
+    this.changeStream.on("error", (error) =>
+      console.error("Erro no fluxo de mudanças do outbox:", error.message)
+    );
+
+    this.timer = setInterval(() => this.drain(), this.options.pollInterval);
+    this.timer.unref();
+    this.drain();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.changeStream) {
+      this.changeStream.close();
+      this.changeStream = null;
+    }
+  }
+
+  // Uma rodada de cada vez; chamadas durante uma rodada esperam por ela
+  drain() {
+    if (!this.draining) {
+      this.draining = this.publishPending()
+        .catch((error) => console.error("Erro no relay do outbox:", error.message))
+        .finally(() => {
+          this.draining = null;
+        });
+    }
+    return this.draining;
+  }
+
+  async publishPending() {
+    const now = new Date().toISOString();
+    const entries = await this.outboxDb.find(
+      { status: "pending" },
+      { sort: { createdAt: 1 }, limit: this.options.batchSize }
+    );
+
+    for (const entry of entries) {
+      // Entrada aguardando nova tentativa segura as seguintes, para que os
+      // eventos saiam na ordem em que foram gravados
+      if (entry.nextAttemptAt > now) return;
+
+      try {
+        await this.publisher.publishConfirmed(entry.routingKey, entry.payload, {
+          messageId: entry.id,
+        });
+      } catch (error) {
+        if (error.code === "INVALID_EVENT") {
+          await this.markFailed(entry, error);
+          continue;
+        }
+        await this.scheduleRetry(entry, error);
+        return;
+      }
+
+      this.lastError = null;
+      await this.outboxDb.update(entry.id, {
+        status: "delivered",
+        deliveredAt: new Date().toISOString(),
+        attempts: entry.attempts + 1,
+        lastError: null,
+      });
+    }
+  }
+
+  async scheduleRetry(entry, error) {
+    const attempts = entry.attempts + 1;
+    const delay = Math.min(
+      this.options.retryDelay * 2 ** (attempts - 1),
+      this.options.maxRetryDelay
+    );
+
+    this.lastError = error.message;
+    console.error(
+      `⚠️ Falha ao publicar evento do outbox ${entry.id} ` +
+        `(tentativa ${attempts}, nova tentativa em ${delay}ms): ${error.message}`
+    );
+    await this.outboxDb.update(entry.id, {
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+    });
+  }
+
+  // Falha permanente: a entrada sai da fila de publicação
+  async markFailed(entry, error) {
+    console.error(
+      `❌ Evento do outbox ${entry.id} não pode ser publicado e foi marcado como failed: ${error.message}`
+    );
+    await this.outboxDb.update(entry.id, {
+      status: "failed",
+      failedAt: new Date().toISOString(),
+      attempts: entry.attempts + 1,
+      lastError: error.message,
+    });
+  }
+
+  // Situação do outbox para o /health
+  async getBacklog() {
+    const pending = await this.outboxDb.find(
+      { status: "pending" },
+      { sort: { createdAt: 1 } }
+    );
+    return {
+      pending: pending.length,
+      oldestPendingAt: pending.length > 0 ? pending[0].createdAt : null,
+      retrying: pending.filter((entry) => entry.attempts > 0).length,
+      delivered: await this.outboxDb.count({ status: "delivered" }),
+      failed: await this.outboxDb.count({ status: "failed" }),
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = OutboxRelay;
@@ -0,0 +1,202 @@
+// shared/OutboxRelay.test.js
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const JsonDatabase = require("./JsonDatabase");
+const OutboxRelay = require("./OutboxRelay");
+const events = require("./events");
+const RabbitMQService = require("./RabbitMQService").constructor;
+
+let sequence = 0;
+
+function checkoutEvent(listId) {
+  return events.create(
+    "list.checkout.completed",
+    {
+      listId,
+      listName: "Mercado",
+      userId: "user-1",
+      userEmail: null,
+      items: [{ itemId: "item-1", quantity: 2 }],
+      summary: { totalItems: 1, purchasedItems: 0, estimatedTotal: 10 },
+      completedAt: new Date().toISOString(),
+    },
+    { producer: "list-service" }
+  );
+}
+
+// Entradas com createdAt crescente, na ordem em que são gravadas
+async function addEntries(outboxDb, payloads) {
+  for (const payload of payloads) {
+    await outboxDb.create(OutboxRelay.entry(payload.type, payload, payload.data.listId));
+  }
+}
+
+describe("OutboxRelay", () => {
+  let outboxDb;
+  let publisher;
+  let relay;
+
+  beforeEach(() => {
+    mock.method(console, "error", () => {});
+
+    outboxDb = new JsonDatabase(`outbox-relay-${sequence++}`, "outbox", { storage: "memory" });
+    // Registra a ordem das publicações; `failures` simula o broker fora do
+    // ar e `rejected` os eventos que o publisher nunca vai aceitar
+    publisher = {
+      published: [],
+      failures: 0,
+      rejected: new Set(),
+      async publishConfirmed(routingKey, event, options) {
+        if (this.rejected.has(event.data.listId)) {
+          throw Object.assign(new Error("Evento não serializável"), { code: "INVALID_EVENT" });
+        }
+        if (this.failures > 0) {
+          this.failures--;
+          throw new Error("RabbitMQ indisponível");
+        }
+        assert.strictEqual(routingKey, event.type);
+        assert.strictEqual(options.messageId, event.eventId);
+        this.published.push(event.data.listId);
+      },
+    };
+    relay = new OutboxRelay(outboxDb, publisher, { retryDelay: 1000 });
+  });
+
+  afterEach(() => {
+    relay.stop();
+    outboxDb.close();
+    mock.restoreAll();
+  });
+
+  it("usa o eventId como id da entrada", () => {
+    const event = checkoutEvent("a");
+    const entry = OutboxRelay.entry(event.type, event, "a");
+
+    assert.strictEqual(entry.id, event.eventId);
+    assert.strictEqual(entry.status, "pending");
+    assert.strictEqual(entry.aggregateId, "a");
+  });
+
+  it("publica as entradas pendentes em ordem e as marca como entregues", async () => {
+    await addEntries(outboxDb, [checkoutEvent("a"), checkoutEvent("b"), checkoutEvent("c")]);
+
+    await relay.publishPending();
+
+    assert.deepStrictEqual(publisher.published, ["a", "b", "c"]);
+    const delivered = await outboxDb.find({ status: "delivered" });
+    assert.ok(delivered.every((entry) => entry.deliveredAt && entry.attempts === 1));
+    const backlog = await relay.getBacklog();
+    assert.strictEqual(backlog.pending, 0);
+    assert.strictEqual(backlog.delivered, 3);
+    assert.strictEqual(backlog.failed, 0);
+  });
+
+  it("reagenda uma falha temporária e segura as entradas seguintes", async () => {
+    await addEntries(outboxDb, [checkoutEvent("a"), checkoutEvent("b")]);
+    publisher.failures = 1;
+
+    await relay.publishPending();
+
+    assert.deepStrictEqual(publisher.published, []);
+    const [first] = await outboxDb.find({}, { sort: { createdAt: 1 } });
+    assert.strictEqual(first.status, "pending");
+    assert.strictEqual(first.attempts, 1);
+    assert.strictEqual(first.lastError, "RabbitMQ indisponível");
+    assert.ok(first.nextAttemptAt > new Date().toISOString());
+
+    const backlog = await relay.getBacklog();
+    assert.strictEqual(backlog.pending, 2);
+    assert.strictEqual(backlog.retrying, 1);
+    assert.strictEqual(backlog.lastError, "RabbitMQ indisponível");
+
+    // Antes do prazo, nada sai
+    await relay.publishPending();
+    assert.deepStrictEqual(publisher.published, []);
+
+    // Vencido o prazo, a entrada sai e libera as seguintes
+    await outboxDb.update(first.id, { nextAttemptAt: new Date(0).toISOString() });
+    await relay.publishPending();
+    assert.deepStrictEqual(publisher.published, ["a", "b"]);
+    assert.strictEqual((await outboxDb.findById(first.id)).attempts, 2);
+  });
+
+  it("dobra a espera a cada falha seguida, até o teto", async () => {
+    relay = new OutboxRelay(outboxDb, publisher, { retryDelay: 1000, maxRetryDelay: 3000 });
+    await addEntries(outboxDb, [checkoutEvent("a")]);
+    const [entry] = await outboxDb.find();
+
+    const delays = [];
+    for (let attempt = 0; attempt < 3; attempt++) {
+      publisher.failures = 1;
+      await outboxDb.update(entry.id, { nextAttemptAt: new Date(0).toISOString() });
+      const before = Date.now();
+      await relay.publishPending();
+      delays.push(Date.parse((await outboxDb.findById(entry.id)).nextAttemptAt) - before);
+    }
+
+    assert.deepStrictEqual(delays.map((delay) => Math.round(delay / 1000)), [1, 2, 3]);
+  });
+
+  it("marca como failed um evento que nunca vai ser publicado, sem segurar os seguintes", async () => {
+    const rejected = checkoutEvent("bad");
+    publisher.rejected.add("bad");
+    await addEntries(outboxDb, [checkoutEvent("a"), rejected, checkoutEvent("b")]);
+
+    await relay.publishPending();
+
+    assert.deepStrictEqual(publisher.published, ["a", "b"]);
+    const failed = await outboxDb.findById(rejected.eventId);
+    assert.strictEqual(failed.status, "failed");
+    assert.strictEqual(failed.attempts, 1);
+    assert.ok(failed.failedAt);
+    assert.strictEqual(failed.lastError, "Evento não serializável");
+
+    const backlog = await relay.getBacklog();
+    assert.strictEqual(backlog.pending, 0);
+    assert.strictEqual(backlog.delivered, 2);
+    assert.strictEqual(backlog.failed, 1);
+
+    // Não volta a ser tentado
+    await relay.publishPending();
+    assert.deepStrictEqual(publisher.published, ["a", "b"]);
+  });
+
+  it("marca como failed um evento gravado fora do schema", async () => {
+    // Publisher real, com um canal que confirma tudo: só a validação recusa
+    const rabbitMQ = new RabbitMQService();
+    const channel = new EventEmitter();
+    channel.publish = (exchange, routingKey, content, options, callback) => {
+      setImmediate(() => callback(null));
+      return true;
+    };
+    rabbitMQ.connection = { createConfirmChannel: async () => channel };
+    mock.method(console, "log", () => {});
+    relay = new OutboxRelay(outboxDb, rabbitMQ);
+
+    // Como um evento gravado por uma versão antiga do serviço
+    const legacy = { ...checkoutEvent("old"), data: { listId: "old" } };
+    await addEntries(outboxDb, [legacy, checkoutEvent("a")]);
+
+    await relay.publishPending();
+
+    const failed = await outboxDb.findById(legacy.eventId);
+    assert.strictEqual(failed.status, "failed");
+    assert.match(failed.lastError, /inválido/);
+    const backlog = await relay.getBacklog();
+    assert.strictEqual(backlog.delivered, 1);
+    assert.strictEqual(backlog.failed, 1);
+  });
+
+  it("publica assim que uma entrada é gravada, depois de start()", async () => {
+    relay.start();
+    await relay.drain();
+
+    await addEntries(outboxDb, [checkoutEvent("a")]);
+    for (let attempt = 0; attempt < 50 && publisher.published.length === 0; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    assert.deepStrictEqual(publisher.published, ["a"]);
+  });
+});
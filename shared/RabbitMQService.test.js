@@ -0,0 +1,362 @@
+// shared/RabbitMQService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const events = require("./events");
+const RabbitMQService = require("./RabbitMQService").constructor;
+const { MemoryTransport } = require("./messaging");
+
+const checkoutEvent = (data = {}) =>
+  events.create(
+    "list.checkout.completed",
+    {
+      listId: "l1",
+      listName: "Mercado",
+      userId: "u1",
+      userEmail: null,
+      items: [{ itemId: "item-1", quantity: 2 }],
+      summary: { totalItems: 2, purchasedItems: 0, estimatedTotal: 10 },
+      completedAt: new Date().toISOString(),
+      ...data,
+    },
+    { producer: "list-service" }
+  );
+
+// Canal do amqplib em memória: guarda as publicações e confirma (ou recusa)
+// cada uma na próxima volta do event loop
+function fakeConfirmChannel({ nack = false } = {}) {
+  const channel = new EventEmitter();
+  channel.published = [];
+  channel.publish = (exchange, routingKey, content, options, callback) => {
+    channel.published.push({ exchange, routingKey, content, options });
+    setImmediate(() => callback(nack ? new Error("Mensagem recusada pelo broker") : null));
+    return true;
+  };
+  return channel;
+}
+
+// Broker mínimo para o subscribe(): entrega o que for publicado na fila
+// principal ao consumidor e faz as filas de espera "expirarem" na hora,
+// devolvendo a mensagem à fila indicada em x-dead-letter-routing-key
+function fakeBroker() {
+  const broker = { queues: new Map(), acked: [], nacked: [], consumers: new Map() };
+  const channel = new EventEmitter();
+
+  const deliver = (queue, content, properties, routingKey = queue) => {
+    const consumer = broker.consumers.get(queue);
+    if (consumer) {
+      setImmediate(() => consumer({ content, properties, fields: { routingKey } }));
+    } else {
+      broker.queues.get(queue).messages.push({ content, properties });
+    }
+  };
+
+  channel.assertExchange = async () => {};
+  channel.assertQueue = async (queue, options = {}) => {
+    if (!broker.queues.has(queue)) {
+      broker.queues.set(queue, { options, messages: [] });
+    }
+  };
+  channel.bindQueue = async () => {};
+  channel.prefetch = async (count) => {
+    broker.prefetch = count;
+  };
+  channel.consume = async (queue, onMessage) => {
+    broker.consumers.set(queue, onMessage);
+    return { consumerTag: `ctag-${queue}` };
+  };
+  channel.sendToQueue = (queue, content, properties, callback) => {
+    const args = broker.queues.get(queue).options.arguments || {};
+    setImmediate(() => callback(null));
+    if (args["x-dead-letter-routing-key"]) {
+      deliver(args["x-dead-letter-routing-key"], content, properties);
+    } else {
+      deliver(queue, content, properties);
+    }
+    return true;
+  };
+  channel.ack = (msg) => broker.acked.push(msg);
+  channel.nack = (msg) => broker.nacked.push(msg);
+
+  broker.channel = channel;
+  // Publicação no exchange com `routingKey`, já roteada para `queue`
+  broker.publish = (queue, body, routingKey = "list.checkout.completed") =>
+    deliver(
+      queue,
+      Buffer.from(typeof body === "string" ? body : JSON.stringify(body)),
+      { messageId: body.eventId, headers: {} },
+      routingKey
+    );
+  return broker;
+}
+
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  assert.ok(condition(), "condição não atingida a tempo");
+}
+
+describe("RabbitMQService.subscribe", () => {
+  let service;
+  let broker;
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    broker = fakeBroker();
+    service = new RabbitMQService();
+    service.connection = { createConfirmChannel: async () => broker.channel };
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("monta a topologia e confirma as mensagens processadas", async () => {
+    const received = [];
+    const { consumerTag } = await service.subscribe("q_test", ["list.#"], async (event) => {
+      received.push(event);
+    }, { prefetch: 3 });
+
+    const event = checkoutEvent();
+    broker.publish("q_test", event);
+    await waitFor(() => broker.acked.length === 1);
+
+    assert.strictEqual(consumerTag, "ctag-q_test");
+    assert.deepStrictEqual([...broker.queues.keys()], ["q_test", "q_test.dlq"]);
+    assert.strictEqual(broker.prefetch, 3);
+    assert.deepStrictEqual(received, [event]);
+  });
+
+  it("entrega mensagens sem envelope convertidas para a versão mais recente", async () => {
+    const received = [];
+    await service.subscribe("q_test", "list.#", async (event) => {
+      received.push(event);
+    });
+
+    broker.publish("q_test", {
+      listId: "l1",
+      userId: "u1",
+      items: [],
+      summary: { estimatedTotal: 10 },
+      timestamp: "2024-05-01T12:00:00.000Z",
+    });
+    await waitFor(() => received.length === 1);
+
+    const [event] = received;
+    assert.strictEqual(event.type, "list.checkout.completed");
+    assert.strictEqual(event.version, events.latestVersion("list.checkout.completed"));
+    assert.strictEqual(event.data.completedAt, "2024-05-01T12:00:00.000Z");
+  });
+
+  it("tenta de novo com espera crescente e manda para a DLQ após maxAttempts", async () => {
+    let calls = 0;
+    await service.subscribe("q_test", "list.#", async () => {
+      calls++;
+      throw new Error("serviço de email fora do ar");
+    }, { maxAttempts: 3, retryDelay: 100, maxRetryDelay: 150 });
+
+    const event = checkoutEvent();
+    broker.publish("q_test", event);
+    await waitFor(() => broker.queues.get("q_test.dlq").messages.length === 1);
+
+    assert.strictEqual(calls, 3);
+    assert.deepStrictEqual(
+      [...broker.queues.entries()]
+        .filter(([name]) => name.includes(".retry."))
+        .map(([name, queue]) => [name, queue.options.arguments["x-message-ttl"]]),
+      [["q_test.retry.100", 100], ["q_test.retry.150", 150]]
+    );
+
+    const [dead] = broker.queues.get("q_test.dlq").messages;
+    assert.deepStrictEqual(JSON.parse(dead.content), event);
+    assert.strictEqual(dead.properties.headers["x-original-routing-key"], "list.checkout.completed");
+    assert.strictEqual(dead.properties.headers["x-attempts"], 3);
+    assert.strictEqual(dead.properties.headers["x-last-error"], "serviço de email fora do ar");
+    assert.strictEqual(broker.acked.length, 3);
+    assert.strictEqual(broker.nacked.length, 0);
+  });
+
+  it("manda JSON inválido e eventos fora do schema direto para a DLQ, sem chamar o handler", async () => {
+    let calls = 0;
+    await service.subscribe("q_test", "list.#", async () => {
+      calls++;
+    });
+
+    broker.publish("q_test", "{ não é json");
+    broker.publish("q_test", { ...checkoutEvent(), data: { listId: "l1" } });
+    await waitFor(() => broker.acked.length === 2);
+
+    assert.strictEqual(calls, 0);
+    const dead = broker.queues.get("q_test.dlq").messages;
+    assert.deepStrictEqual(dead.map((msg) => msg.properties.headers["x-attempts"]), [1, 1]);
+    assert.match(dead[0].properties.headers["x-last-error"], /JSON inválido/);
+    assert.match(dead[1].properties.headers["x-last-error"], /inválido/);
+  });
+
+  it("devolve a mensagem à fila quando não consegue movê-la", async () => {
+    await service.subscribe("q_test", "list.#", async () => {
+      throw new Error("falhou");
+    });
+    broker.channel.sendToQueue = (queue, content, properties, callback) => {
+      setImmediate(() => callback(new Error("canal fechado")));
+      return true;
+    };
+
+    broker.publish("q_test", checkoutEvent());
+    await waitFor(() => broker.nacked.length === 1);
+
+    assert.strictEqual(broker.acked.length, 0);
+  });
+});
+
+describe("RabbitMQService.publishConfirmed", () => {
+  let service;
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    service = new RabbitMQService();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("resolve depois da confirmação do broker, com as propriedades do evento", async () => {
+    const channel = fakeConfirmChannel();
+    service.connection = { createConfirmChannel: async () => channel };
+    const event = checkoutEvent();
+
+    await service.publishConfirmed(event.type, event);
+
+    assert.strictEqual(channel.published.length, 1);
+    const [message] = channel.published;
+    assert.strictEqual(message.exchange, "shopping_events");
+    assert.strictEqual(message.routingKey, "list.checkout.completed");
+    assert.deepStrictEqual(JSON.parse(message.content), event);
+    assert.strictEqual(message.options.messageId, event.eventId);
+    assert.strictEqual(message.options.type, event.type);
+    assert.strictEqual(message.options.headers["x-event-version"], event.version);
+    assert.strictEqual(message.options.persistent, true);
+  });
+
+  it("rejeita quando o broker recusa a mensagem", async () => {
+    service.connection = { createConfirmChannel: async () => fakeConfirmChannel({ nack: true }) };
+    const event = checkoutEvent();
+
+    await assert.rejects(service.publishConfirmed(event.type, event), /recusada/);
+  });
+
+  it("lança INVALID_EVENT para eventos fora do schema ou não serializáveis, sem tentar conectar", async () => {
+    const connect = mock.method(service, "connect", async () => {});
+    const invalid = { ...checkoutEvent(), data: { listId: "l1" } };
+    const circular = checkoutEvent();
+    circular.data.items[0].self = circular.data.items[0];
+
+    for (const event of [invalid, circular]) {
+      await assert.rejects(service.publishConfirmed("list.checkout.completed", event), (error) => {
+        assert.ok(error instanceof events.EventValidationError);
+        assert.strictEqual(error.code, "INVALID_EVENT");
+        return true;
+      });
+    }
+    assert.strictEqual(connect.mock.callCount(), 0);
+  });
+});
+
+describe("RabbitMQService: reconexão", () => {
+  let broker;
+  let service;
+
+  // Lê, na ordem, os listId das mensagens paradas em `queue`
+  async function queuedListIds(queue) {
+    const channel = await (await broker.connect()).createChannel();
+    const { messageCount } = await channel.checkQueue(queue);
+    const listIds = [];
+    await new Promise((resolve) => {
+      channel.consume(
+        queue,
+        (msg) => {
+          listIds.push(JSON.parse(msg.content).data.listId);
+          if (listIds.length === messageCount) resolve();
+        },
+        { noAck: true }
+      );
+    });
+    return listIds;
+  }
+
+  beforeEach(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    broker = new MemoryTransport.MemoryBroker();
+    service = new RabbitMQService(new MemoryTransport({ broker }), {
+      reconnectDelay: 10,
+      maxReconnectDelay: 20,
+      bufferSize: 3,
+    });
+  });
+
+  afterEach(async () => {
+    await service.close();
+    mock.restoreAll();
+  });
+
+  it("guarda as publicações sem conexão e as envia em ordem quando ela volta", async () => {
+    await service.connect();
+    const channel = await (await broker.connect()).createChannel();
+    await channel.assertQueue("q_capture", { durable: true });
+    await channel.bindQueue("q_capture", "shopping_events", "list.#");
+
+    broker.stop();
+    assert.strictEqual(service.state, "disconnected");
+
+    const published = ["a", "b", "c"].map((listId) =>
+      service.publish("list.checkout.completed", checkoutEvent({ listId }))
+    );
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(service.getStatus().buffer.size, 3);
+    assert.ok(service.getStatus().nextReconnectAt);
+
+    broker.start();
+    assert.deepStrictEqual(await Promise.all(published), [true, true, true]);
+
+    const status = service.getStatus();
+    assert.strictEqual(status.state, "connected");
+    assert.strictEqual(status.reconnectAttempts, 0);
+    assert.strictEqual(status.buffer.size, 0);
+    assert.deepStrictEqual(await queuedListIds("q_capture"), ["a", "b", "c"]);
+  });
+
+  it("descarta com o buffer cheio e resolve false o que sobrou no close()", async () => {
+    broker.stop();
+    await service.connect();
+
+    const buffered = ["a", "b", "c"].map((listId) =>
+      service.publish("list.checkout.completed", checkoutEvent({ listId }))
+    );
+    assert.strictEqual(await service.publish("list.checkout.completed", checkoutEvent({ listId: "d" })), false);
+    assert.strictEqual(service.getStatus().buffer.dropped, 1);
+
+    await service.close();
+    assert.deepStrictEqual(await Promise.all(buffered), [false, false, false]);
+    assert.strictEqual(service.state, "closed");
+  });
+
+  it("restabelece os consumidores quando a conexão volta", async () => {
+    const received = [];
+    await service.subscribe("q_test", "list.#", async (event) => {
+      received.push(event.data.listId);
+    });
+
+    broker.restart();
+    assert.strictEqual(service.getStatus().subscriptions[0].active, false);
+
+    for (let attempt = 0; attempt < 100 && !service.getStatus().subscriptions[0].active; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    assert.strictEqual(await service.publish("list.checkout.completed", checkoutEvent({ listId: "a" })), true);
+    for (let attempt = 0; attempt < 100 && received.length === 0; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    assert.deepStrictEqual(received, ["a"]);
+  });
+});
@@ -0,0 +1,213 @@
+// shared/SchemaValidator.js
+// Validador para um subconjunto de JSON Schema, usado pelo JsonDatabase para
+// validar documentos das coleções. Suporta:
+//   type (string, number, integer, boolean, object, array, null ou lista),
+//   properties, required, additionalProperties, items, enum, const, default,
+//   minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength,
+//   maxLength, pattern, format (email, date-time, uuid), minItems, maxItems
+//   e readOnly (o valor não pode mudar em uma atualização).
+//
+// Com `coerce` ligado, strings vindas de formulários/query são convertidas
+// para o tipo declarado ("12.5" -> 12.5, "true" -> true) e números para
+// string quando o campo é string.
+
+const FORMATS = {
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    'date-time': value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+    uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+class SchemaValidator {
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.coerce = options.coerce !== false;
+        // Campos aceitos na raiz mesmo com additionalProperties: false
+        this.ignoredFields = options.ignoredFields || [];
+    }
+
+    // Retorna { value, errors }. `value` é uma cópia com defaults e coerções
+    // aplicados; `previous` é o documento antes da atualização (readOnly).
+    validate(data, { previous = null } = {}) {
+        const errors = [];
+        const value = this.validateNode(this.schema, this.clone(data), '', errors, previous, true);
+        return { value, errors };
+    }
+
+    validateNode(schema, value, path, errors, previous, isRoot = false) {
+        if (value === undefined && schema.default !== undefined) {
+            value = this.clone(schema.default);
+        }
+        if (value === undefined) return value;
+
+        if (schema.readOnly && previous !== undefined && previous !== null &&
+            JSON.stringify(value) !== JSON.stringify(previous)) {
+            errors.push({ field: path, message: 'Campo somente leitura' });
+            return previous;
+        }
+
+        if (schema.type) {
+            value = this.coerceType(schema.type, value);
+            if (!this.matchesType(schema.type, value)) {
+                const expected = [].concat(schema.type).join(' ou ');
+                errors.push({ field: path, message: `Deve ser do tipo ${expected}` });
+                return value;
+            }
+        }
+
+        if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+            errors.push({ field: path, message: `Deve ser igual a ${JSON.stringify(schema.const)}` });
+        }
+        if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+            errors.push({ field: path, message: `Deve ser um de: ${schema.enum.join(', ')}` });
+        }
+
+        if (typeof value === 'number') {
+            this.validateNumber(schema, value, path, errors);
+        } else if (typeof value === 'string') {
+            this.validateString(schema, value, path, errors);
+        } else if (Array.isArray(value)) {
+            value = this.validateArray(schema, value, path, errors, previous);
+        } else if (value !== null && typeof value === 'object') {
+            value = this.validateObject(schema, value, path, errors, previous, isRoot);
+        }
+
+        return value;
+    }
+
+    validateNumber(schema, value, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field: path, message: `Deve ser maior ou igual a ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field: path, message: `Deve ser menor ou igual a ${schema.maximum}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ field: path, message: `Deve ser maior que ${schema.exclusiveMinimum}` });
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push({ field: path, message: `Deve ser menor que ${schema.exclusiveMaximum}` });
+        }
+    }
+
+    validateString(schema, value, path, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field: path, message: `Deve ter pelo menos ${schema.minLength} caractere(s)` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field: path, message: `Deve ter no máximo ${schema.maxLength} caractere(s)` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field: path, message: `Formato inválido (padrão ${schema.pattern})` });
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            errors.push({ field: path, message: `Formato ${schema.format} inválido` });
+        }
+    }
+
+    validateArray(schema, value, path, errors, previous) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field: path, message: `Deve ter pelo menos ${schema.minItems} item(ns)` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field: path, message: `Deve ter no máximo ${schema.maxItems} item(ns)` });
+        }
+        if (!schema.items) return value;
+
+        return value.map((item, index) => this.validateNode(
+            schema.items,
+            item,
+            this.joinPath(path, index),
+            errors,
+            Array.isArray(previous) ? previous[index] : undefined
+        ));
+    }
+
+    validateObject(schema, value, path, errors, previous, isRoot) {
+        const properties = schema.properties || {};
+        const previousObject = previous && typeof previous === 'object' ? previous : {};
+
+        for (const field of schema.required || []) {
+            if (value[field] === undefined && properties[field]?.default === undefined) {
+                errors.push({ field: this.joinPath(path, field), message: 'Campo obrigatório' });
+            }
+        }
+
+        for (const [field, propertySchema] of Object.entries(properties)) {
+            const result = this.validateNode(
+                propertySchema,
+                value[field],
+                this.joinPath(path, field),
+                errors,
+                previous ? previousObject[field] : undefined
+            );
+            if (result !== undefined) value[field] = result;
+        }
+
+        const additional = schema.additionalProperties;
+        if (additional === undefined || additional === true) return value;
+
+        for (const field of Object.keys(value)) {
+            if (properties[field] || (isRoot && this.ignoredFields.includes(field))) continue;
+
+            const fieldPath = this.joinPath(path, field);
+            if (additional === false) {
+                errors.push({ field: fieldPath, message: 'Campo não permitido' });
+            } else {
+                value[field] = this.validateNode(
+                    additional, value[field], fieldPath, errors, previousObject[field]
+                );
+            }
+        }
+
+        return value;
+    }
+
+    coerceType(type, value) {
+        if (!this.coerce) return value;
+
+        const types = [].concat(type);
+        if (types.some(t => this.matchesType(t, value))) return value;
+
+        for (const target of types) {
+            if ((target === 'number' || target === 'integer') && typeof value === 'string' && value.trim() !== '') {
+                const number = Number(value);
+                if (!Number.isNaN(number) && (target === 'number' || Number.isInteger(number))) return number;
+            }
+            if (target === 'boolean' && (value === 'true' || value === 'false')) {
+                return value === 'true';
+            }
+            if (target === 'string' && typeof value === 'number') {
+                return String(value);
+            }
+            if (target === 'null' && value === '') {
+                return null;
+            }
+        }
+        return value;
+    }
+
+    matchesType(type, value) {
+        return [].concat(type).some(t => {
+            switch (t) {
+                case 'string': return typeof value === 'string';
+                case 'number': return typeof value === 'number' && Number.isFinite(value);
+                case 'integer': return Number.isInteger(value);
+                case 'boolean': return typeof value === 'boolean';
+                case 'null': return value === null;
+                case 'array': return Array.isArray(value);
+                case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+                default: return false;
+            }
+        });
+    }
+
+    joinPath(path, key) {
+        return path ? `${path}.${key}` : String(key);
+    }
+
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
+
+module.exports = SchemaValidator;
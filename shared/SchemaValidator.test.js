@@ -0,0 +1,112 @@
+// shared/SchemaValidator.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const SchemaValidator = require('./SchemaValidator');
+const JsonDatabase = require('./JsonDatabase');
+const { ValidationError } = require('./DatabaseErrors');
+
+const ITEM_SCHEMA = {
+    type: 'object',
+    required: ['name', 'price'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 20 },
+        price: { type: 'number', minimum: 0 },
+        unit: { type: 'string', enum: ['un', 'kg'], default: 'un' },
+        sku: { type: 'string', pattern: '^[A-Z]{3}-[0-9]+$', readOnly: true },
+        contact: { type: 'string', format: 'email' },
+        active: { type: 'boolean', default: true },
+        tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+    }
+};
+
+function fields(errors) {
+    return errors.map(error => error.field).sort();
+}
+
+describe('SchemaValidator', () => {
+    const validator = new SchemaValidator(ITEM_SCHEMA, { ignoredFields: ['id'] });
+
+    it('aplica defaults e converte tipos simples', () => {
+        const { value, errors } = validator.validate({ id: 'a', name: 'Arroz', price: '12.5', active: 'false' });
+
+        assert.deepStrictEqual(errors, []);
+        assert.deepStrictEqual(value, { id: 'a', name: 'Arroz', price: 12.5, unit: 'un', active: false });
+    });
+
+    it('reporta todos os problemas com o caminho do campo', () => {
+        const { errors } = validator.validate({
+            name: '',
+            unit: 'cx',
+            sku: 'abc',
+            contact: 'sem-arroba',
+            tags: ['a', {}, 'c'],
+            color: 'azul'
+        });
+
+        assert.deepStrictEqual(fields(errors), ['color', 'contact', 'name', 'price', 'sku', 'tags', 'tags.1', 'unit']);
+        assert.strictEqual(errors.find(error => error.field === 'price').message, 'Campo obrigatório');
+    });
+
+    it('não converte tipos com coerce: false', () => {
+        const strict = new SchemaValidator(ITEM_SCHEMA, { coerce: false });
+        assert.deepStrictEqual(fields(strict.validate({ name: 'Arroz', price: '12.5' }).errors), ['price']);
+    });
+
+    it('impede a mudança de campos readOnly', () => {
+        const previous = { name: 'Arroz', price: 1, sku: 'ARZ-1' };
+
+        assert.deepStrictEqual(validator.validate({ ...previous, price: 2 }, { previous }).errors, []);
+        assert.deepStrictEqual(fields(validator.validate({ ...previous, sku: 'ARZ-2' }, { previous }).errors), ['sku']);
+    });
+});
+
+describe('JsonDatabase com schema', () => {
+    let dir;
+    let db;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-database-schema-'));
+        mock.method(console, 'error', () => {});
+        db = new JsonDatabase(dir, 'items', { schema: ITEM_SCHEMA });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('grava o documento validado, com os campos de sistema aceitos', async () => {
+        const created = await db.create({ name: 'Arroz', price: '10' });
+
+        assert.strictEqual(created.price, 10);
+        assert.strictEqual(created.unit, 'un');
+        assert.ok(created.id && created.createdAt && created.updatedAt);
+        assert.deepStrictEqual(await db.findById(created.id), created);
+    });
+
+    it('rejeita create e update inválidos com ValidationError, sem gravar', async () => {
+        await assert.rejects(db.create({ name: 'Arroz', price: -1 }), error => {
+            assert.ok(error instanceof ValidationError);
+            assert.strictEqual(error.code, 'VALIDATION_FAILED');
+            assert.deepStrictEqual(fields(error.errors), ['price']);
+            return true;
+        });
+
+        const { id } = await db.create({ name: 'Arroz', price: 10, sku: 'ARZ-1' });
+        await assert.rejects(db.update(id, { $unset: { name: '' } }), ValidationError);
+        await assert.rejects(db.update(id, { sku: 'ARZ-2' }), ValidationError);
+        await assert.rejects(db.update(id, { createdAt: '2000-01-01T00:00:00.000Z' }), error => {
+            assert.deepStrictEqual(fields(error.errors), ['createdAt']);
+            return true;
+        });
+
+        assert.strictEqual(await db.count(), 1);
+        const current = await db.findById(id);
+        assert.strictEqual(current.name, 'Arroz');
+        assert.strictEqual(current.sku, 'ARZ-1');
+    });
+});
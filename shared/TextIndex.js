@@ -0,0 +1,253 @@
+// shared/TextIndex.js
+// Índice invertido para busca textual em português, usado por
+// JsonDatabase.search() e pela busca global do gateway:
+//
+//     const index = new TextIndex({ name: 3, description: 1 });
+//     documents.forEach(doc => index.add(doc));
+//     index.search('feijoes');  // [{ id, score }], mais relevante primeiro
+//
+// Textos e consultas passam pela mesma análise: minúsculas, remoção de
+// acentos ("Açúcar" -> "acucar"), descarte de stop words e redução a um
+// radical simples do português ("feijões" e "feijão" -> "feija"). A
+// pontuação é um BM25 com a frequência de cada termo multiplicada pelo
+// peso do campo. Termos da consulta também casam com prefixos ("arr" ->
+// arroz) e com erros de digitação (distância de edição 1, ou 2 em palavras
+// longas), valendo menos que o termo exato. Documentos que casam com mais
+// termos da consulta pontuam mais.
+
+const STOP_WORDS = new Set([
+    'a', 'ao', 'aos', 'as', 'ate', 'com', 'como', 'da', 'das', 'de', 'do', 'dos',
+    'e', 'ela', 'elas', 'ele', 'eles', 'em', 'entre', 'era', 'essa', 'esse',
+    'esta', 'este', 'eu', 'foi', 'ha', 'isso', 'isto', 'ja', 'lhe', 'mais', 'mas',
+    'me', 'mesmo', 'meu', 'minha', 'muito', 'na', 'nao', 'nas', 'nem', 'no', 'nos',
+    'num', 'numa', 'o', 'os', 'ou', 'para', 'pela', 'pelas', 'pelo', 'pelos',
+    'por', 'qual', 'quando', 'que', 'se', 'sem', 'ser', 'seu', 'sua', 'so',
+    'tambem', 'te', 'tem', 'um', 'uma', 'umas', 'uns', 'voce'
+]);
+
+// Plurais, do sufixo mais específico para o mais geral
+const PLURAL_SUFFIXES = [
+    ['oes', 'ao'], ['aes', 'ao'], ['ais', 'al'], ['eis', 'el'], ['ois', 'ol'],
+    ['ns', 'm'], ['s', '']
+];
+
+const DIMINUTIVE_SUFFIXES = ['zinho', 'zinha', 'inho', 'inha'];
+
+// Constantes do BM25
+const K1 = 1.2;
+const B = 0.75;
+
+// Peso de um termo que casou só por prefixo ou com erro de digitação
+const PREFIX_FACTOR = 0.8;
+const TYPO_FACTORS = [1, 0.6, 0.4];
+
+function normalize(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Radical "leve" do português: plural, diminutivo e vogal final. Não
+// precisa ser linguisticamente exato, só igual para as variações da mesma
+// palavra.
+function stem(word) {
+    if (word.length < 4 || /\d/.test(word)) return word;
+
+    let result = word;
+    const plural = PLURAL_SUFFIXES.find(([suffix]) =>
+        result.endsWith(suffix) && result.length > suffix.length);
+    if (plural) {
+        result = result.slice(0, -plural[0].length) + plural[1];
+    }
+
+    const diminutive = DIMINUTIVE_SUFFIXES.find(suffix =>
+        result.endsWith(suffix) && result.length - suffix.length >= 3);
+    if (diminutive) {
+        result = result.slice(0, -diminutive.length);
+    }
+
+    if (result.length > 3 && /[aeo]$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+    return result;
+}
+
+// Termos de um texto, na ordem em que aparecem
+function analyze(text) {
+    return normalize(text)
+        .split(' ')
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(stem);
+}
+
+// Distância de edição com transposição de letras vizinhas; desiste (devolve
+// max + 1) assim que a distância passa de `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            next.push(value);
+            best = Math.min(best, value);
+        }
+        if (best > max) return max + 1;
+        previousRow = row;
+        row = next;
+    }
+    return row[b.length];
+}
+
+class TextIndex {
+    // `weights` é { campo: peso }; null indexa todos os textos do documento,
+    // menos os campos em `ignoredFields`
+    constructor(weights = null, options = {}) {
+        this.weights = weights;
+        this.ignoredFields = options.ignoredFields || [];
+        this.postings = new Map(); // termo -> Map(id -> frequência ponderada)
+        this.documents = new Map(); // id -> { length, terms }
+        this.totalLength = 0;
+    }
+
+    add(document) {
+        if (this.documents.has(document.id)) {
+            this.remove(document);
+        }
+
+        const terms = new Map();
+        let length = 0;
+        for (const [text, weight] of this.getTexts(document)) {
+            for (const term of analyze(text)) {
+                terms.set(term, (terms.get(term) || 0) + weight);
+                length += weight;
+            }
+        }
+
+        for (const [term, frequency] of terms) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(document.id, frequency);
+        }
+        this.documents.set(document.id, { length, terms: [...terms.keys()] });
+        this.totalLength += length;
+    }
+
+    remove(document) {
+        const entry = this.documents.get(document.id);
+        if (!entry) return;
+
+        for (const term of entry.terms) {
+            const posting = this.postings.get(term);
+            posting.delete(document.id);
+            if (posting.size === 0) this.postings.delete(term);
+        }
+        this.documents.delete(document.id);
+        this.totalLength -= entry.length;
+    }
+
+    // [{ id, score }] em ordem decrescente de pontuação
+    search(query) {
+        const queryTerms = [...new Set(analyze(query))];
+        if (queryTerms.length === 0 || this.documents.size === 0) return [];
+
+        const averageLength = this.totalLength / this.documents.size || 1;
+        const scores = new Map(); // id -> { score, matched }
+
+        for (const queryTerm of queryTerms) {
+            // Melhor contribuição deste termo em cada documento
+            const best = new Map();
+            for (const [term, factor] of this.expand(queryTerm)) {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + (this.documents.size - posting.size + 0.5) / (posting.size + 0.5));
+
+                for (const [id, frequency] of posting) {
+                    const { length } = this.documents.get(id);
+                    const score = factor * idf * frequency * (K1 + 1) /
+                        (frequency + K1 * (1 - B + B * length / averageLength));
+                    if (score > (best.get(id) || 0)) best.set(id, score);
+                }
+            }
+
+            for (const [id, score] of best) {
+                const current = scores.get(id) || { score: 0, matched: 0 };
+                scores.set(id, { score: current.score + score, matched: current.matched + 1 });
+            }
+        }
+
+        return [...scores]
+            .map(([id, { score, matched }]) => ({
+                id,
+                score: Number((score * matched / queryTerms.length).toFixed(4))
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Termos do índice que casam com um termo da consulta: Map(termo -> fator)
+    expand(queryTerm) {
+        const matches = new Map();
+        if (this.postings.has(queryTerm)) {
+            matches.set(queryTerm, 1);
+        }
+
+        const maxDistance = queryTerm.length >= 7 ? 2 : queryTerm.length >= 3 ? 1 : 0;
+        for (const term of this.postings.keys()) {
+            if (term === queryTerm) continue;
+
+            let factor = 0;
+            if (queryTerm.length >= 3 && term.startsWith(queryTerm)) {
+                factor = PREFIX_FACTOR;
+            } else if (maxDistance > 0) {
+                const distance = editDistance(queryTerm, term, maxDistance);
+                if (distance <= maxDistance) factor = TYPO_FACTORS[distance];
+            }
+            if (factor > 0) matches.set(term, factor);
+        }
+        return matches;
+    }
+
+    // Pares [texto, peso] do documento
+    getTexts(document) {
+        if (this.weights) {
+            return Object.entries(this.weights).flatMap(([field, weight]) =>
+                collectStrings(getNestedValue(document, field)).map(text => [text, weight]));
+        }
+
+        return Object.entries(document)
+            .filter(([field]) => !this.ignoredFields.includes(field))
+            .flatMap(([, value]) => collectStrings(value).map(text => [text, 1]));
+    }
+}
+
+function getNestedValue(obj, path) {
+    return path.split('.').reduce((current, key) => {
+        if (Array.isArray(current)) {
+            return current.map(item => (item && typeof item === 'object' ? item[key] : undefined));
+        }
+        return current && current[key] !== undefined ? current[key] : undefined;
+    }, obj);
+}
+
+function collectStrings(value) {
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.flatMap(collectStrings);
+    if (value && typeof value === 'object') return Object.values(value).flatMap(collectStrings);
+    return [];
+}
+
+TextIndex.normalize = normalize;
+TextIndex.analyze = analyze;
+
+module.exports = TextIndex;
@@ -0,0 +1,102 @@
+// shared/TextIndex.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const TextIndex = require('./TextIndex');
+const JsonDatabase = require('./JsonDatabase');
+const { InvalidQueryError } = require('./DatabaseErrors');
+
+function ids(results) {
+    return results.map(result => result.id);
+}
+
+describe('TextIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new TextIndex({ name: 3, description: 1 });
+        [
+            { id: 'acucar', name: 'Açúcar Refinado', description: 'Pacote de 1kg' },
+            { id: 'feijao', name: 'Feijão Carioca', description: 'Grãos selecionados' },
+            { id: 'bolo', name: 'Mistura para bolo', description: 'Contém açúcar e farinha' },
+            { id: 'arroz', name: 'Arroz Integral', description: 'Pacote de 5kg' }
+        ].forEach(document => index.add(document));
+    });
+
+    it('ignora acentos e maiúsculas na consulta e no texto', () => {
+        assert.deepStrictEqual(ids(index.search('ACUCAR')), ['acucar', 'bolo']);
+        assert.deepStrictEqual(ids(index.search('açúcar')), ['acucar', 'bolo']);
+        assert.deepStrictEqual(ids(index.search('graos')), ['feijao']);
+    });
+
+    it('casa plurais e diminutivos com a mesma palavra', () => {
+        assert.deepStrictEqual(ids(index.search('feijões')), ['feijao']);
+        assert.deepStrictEqual(ids(index.search('arrozinho')), ['arroz']);
+    });
+
+    it('pontua mais o termo no campo de maior peso', () => {
+        const [first, second] = index.search('açúcar');
+        assert.ok(first.score > second.score);
+    });
+
+    it('descarta stop words e casa prefixos e erros de digitação com peso menor', () => {
+        assert.deepStrictEqual(index.search('de para com'), []);
+        assert.deepStrictEqual(ids(index.search('arr')), ['arroz']);
+        assert.deepStrictEqual(ids(index.search('integarl')), ['arroz']);
+        assert.ok(index.search('arr')[0].score < index.search('arroz')[0].score);
+    });
+
+    it('pontua mais quem casa com mais termos da consulta', () => {
+        assert.deepStrictEqual(ids(index.search('pacote arroz')), ['arroz', 'acucar']);
+    });
+
+    it('deixa de encontrar o documento removido', () => {
+        index.remove({ id: 'acucar', name: 'Açúcar Refinado', description: 'Pacote de 1kg' });
+        assert.deepStrictEqual(ids(index.search('acucar')), ['bolo']);
+    });
+});
+
+describe('JsonDatabase.search', () => {
+    let dir;
+    let db;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'text-search-'));
+        mock.method(console, 'error', () => {});
+        db = new JsonDatabase(dir, 'items', { textIndex: { name: 3, description: 1 } });
+        await db.create({ id: 'a', name: 'Açúcar', description: 'Refinado', active: true });
+        await db.create({ id: 'b', name: 'Bolo', description: 'Com açúcar', active: true });
+        await db.create({ id: 'c', name: 'Doce de açúcar mascavo', description: 'Artesanal', active: false });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('devolve os documentos em ordem de relevância com o _score', async () => {
+        const results = await db.search('acucar');
+
+        assert.deepStrictEqual(results.map(doc => doc.id), ['a', 'c', 'b']);
+        assert.ok(results.every(doc => typeof doc._score === 'number'));
+        assert.deepStrictEqual(
+            (await db.search('acucar', [], { filter: { active: true }, limit: 1, projection: { name: 1 } })),
+            [{ id: 'a', name: 'Açúcar', _score: results[0]._score }]
+        );
+    });
+
+    it('acompanha as escritas na coleção', async () => {
+        await db.update('a', { name: 'Adoçante' });
+        await db.delete('c');
+        await db.create({ id: 'd', name: 'Açúcar cristal' });
+
+        assert.deepStrictEqual((await db.search('açúcar')).map(doc => doc.id), ['d', 'b']);
+    });
+
+    it('aceita campos com pesos na própria busca', async () => {
+        assert.deepStrictEqual((await db.search('açúcar', ['description'])).map(doc => doc.id), ['b']);
+        await assert.rejects(db.search('açúcar', { name: 0 }), InvalidQueryError);
+    });
+});
@@ -0,0 +1,290 @@
+// shared/Transaction.js
+// Transações com várias escritas, em uma ou mais coleções, criadas por
+// db.transaction():
+//
+//     await listsDb.transaction(async tx => {
+//         const list = await tx.findById(listId);
+//         await tx.update(listId, { status: 'completed' });
+//         await tx.collection(outboxDb).create({ listId, type: 'checkout' });
+//     });
+//
+// As operações de `tx` (create, update, replace, delete, findById, findOne,
+// find, count) trabalham sobre um rascunho por coleção, e as leituras de
+// `tx` já enxergam as escritas anteriores da própria transação. Se o
+// callback terminar, todas as escritas são gravadas; se lançar, nenhuma é.
+//
+// Isolamento: uma transação de cada vez no processo. Cada coleção fica
+// travada (na mesma fila de escrita do JsonDatabase) da primeira operação da
+// transação sobre ela até o fim, então nenhuma outra escrita do processo se
+// intercala e o que `tx` leu não muda no meio da transação. Leituras fora
+// da transação continuam vendo só o estado gravado. Escritas de outros
+// processos não são isoladas.
+//
+// Gravação: cada coleção é gravada de forma atômica, uma após a outra. Se a
+// gravação de uma falhar, as já gravadas são revertidas antes de o erro ser
+// repassado; uma queda do processo entre duas coleções, porém, pode deixar
+// só parte delas gravada.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { TransactionError } = require('./DatabaseErrors');
+
+// Transação em andamento no contexto assíncrono atual
+const context = new AsyncLocalStorage();
+
+// Fila das transações do processo
+let queue = Promise.resolve();
+
+const INVERSE_TYPES = { insert: 'delete', update: 'update', delete: 'insert' };
+
+class Transaction {
+    constructor() {
+        this.scopes = new Map(); // storage.key -> TransactionScope
+        this.running = true;
+    }
+
+    static current() {
+        return context.getStore() || null;
+    }
+
+    static async run(db, callback) {
+        const active = Transaction.current();
+        if (active && active.running) {
+            throw new TransactionError('Transações aninhadas não são suportadas: use o tx recebido');
+        }
+
+        let finish;
+        const previous = queue;
+        queue = previous.then(() => new Promise(resolve => { finish = resolve; }));
+        await previous;
+
+        const transaction = new Transaction();
+        try {
+            const result = await context.run(transaction, () => callback(transaction.collection(db)));
+            transaction.running = false;
+            await transaction.commit();
+            return result;
+        } finally {
+            transaction.running = false;
+            transaction.release();
+            finish();
+        }
+    }
+
+    // Rascunho da transação para outra coleção; instâncias que apontam para
+    // a mesma coleção compartilham o rascunho
+    collection(db) {
+        this.assertRunning();
+        const key = db.storage.key;
+        if (!this.scopes.has(key)) {
+            this.scopes.set(key, new TransactionScope(this, db));
+        }
+        return this.scopes.get(key);
+    }
+
+    holds(key) {
+        return this.scopes.has(key);
+    }
+
+    assertRunning() {
+        if (!this.running) {
+            throw new TransactionError('A transação já terminou');
+        }
+    }
+
+    async commit() {
+        const pending = [...this.scopes.values()].filter(scope => scope.draft && scope.draft.changes.length > 0);
+        const committed = [];
+
+        try {
+            for (const scope of pending) {
+                const { db, base, draft } = scope;
+                const result = await db.storage.commit(draft.documents, draft.changes, base.info);
+                committed.push({ scope, result });
+            }
+        } catch (error) {
+            await this.revert(committed);
+            throw error;
+        }
+
+        // Só com tudo gravado os caches são atualizados e os eventos publicados
+        for (const { scope, result } of committed) {
+            const { db, base, draft } = scope;
+            await db.applyCommit(base, draft.documents, draft.changes, result);
+        }
+    }
+
+    // Desfaz as coleções já gravadas aplicando as mudanças inversas. O cache
+    // de cada uma fica com a versão anterior e é relido na próxima operação.
+    async revert(committed) {
+        for (const { scope, result } of [...committed].reverse()) {
+            const { db, base, draft } = scope;
+            const inverse = [...draft.changes].reverse().map(change => ({
+                type: INVERSE_TYPES[change.type],
+                before: change.after,
+                after: change.before
+            }));
+
+            try {
+                await db.storage.commit(base.documents, inverse, result.info);
+            } catch (error) {
+                console.error(`Erro ao reverter a transação na coleção "${db.collectionName}":`, error);
+            }
+        }
+    }
+
+    release() {
+        for (const scope of this.scopes.values()) {
+            if (scope.release) {
+                scope.release();
+                scope.release = null;
+            }
+        }
+    }
+}
+
+// Operações da transação sobre uma coleção. Os documentos seguem as mesmas
+// regras do JsonDatabase: campos de sistema, schema, índices únicos e
+// expectedVersion.
+class TransactionScope {
+    constructor(transaction, db) {
+        this.transaction = transaction;
+        this.db = db;
+        this.opening = null;
+        this.release = null;
+        this.base = null; // estado gravado quando a coleção foi travada
+        this.draft = null; // { documents, byId, index, changes }
+    }
+
+    collection(db) {
+        return this.transaction.collection(db);
+    }
+
+    // Na primeira operação, trava a coleção e copia o estado gravado para o
+    // rascunho
+    async open() {
+        this.transaction.assertRunning();
+        if (!this.opening) {
+            this.opening = this.lock();
+        }
+        await this.opening;
+        this.transaction.assertRunning();
+        return this.draft;
+    }
+
+    async lock() {
+        const release = await this.db.acquireWriteLock();
+        if (!this.transaction.running) {
+            release();
+            throw new TransactionError('A transação já terminou');
+        }
+        this.release = release;
+
+        await this.db.ready;
+        this.base = await this.db.loadWriteState();
+        this.draft = {
+            documents: [...this.base.documents],
+            byId: new Map(this.base.byId),
+            index: this.db.cloneDocument(this.base.index),
+            changes: []
+        };
+    }
+
+    async create(data) {
+        const draft = await this.open();
+        const document = this.db.prepareInsert(data, draft.byId);
+
+        this.db.assertUniqueConstraints(draft.index, document, null);
+        this.stage(draft, null, document);
+
+        return this.db.cloneDocument(document);
+    }
+
+    async update(id, updates, options = {}) {
+        return this.modify(id, options, current => this.db.applyUpdate(current, updates));
+    }
+
+    async replace(id, document, options = {}) {
+        return this.modify(id, options, current => this.db.applyReplacement(current, document));
+    }
+
+    async modify(id, options, transform) {
+        const draft = await this.open();
+        const current = draft.byId.get(id);
+
+        if (!current) {
+            return null;
+        }
+
+        this.db.assertExpectedVersion(current, options.expectedVersion);
+
+        const updated = this.db.prepareUpdate(current, transform(current));
+        this.db.assertUniqueConstraints(draft.index, updated, current);
+        this.stage(draft, current, updated);
+
+        return this.db.cloneDocument(updated);
+    }
+
+    async delete(id, options = {}) {
+        const draft = await this.open();
+        const removed = draft.byId.get(id);
+
+        if (!removed) {
+            return false;
+        }
+
+        this.db.assertExpectedVersion(removed, options.expectedVersion);
+        this.stage(draft, removed, null);
+
+        return true;
+    }
+
+    async findById(id) {
+        const draft = await this.open();
+        const document = draft.byId.get(id);
+        return document ? this.db.cloneDocument(document) : null;
+    }
+
+    async findOne(filter = {}) {
+        const draft = await this.open();
+        const document = draft.documents.find(doc => this.db.matchesFilter(doc, filter));
+        return document ? this.db.cloneDocument(document) : null;
+    }
+
+    async find(filter = {}, options = {}) {
+        const draft = await this.open();
+        const projection = this.db.normalizeProjection(options.projection);
+        return this.db.selectDocuments(draft.documents, filter, options)
+            .map(doc => this.db.projectDocument(doc, projection));
+    }
+
+    async count(filter = {}) {
+        const draft = await this.open();
+        return this.db.selectDocuments(draft.documents, filter).length;
+    }
+
+    // Aplica a mudança ao rascunho e ao índice do rascunho (usado nas
+    // verificações de unicidade das operações seguintes)
+    stage(draft, before, after) {
+        if (before) {
+            this.db.unindexDocument(draft.index, before);
+            draft.byId.delete(before.id);
+        }
+        if (after) {
+            this.db.indexDocument(draft.index, after);
+            draft.byId.set(after.id, after);
+        }
+
+        if (!before) {
+            draft.documents.push(after);
+            draft.changes.push({ type: 'insert', before: null, after });
+        } else if (after) {
+            draft.documents = draft.documents.map(doc => doc === before ? after : doc);
+            draft.changes.push({ type: 'update', before, after });
+        } else {
+            draft.documents = draft.documents.filter(doc => doc !== before);
+            draft.changes.push({ type: 'delete', before, after: null });
+        }
+    }
+}
+
+module.exports = Transaction;
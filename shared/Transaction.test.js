@@ -0,0 +1,118 @@
+// shared/Transaction.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('./JsonDatabase');
+const { VersionConflictError, DuplicateKeyError, TransactionError } = require('./DatabaseErrors');
+
+describe('JsonDatabase.transaction', () => {
+    let dir;
+    let lists;
+    let outbox;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'transaction-'));
+        mock.method(console, 'error', () => {});
+        lists = new JsonDatabase(dir, 'lists');
+        outbox = new JsonDatabase(dir, 'outbox', { indexes: [{ fields: ['listId'], unique: true }] });
+        await lists.create({ id: 'l1', status: 'active' });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await fs.remove(dir);
+    });
+
+    it('grava as escritas de todas as coleções ao terminar', async () => {
+        const events = [];
+        lists.watch().on('change', event => events.push(event.operationType));
+
+        const result = await lists.transaction(async tx => {
+            await tx.update('l1', { status: 'completed' }, { expectedVersion: 1 });
+            await tx.collection(outbox).create({ listId: 'l1', type: 'checkout' });
+
+            // As leituras de tx já enxergam as escritas da própria transação
+            assert.strictEqual((await tx.findById('l1')).status, 'completed');
+            assert.strictEqual(await tx.collection(outbox).count({ listId: 'l1' }), 1);
+            // Fora dela, só o estado gravado
+            assert.strictEqual((await new JsonDatabase(dir, 'lists').findById('l1')).status, 'active');
+            return 'ok';
+        });
+
+        assert.strictEqual(result, 'ok');
+        assert.strictEqual((await lists.findById('l1')).status, 'completed');
+        assert.strictEqual(await new JsonDatabase(dir, 'outbox').count(), 1);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepStrictEqual(events, ['update']);
+    });
+
+    it('descarta todas as escritas quando uma operação dá conflito', async () => {
+        await lists.update('l1', { status: 'shared' });
+
+        await assert.rejects(
+            lists.transaction(async tx => {
+                await tx.collection(outbox).create({ listId: 'l1', type: 'checkout' });
+                await tx.create({ id: 'l2', status: 'active' });
+                await tx.update('l1', { status: 'completed' }, { expectedVersion: 1 });
+            }),
+            VersionConflictError
+        );
+
+        assert.strictEqual((await lists.findById('l1')).status, 'shared');
+        assert.strictEqual(await lists.findById('l2'), null);
+        assert.strictEqual(await outbox.count(), 0);
+    });
+
+    it('descarta as escritas quando um índice único é violado dentro da transação', async () => {
+        await assert.rejects(
+            lists.transaction(async tx => {
+                await tx.update('l1', { status: 'completed' });
+                await tx.collection(outbox).create({ listId: 'l1' });
+                await tx.collection(outbox).create({ listId: 'l1' });
+            }),
+            DuplicateKeyError
+        );
+
+        assert.strictEqual((await lists.findById('l1')).status, 'active');
+        assert.strictEqual(await outbox.count(), 0);
+    });
+
+    it('reverte as coleções já gravadas se a gravação de outra falhar', async () => {
+        await outbox.count();
+        mock.method(outbox.storage, 'commit', async () => {
+            throw new Error('disco cheio');
+        });
+
+        await assert.rejects(
+            lists.transaction(async tx => {
+                await tx.update('l1', { status: 'completed' });
+                await tx.collection(outbox).create({ listId: 'l1' });
+            }),
+            /disco cheio/
+        );
+
+        assert.strictEqual((await lists.findById('l1')).status, 'active');
+        assert.strictEqual((await new JsonDatabase(dir, 'lists').findById('l1')).status, 'active');
+    });
+
+    it('rejeita transações aninhadas e escritas diretas numa coleção travada', async () => {
+        await assert.rejects(
+            lists.transaction(async tx => {
+                await tx.findById('l1');
+                await lists.update('l1', { status: 'completed' });
+            }),
+            TransactionError
+        );
+        await assert.rejects(
+            lists.transaction(() => outbox.transaction(async () => {})),
+            TransactionError
+        );
+
+        let leaked;
+        await lists.transaction(async tx => { leaked = tx; });
+        await assert.rejects(leaked.create({ id: 'l3' }), TransactionError);
+        assert.strictEqual(await lists.count(), 1);
+    });
+});
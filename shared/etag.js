@@ -0,0 +1,45 @@
+// shared/etag.js
+// Tradução entre a versão dos documentos do JsonDatabase e os cabeçalhos
+// HTTP de requisição condicional (ETag / If-Match).
+
+// ETag forte derivada da versão do documento: "v3"
+function toETag(document) {
+  const version = Number.isInteger(document.version) ? document.version : 0;
+  return `"v${version}"`;
+}
+
+// Entity-tags do cabeçalho, forte ou fraca (W/"..."). A lista é lida tag a
+// tag em vez de dividida nas vírgulas, que também podem aparecer entre as
+// aspas.
+const ENTITY_TAG = /(W\/)?"([^"]*)"/g;
+
+// Lê o If-Match da requisição (RFC 9110, seção 13.1.1):
+//   undefined -> cabeçalho ausente (sem controle de concorrência)
+//   null      -> "*" (qualquer versão, basta o recurso existir)
+//   [números] -> versões aceitas: a requisição segue se a atual for uma
+//                delas. If-Match usa comparação forte, então tags fracas
+//                nunca conferem; tags que não emitimos também não. Uma
+//                lista vazia não confere com nenhuma versão.
+function parseIfMatch(req) {
+  const header = req.header("If-Match");
+  if (header === undefined) return undefined;
+  if (header.trim() === "*") return null;
+
+  const versions = [];
+  for (const [, weak, tag] of header.matchAll(ENTITY_TAG)) {
+    const match = /^v(\d+)$/.exec(tag);
+    if (!weak && match) versions.push(parseInt(match[1], 10));
+  }
+  return versions;
+}
+
+// Resposta padrão para If-Match que não confere com a versão atual
+function sendPreconditionFailed(res, currentVersion) {
+  return res.status(412).json({
+    success: false,
+    message: "Precondition Failed: o recurso foi alterado por outra requisição",
+    currentVersion,
+  });
+}
+
+module.exports = { toETag, parseIfMatch, sendPreconditionFailed };
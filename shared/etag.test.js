@@ -0,0 +1,38 @@
+// shared/etag.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { toETag, parseIfMatch } = require("./etag");
+
+function request(ifMatch) {
+  return { header: (name) => (name === "If-Match" ? ifMatch : undefined) };
+}
+
+describe("etag", () => {
+  it("gera uma ETag forte a partir da versão", () => {
+    assert.strictEqual(toETag({ version: 3 }), '"v3"');
+    assert.strictEqual(toETag({}), '"v0"');
+  });
+
+  it("sem If-Match não impõe versão; com * aceita qualquer uma", () => {
+    assert.strictEqual(parseIfMatch(request(undefined)), undefined);
+    assert.strictEqual(parseIfMatch(request("*")), null);
+    assert.strictEqual(parseIfMatch(request(" * ")), null);
+  });
+
+  it("aceita todas as tags de uma lista", () => {
+    assert.deepStrictEqual(parseIfMatch(request('"v3"')), [3]);
+    assert.deepStrictEqual(parseIfMatch(request('"v3", "v5","v7"')), [3, 5, 7]);
+  });
+
+  it("nunca aceita uma tag fraca", () => {
+    assert.deepStrictEqual(parseIfMatch(request('W/"v3"')), []);
+    assert.deepStrictEqual(parseIfMatch(request('W/"v3", "v4"')), [4]);
+  });
+
+  it("ignora tags que não foram emitidas por nós", () => {
+    assert.deepStrictEqual(parseIfMatch(request('"abc", "v2"')), [2]);
+    assert.deepStrictEqual(parseIfMatch(request('"a,b", "v2"')), [2]);
+    assert.deepStrictEqual(parseIfMatch(request("v2")), []);
+    assert.deepStrictEqual(parseIfMatch(request('"*"')), []);
+  });
+});
@@ -0,0 +1,181 @@
+// shared/events/index.js
+// Envelope e registro de schemas dos eventos publicados em shopping_events.
+// Todo evento viaja assim:
+//
+//   {
+//     eventId: "<uuid>",                    // identidade, usada para deduplicar
+//     type: "list.checkout.completed",      // também é a routing key
+//     version: 2,                           // versão do schema de `data`
+//     occurredAt: "<ISO 8601>",
+//     producer: "list-service",
+//     correlationId: "<id da requisição de origem>",
+//     data: { ... }
+//   }
+//
+// Os schemas ficam em schemas/envelope.json e schemas/<tipo>/<versão>.json.
+// O produtor cria o evento na versão mais recente com create(); o
+// RabbitMQService valida na publicação e, no consumo, decode() valida a
+// versão recebida e a converte (upcasters.js) até a mais recente, para que
+// os consumidores só precisem conhecer o formato atual.
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const SchemaValidator = require("../SchemaValidator");
+const upcasters = require("./upcasters");
+
+const SCHEMAS_DIR = path.join(__dirname, "schemas");
+
+class EventValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "EventValidationError";
+    this.code = "INVALID_EVENT";
+    this.errors = errors;
+  }
+}
+
+function loadValidator(file) {
+  const schema = JSON.parse(fs.readFileSync(file, "utf8"));
+  return new SchemaValidator(schema, { coerce: false });
+}
+
+// tipo -> Map(versão -> validador)
+function loadRegistry() {
+  const registry = new Map();
+  for (const entry of fs.readdirSync(SCHEMAS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+
+    const versions = new Map();
+    for (const file of fs.readdirSync(path.join(SCHEMAS_DIR, entry.name))) {
+      const match = file.match(/^(\d+)\.json$/);
+      if (match) {
+        versions.set(Number(match[1]), loadValidator(path.join(SCHEMAS_DIR, entry.name, file)));
+      }
+    }
+    registry.set(entry.name, versions);
+  }
+  return registry;
+}
+
+const envelopeValidator = loadValidator(path.join(SCHEMAS_DIR, "envelope.json"));
+const registry = loadRegistry();
+
+function describeErrors(errors) {
+  return errors.map((error) => `${error.field || "(raiz)"}: ${error.message}`).join("; ");
+}
+
+function latestVersion(type) {
+  const versions = registry.get(type);
+  if (!versions || versions.size === 0) {
+    throw new EventValidationError(`Tipo de evento desconhecido: ${type}`);
+  }
+  return Math.max(...versions.keys());
+}
+
+function isEnvelope(message) {
+  return (
+    Boolean(message) &&
+    typeof message === "object" &&
+    typeof message.eventId === "string" &&
+    typeof message.type === "string" &&
+    Number.isInteger(message.version) &&
+    message.data !== undefined
+  );
+}
+
+// Valida envelope e dados contra o schema da versão declarada
+function validate(envelope) {
+  const { errors } = envelopeValidator.validate(envelope);
+  if (errors.length > 0) {
+    throw new EventValidationError(`Envelope de evento inválido: ${describeErrors(errors)}`, errors);
+  }
+
+  const validator = registry.get(envelope.type)?.get(envelope.version);
+  if (!validator) {
+    throw new EventValidationError(
+      `Schema não encontrado para ${envelope.type} v${envelope.version}`
+    );
+  }
+
+  const result = validator.validate(envelope.data);
+  if (result.errors.length > 0) {
+    const fieldErrors = result.errors.map((error) => ({
+      ...error,
+      field: error.field ? `data.${error.field}` : "data",
+    }));
+    throw new EventValidationError(
+      `Evento ${envelope.type} v${envelope.version} inválido: ${describeErrors(fieldErrors)}`,
+      fieldErrors
+    );
+  }
+  return envelope;
+}
+
+// Evento novo, na versão mais recente do tipo (ou na informada)
+function create(type, data, options = {}) {
+  const eventId = options.eventId || uuidv4();
+  return validate({
+    eventId,
+    type,
+    version: options.version || latestVersion(type),
+    occurredAt: options.occurredAt || new Date().toISOString(),
+    producer: options.producer,
+    correlationId: options.correlationId || eventId,
+    data,
+  });
+}
+
+// Converte um envelope válido até a versão mais recente do tipo
+function upcast(envelope) {
+  validate(envelope);
+
+  const latest = latestVersion(envelope.type);
+  let current = envelope;
+  while (current.version < latest) {
+    const upcaster = upcasters[current.type]?.[current.version];
+    if (!upcaster) {
+      throw new EventValidationError(
+        `Sem conversão de ${current.type} v${current.version} para v${current.version + 1}`
+      );
+    }
+    current = {
+      ...current,
+      version: current.version + 1,
+      data: upcaster(current.data, current),
+    };
+  }
+
+  return current === envelope ? envelope : validate(current);
+}
+
+// Mensagem recebida do broker -> envelope na versão mais recente.
+// Mensagens publicadas antes do envelope (só os dados) são tratadas como a
+// versão 1 de `type` (a routing key); `eventId` vem do messageId, quando há.
+function decode(message, { type, eventId } = {}) {
+  if (isEnvelope(message)) return upcast(message);
+
+  if (!message || typeof message !== "object" || !type) {
+    throw new EventValidationError("Mensagem sem envelope de evento");
+  }
+
+  const id = eventId || uuidv4();
+  return upcast({
+    eventId: id,
+    type,
+    version: 1,
+    occurredAt: message.timestamp || new Date().toISOString(),
+    producer: "desconhecido",
+    correlationId: id,
+    data: message,
+  });
+}
+
+module.exports = {
+  create,
+  validate,
+  upcast,
+  decode,
+  isEnvelope,
+  latestVersion,
+  EventValidationError,
+};
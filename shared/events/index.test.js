@@ -0,0 +1,80 @@
+// shared/events/index.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const events = require(".");
+
+const EVENT_ID = "0b6f1c2e-8d4a-4f3b-9c1d-2e5a7b9c0d1e";
+
+const DATA = {
+  listId: "list-1",
+  listName: "Mercado",
+  userId: "user-1",
+  userEmail: null,
+  items: [{ itemId: "item-1", quantity: 2 }],
+  summary: { totalItems: 2, purchasedItems: 0, estimatedTotal: 10 },
+  completedAt: "2024-05-01T12:00:00.000Z",
+};
+
+describe("events", () => {
+  it("cria o envelope na versão mais recente do tipo", () => {
+    const event = events.create("list.checkout.completed", DATA, { producer: "list-service" });
+
+    assert.ok(events.isEnvelope(event));
+    assert.strictEqual(event.version, events.latestVersion("list.checkout.completed"));
+    assert.strictEqual(event.producer, "list-service");
+    assert.strictEqual(event.correlationId, event.eventId);
+    assert.deepStrictEqual(event.data, DATA);
+  });
+
+  it("rejeita dados fora do schema com os campos problemáticos", () => {
+    const { summary, ...withoutSummary } = DATA;
+
+    assert.throws(
+      () => events.create("list.checkout.completed", withoutSummary, { producer: "list-service" }),
+      (error) => {
+        assert.ok(error instanceof events.EventValidationError);
+        assert.strictEqual(error.code, "INVALID_EVENT");
+        assert.ok(error.errors.some((entry) => entry.field === "data.summary"));
+        return true;
+      }
+    );
+    assert.throws(() => events.create("list.unknown", DATA, { producer: "x" }), events.EventValidationError);
+  });
+
+  it("converte eventos v1 para a versão mais recente", () => {
+    const v1 = {
+      eventId: EVENT_ID,
+      type: "list.checkout.completed",
+      version: 1,
+      occurredAt: "2024-05-01T12:00:05.000Z",
+      producer: "list-service",
+      correlationId: EVENT_ID,
+      data: {
+        listId: "list-1",
+        userId: "user-1",
+        items: [{ itemId: "item-1", quantity: 2 }],
+        summary: { estimatedTotal: 12 },
+        timestamp: "2024-05-01T12:00:00.000Z",
+      },
+    };
+
+    const event = events.upcast(v1);
+
+    assert.strictEqual(event.version, events.latestVersion("list.checkout.completed"));
+    assert.strictEqual(event.data.listName, null);
+    assert.strictEqual(event.data.completedAt, "2024-05-01T12:00:00.000Z");
+    assert.deepStrictEqual(event.data.summary, { totalItems: 0, purchasedItems: 0, estimatedTotal: 12 });
+  });
+
+  it("decodifica mensagens sem envelope como a versão 1 da routing key", () => {
+    const event = events.decode(
+      { listId: "list-1", userId: "user-1", items: [], summary: {}, timestamp: "2024-05-01T12:00:00.000Z" },
+      { type: "list.checkout.completed", eventId: EVENT_ID }
+    );
+
+    assert.strictEqual(event.eventId, EVENT_ID);
+    assert.strictEqual(event.producer, "desconhecido");
+    assert.strictEqual(event.version, events.latestVersion("list.checkout.completed"));
+    assert.throws(() => events.decode("texto", { type: "list.checkout.completed" }), events.EventValidationError);
+  });
+});
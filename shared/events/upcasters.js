@@ -0,0 +1,23 @@
+// shared/events/upcasters.js
+// Conversões de uma versão de evento para a seguinte, por tipo:
+// upcasters[tipo][n](data, envelope) devolve os dados na versão n + 1.
+// Ao criar uma versão nova de um evento, acrescente o schema
+// schemas/<tipo>/<n + 1>.json e a conversão da versão n aqui.
+module.exports = {
+  "list.checkout.completed": {
+    // v1 não tinha nome da lista nem data de conclusão (só `timestamp`, o
+    // momento da publicação)
+    1: ({ timestamp, ...data }, envelope) => ({
+      listName: null,
+      userEmail: null,
+      ...data,
+      summary: {
+        totalItems: 0,
+        purchasedItems: 0,
+        estimatedTotal: 0,
+        ...data.summary,
+      },
+      completedAt: timestamp || envelope.occurredAt,
+    }),
+  },
+};
@@ -0,0 +1,680 @@
+// shared/messaging/MemoryTransport.js
+// Broker AMQP em memória, para rodar produtor e consumidores no mesmo
+// processo sem um RabbitMQ (MESSAGE_TRANSPORT=memory, ver
+// workers/checkout-events.test.js). Implementa o subconjunto do amqplib
+// que o RabbitMQService usa, com a mesma semântica:
+//
+//   - exchanges topic ("*" casa uma palavra, "#" casa zero ou mais), direct
+//     e fanout, além do exchange padrão ("" entrega na fila de mesmo nome)
+//   - filas duráveis ou não: restart() simula a reinicialização do broker,
+//     descartando filas não duráveis e mensagens não persistentes, e
+//     stop()/start() o broker fora do ar (conexões recusadas)
+//   - consumo com prefetch por consumidor, ack/nack/reject e reentrega
+//     (redelivered) do que ficou sem ack quando o canal ou a conexão fecha
+//   - canais com confirmação (callback de publish/sendToQueue)
+//   - x-message-ttl, x-dead-letter-exchange e x-dead-letter-routing-key
+//     (com o header x-death), usados pelas filas de espera do subscribe()
+//
+// O broker vive enquanto o processo vive: cada processo tem o seu, então
+// serviços em processos separados não se enxergam por este transporte.
+const { EventEmitter } = require("events");
+const { v4: uuidv4 } = require("uuid");
+
+const EXCHANGE_TYPES = ["topic", "direct", "fanout"];
+
+// Routing key casa com o padrão de um binding de exchange topic?
+function matchesTopic(pattern, routingKey) {
+  const parts = pattern === "" ? [] : pattern.split(".");
+  const words = routingKey === "" ? [] : routingKey.split(".");
+
+  const match = (p, w) => {
+    if (p === parts.length) return w === words.length;
+    if (parts[p] === "#") {
+      for (let i = w; i <= words.length; i++) {
+        if (match(p + 1, i)) return true;
+      }
+      return false;
+    }
+    if (w === words.length) return false;
+    return (parts[p] === "*" || parts[p] === words[w]) && match(p + 1, w + 1);
+  };
+  return match(0, 0);
+}
+
+// Erro de canal no formato do amqplib (código AMQP + texto do broker)
+function amqpError(code, text) {
+  const error = new Error(`Operation failed: ${text}`);
+  error.code = code;
+  return error;
+}
+
+// Só emite 'error' se alguém escuta, como o amqplib (sem ouvinte o
+// EventEmitter lançaria a exceção)
+function emitError(emitter, error) {
+  if (emitter.listenerCount("error") > 0) emitter.emit("error", error);
+}
+
+class MemoryQueue {
+  constructor(broker, name, options, owner) {
+    this.broker = broker;
+    this.name = name;
+    this.durable = options.durable !== false;
+    this.exclusive = Boolean(options.exclusive);
+    this.autoDelete = Boolean(options.autoDelete);
+    this.arguments = { ...(options.arguments || {}) };
+    this.owner = this.exclusive ? owner : null;
+    this.messages = []; // prontas para entrega, na ordem
+    this.consumers = [];
+    this.nextConsumer = 0; // rodízio entre os consumidores
+    this.scheduled = false;
+  }
+
+  push(message) {
+    const ttl = this.arguments["x-message-ttl"];
+    if (ttl !== undefined) {
+      message.timer = setTimeout(() => this.expire(message), Number(ttl));
+    }
+    this.messages.push(message);
+    this.dispatch();
+  }
+
+  // Devolve mensagens sem ack ao início da fila, na ordem original
+  requeue(messages) {
+    for (const message of [...messages].reverse()) {
+      message.redelivered = true;
+      this.messages.unshift(message);
+    }
+    this.dispatch();
+  }
+
+  expire(message) {
+    const index = this.messages.indexOf(message);
+    if (index === -1) return; // já entregue
+    this.messages.splice(index, 1);
+    this.broker.deadLetter(this, message, "expired");
+  }
+
+  // Entrega assíncrona, como a de um broker de verdade
+  dispatch() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    setImmediate(() => {
+      this.scheduled = false;
+      this.deliverReady();
+    });
+  }
+
+  deliverReady() {
+    while (this.messages.length > 0) {
+      const consumer = this.pickConsumer();
+      if (!consumer) return;
+
+      const message = this.messages.shift();
+      clearTimeout(message.timer);
+      consumer.channel.deliver(consumer, this, message);
+    }
+  }
+
+  pickConsumer() {
+    for (let i = 0; i < this.consumers.length; i++) {
+      const index = (this.nextConsumer + i) % this.consumers.length;
+      const consumer = this.consumers[index];
+      if (consumer.prefetch === 0 || consumer.unacked < consumer.prefetch) {
+        this.nextConsumer = index + 1;
+        return consumer;
+      }
+    }
+    return null;
+  }
+
+  removeConsumer(consumer) {
+    this.consumers = this.consumers.filter((current) => current !== consumer);
+    if (this.autoDelete && this.consumers.length === 0) {
+      this.broker.deleteQueue(this.name);
+    }
+  }
+
+  stats() {
+    return {
+      messages: this.messages.length,
+      unacked: this.consumers.reduce((total, consumer) => total + consumer.unacked, 0),
+      consumers: this.consumers.length,
+    };
+  }
+}
+
+class MemoryChannel extends EventEmitter {
+  constructor(connection, confirm) {
+    super();
+    this.connection = connection;
+    this.broker = connection.broker;
+    this.confirm = confirm;
+    this.closed = false;
+    this.prefetchCount = 0;
+    this.deliveryTag = 0;
+    this.unacked = new Map(); // deliveryTag -> { consumer, queue, message }
+    this.consumers = new Map(); // consumerTag -> consumer
+  }
+
+  ensureOpen() {
+    if (this.closed) throw new Error("Channel closed");
+  }
+
+  // Erro de canal: como no RabbitMQ, o canal é fechado
+  fail(error) {
+    emitError(this, error);
+    this.teardown(error);
+    throw error;
+  }
+
+  async assertExchange(name, type, options = {}) {
+    this.ensureOpen();
+    try {
+      this.broker.assertExchange(name, type, options);
+    } catch (error) {
+      this.fail(error);
+    }
+    return { exchange: name };
+  }
+
+  async assertQueue(name = "", options = {}) {
+    this.ensureOpen();
+    let queue;
+    try {
+      queue = this.broker.assertQueue(name, options, this.connection);
+    } catch (error) {
+      this.fail(error);
+    }
+    return { queue: queue.name, messageCount: queue.messages.length, consumerCount: queue.consumers.length };
+  }
+
+  async checkQueue(name) {
+    this.ensureOpen();
+    const queue = this.broker.queues.get(name);
+    if (!queue) this.fail(amqpError(404, `NOT_FOUND - no queue '${name}'`));
+    return { queue: name, messageCount: queue.messages.length, consumerCount: queue.consumers.length };
+  }
+
+  async deleteQueue(name) {
+    this.ensureOpen();
+    return { messageCount: this.broker.deleteQueue(name) };
+  }
+
+  async purgeQueue(name) {
+    this.ensureOpen();
+    const queue = this.broker.queues.get(name);
+    if (!queue) this.fail(amqpError(404, `NOT_FOUND - no queue '${name}'`));
+    const messageCount = queue.messages.length;
+    queue.messages.forEach((message) => clearTimeout(message.timer));
+    queue.messages = [];
+    return { messageCount };
+  }
+
+  async bindQueue(queue, exchange, pattern) {
+    this.ensureOpen();
+    try {
+      this.broker.bindQueue(queue, exchange, pattern);
+    } catch (error) {
+      this.fail(error);
+    }
+    return {};
+  }
+
+  async unbindQueue(queue, exchange, pattern) {
+    this.ensureOpen();
+    this.broker.unbindQueue(queue, exchange, pattern);
+    return {};
+  }
+
+  // Como no RabbitMQ (global = false): vale para os consumidores criados
+  // depois da chamada
+  async prefetch(count) {
+    this.ensureOpen();
+    this.prefetchCount = count;
+    return {};
+  }
+
+  publish(exchange, routingKey, content, options = {}, callback) {
+    this.ensureOpen();
+    if (!Buffer.isBuffer(content)) {
+      throw new TypeError("content is not a buffer");
+    }
+
+    let error = null;
+    try {
+      this.broker.publish(exchange, routingKey, content, options);
+    } catch (publishError) {
+      // Exchange inexistente fecha o canal, de forma assíncrona no amqplib
+      error = publishError;
+      setImmediate(() => {
+        emitError(this, error);
+        this.teardown(error);
+      });
+    }
+    if (this.confirm && callback) {
+      setImmediate(() => callback(error));
+    }
+    return true;
+  }
+
+  sendToQueue(queue, content, options, callback) {
+    return this.publish("", queue, content, options, callback);
+  }
+
+  async waitForConfirms() {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  async consume(queueName, onMessage, options = {}) {
+    this.ensureOpen();
+    const queue = this.broker.queues.get(queueName);
+    if (!queue) this.fail(amqpError(404, `NOT_FOUND - no queue '${queueName}'`));
+
+    const consumer = {
+      tag: options.consumerTag || `amq.ctag-${uuidv4()}`,
+      channel: this,
+      queue,
+      onMessage,
+      noAck: Boolean(options.noAck),
+      prefetch: this.prefetchCount,
+      unacked: 0,
+    };
+    this.consumers.set(consumer.tag, consumer);
+    queue.consumers.push(consumer);
+    queue.dispatch();
+    return { consumerTag: consumer.tag };
+  }
+
+  async cancel(consumerTag) {
+    this.ensureOpen();
+    const consumer = this.consumers.get(consumerTag);
+    if (consumer) {
+      this.consumers.delete(consumerTag);
+      consumer.queue.removeConsumer(consumer);
+    }
+    return { consumerTag };
+  }
+
+  deliver(consumer, queue, message) {
+    const deliveryTag = ++this.deliveryTag;
+    if (!consumer.noAck) {
+      this.unacked.set(deliveryTag, { consumer, queue, message });
+      consumer.unacked++;
+    }
+
+    consumer.onMessage({
+      content: message.content,
+      fields: {
+        consumerTag: consumer.tag,
+        deliveryTag,
+        redelivered: Boolean(message.redelivered),
+        exchange: message.exchange,
+        routingKey: message.routingKey,
+      },
+      properties: { ...message.properties, headers: { ...message.properties.headers } },
+    });
+  }
+
+  // Entregas confirmadas por `msg` (ela e, com allUpTo, as anteriores)
+  settle(msg, allUpTo) {
+    const tag = msg.fields.deliveryTag;
+    if (!this.unacked.has(tag)) {
+      // O amqplib não lança aqui: o broker fecha o canal
+      const error = amqpError(406, `PRECONDITION_FAILED - unknown delivery tag ${tag}`);
+      emitError(this, error);
+      this.teardown(error);
+      return [];
+    }
+
+    const tags = allUpTo ? [...this.unacked.keys()].filter((current) => current <= tag) : [tag];
+    return tags.map((current) => {
+      const delivery = this.unacked.get(current);
+      this.unacked.delete(current);
+      delivery.consumer.unacked--;
+      return delivery;
+    });
+  }
+
+  ack(msg, allUpTo = false) {
+    this.ensureOpen();
+    for (const { queue } of this.settle(msg, allUpTo)) {
+      queue.dispatch();
+    }
+  }
+
+  nack(msg, allUpTo = false, requeue = true) {
+    this.ensureOpen();
+    const deliveries = this.settle(msg, allUpTo);
+    if (requeue) {
+      this.requeueDeliveries(deliveries);
+      return;
+    }
+    for (const { queue, message } of deliveries) {
+      this.broker.deadLetter(queue, message, "rejected");
+      queue.dispatch();
+    }
+  }
+
+  reject(msg, requeue = true) {
+    this.nack(msg, false, requeue);
+  }
+
+  requeueDeliveries(deliveries) {
+    const byQueue = new Map();
+    for (const { queue, message } of deliveries) {
+      if (!byQueue.has(queue)) byQueue.set(queue, []);
+      byQueue.get(queue).push(message);
+    }
+    for (const [queue, messages] of byQueue) {
+      queue.requeue(messages);
+    }
+  }
+
+  async close() {
+    this.teardown(null);
+  }
+
+  // Fecha o canal: consumidores saem das filas e o que estava sem ack volta
+  // para elas, marcado como reentrega
+  teardown(error) {
+    if (this.closed) return;
+    this.closed = true;
+
+    for (const consumer of this.consumers.values()) {
+      consumer.queue.removeConsumer(consumer);
+    }
+    this.consumers.clear();
+
+    const deliveries = [...this.unacked.values()].filter(({ queue }) => this.broker.queues.get(queue.name) === queue);
+    this.unacked.clear();
+    this.requeueDeliveries(deliveries);
+
+    this.connection.channels.delete(this);
+    this.emit("close", error || undefined);
+  }
+}
+
+class MemoryConnection extends EventEmitter {
+  constructor(broker) {
+    super();
+    this.broker = broker;
+    this.channels = new Set();
+    this.closed = false;
+  }
+
+  async createChannel() {
+    return this.openChannel(false);
+  }
+
+  async createConfirmChannel() {
+    return this.openChannel(true);
+  }
+
+  openChannel(confirm) {
+    if (this.closed) throw new Error("Connection closed");
+    const channel = new MemoryChannel(this, confirm);
+    this.channels.add(channel);
+    return channel;
+  }
+
+  async close() {
+    this.terminate(null);
+  }
+
+  // `error` indica queda forçada pelo broker (emite 'error' antes de 'close')
+  terminate(error) {
+    if (this.closed) return;
+    this.closed = true;
+
+    for (const channel of [...this.channels]) {
+      channel.teardown(error);
+    }
+    this.broker.disconnect(this);
+
+    if (error) emitError(this, error);
+    this.emit("close", error || undefined);
+  }
+}
+
+class MemoryBroker {
+  constructor() {
+    this.exchanges = new Map(); // nome -> { type, durable, bindings: [{ queue, pattern }] }
+    this.queues = new Map();
+    this.connections = new Set();
+    this.stopped = false;
+    this.declareDefaultExchange();
+  }
+
+  declareDefaultExchange() {
+    this.exchanges.set("", { type: "direct", durable: true, bindings: [] });
+  }
+
+  async connect() {
+    if (this.stopped) {
+      const error = new Error("connect ECONNREFUSED (broker em memória parado)");
+      error.code = "ECONNREFUSED";
+      throw error;
+    }
+    const connection = new MemoryConnection(this);
+    this.connections.add(connection);
+    return connection;
+  }
+
+  disconnect(connection) {
+    this.connections.delete(connection);
+    for (const queue of [...this.queues.values()]) {
+      if (queue.owner === connection) this.deleteQueue(queue.name);
+    }
+  }
+
+  assertExchange(name, type, options = {}) {
+    if (!EXCHANGE_TYPES.includes(type)) {
+      throw amqpError(503, `COMMAND_INVALID - unknown exchange type '${type}'`);
+    }
+    const existing = this.exchanges.get(name);
+    if (existing && existing.type !== type) {
+      throw amqpError(
+        406,
+        `PRECONDITION_FAILED - inequivalent arg 'type' for exchange '${name}': ` +
+          `received '${type}' but current is '${existing.type}'`
+      );
+    }
+    if (!existing) {
+      this.exchanges.set(name, { type, durable: options.durable !== false, bindings: [] });
+    }
+  }
+
+  assertQueue(name, options, connection) {
+    const queueName = name || `amq.gen-${uuidv4()}`;
+    const existing = this.queues.get(queueName);
+    if (!existing) {
+      const queue = new MemoryQueue(this, queueName, options, connection);
+      this.queues.set(queueName, queue);
+      return queue;
+    }
+
+    if (existing.owner && existing.owner !== connection) {
+      throw amqpError(405, `RESOURCE_LOCKED - cannot obtain exclusive access to locked queue '${queueName}'`);
+    }
+    const args = JSON.stringify(options.arguments || {});
+    if (existing.durable !== (options.durable !== false) || JSON.stringify(existing.arguments) !== args) {
+      throw amqpError(406, `PRECONDITION_FAILED - inequivalent arg for queue '${queueName}'`);
+    }
+    return existing;
+  }
+
+  deleteQueue(name) {
+    const queue = this.queues.get(name);
+    if (!queue) return 0;
+
+    this.queues.delete(name);
+    for (const exchange of this.exchanges.values()) {
+      exchange.bindings = exchange.bindings.filter((binding) => binding.queue !== name);
+    }
+    queue.messages.forEach((message) => clearTimeout(message.timer));
+    // Consumidores de uma fila apagada recebem null (cancelamento pelo broker)
+    for (const consumer of queue.consumers) {
+      consumer.channel.consumers.delete(consumer.tag);
+      consumer.onMessage(null);
+    }
+    return queue.messages.length;
+  }
+
+  bindQueue(queue, exchange, pattern) {
+    if (!this.queues.has(queue)) throw amqpError(404, `NOT_FOUND - no queue '${queue}'`);
+    const target = this.exchanges.get(exchange);
+    if (!target || exchange === "") throw amqpError(404, `NOT_FOUND - no exchange '${exchange}'`);
+
+    if (!target.bindings.some((binding) => binding.queue === queue && binding.pattern === pattern)) {
+      target.bindings.push({ queue, pattern });
+    }
+  }
+
+  unbindQueue(queue, exchange, pattern) {
+    const target = this.exchanges.get(exchange);
+    if (target) {
+      target.bindings = target.bindings.filter(
+        (binding) => binding.queue !== queue || binding.pattern !== pattern
+      );
+    }
+  }
+
+  // Filas que recebem uma mensagem publicada em `exchange` com `routingKey`
+  route(exchangeName, routingKey) {
+    const exchange = this.exchanges.get(exchangeName);
+    if (!exchange) throw amqpError(404, `NOT_FOUND - no exchange '${exchangeName}'`);
+    if (exchangeName === "") {
+      return this.queues.has(routingKey) ? [routingKey] : [];
+    }
+
+    const queues = exchange.bindings
+      .filter(({ pattern }) => {
+        if (exchange.type === "fanout") return true;
+        if (exchange.type === "direct") return pattern === routingKey;
+        return matchesTopic(pattern, routingKey);
+      })
+      .map(({ queue }) => queue);
+    return [...new Set(queues)];
+  }
+
+  // Mensagem sem fila de destino é descartada, como no RabbitMQ sem `mandatory`
+  publish(exchange, routingKey, content, options = {}) {
+    const { persistent, headers, ...properties } = options;
+    for (const name of this.route(exchange, routingKey)) {
+      this.queues.get(name).push({
+        exchange,
+        routingKey,
+        content: Buffer.from(content),
+        properties: {
+          ...properties,
+          headers: { ...(headers || {}) },
+          deliveryMode: persistent ? 2 : properties.deliveryMode,
+        },
+        persistent: Boolean(persistent) || properties.deliveryMode === 2,
+        redelivered: false,
+      });
+    }
+  }
+
+  // Rejeitada sem requeue ou expirada: vai para o dead-letter exchange da
+  // fila, se houver; senão é descartada
+  deadLetter(queue, message, reason) {
+    const exchange = queue.arguments["x-dead-letter-exchange"];
+    if (exchange === undefined) return;
+
+    const routingKey = queue.arguments["x-dead-letter-routing-key"] || message.routingKey;
+    const deaths = [...(message.properties.headers["x-death"] || [])];
+    const index = deaths.findIndex((death) => death.queue === queue.name && death.reason === reason);
+    const death =
+      index === -1
+        ? {
+            queue: queue.name,
+            reason,
+            count: 0,
+            exchange: message.exchange,
+            "routing-keys": [message.routingKey],
+          }
+        : deaths.splice(index, 1)[0];
+    deaths.unshift({ ...death, count: death.count + 1, time: new Date() });
+
+    try {
+      this.publish(exchange, routingKey, message.content, {
+        ...message.properties,
+        persistent: message.persistent,
+        headers: { ...message.properties.headers, "x-death": deaths },
+      });
+    } catch (error) {
+      // Dead-letter exchange inexistente: o RabbitMQ também descarta
+    }
+  }
+
+  // { messages, unacked, consumers } de uma fila, ou null se não existir
+  queueStats(name) {
+    const queue = this.queues.get(name);
+    return queue ? queue.stats() : null;
+  }
+
+  // Simula a reinicialização do broker: derruba as conexões e mantém só
+  // exchanges e filas duráveis, com suas mensagens persistentes
+  restart() {
+    this.stop();
+    this.start();
+  }
+
+  // Simula o broker fora do ar: como restart(), mas recusa conexões até start()
+  stop() {
+    this.stopped = true;
+    const error = amqpError(320, "CONNECTION_FORCED - broker forced connection closure");
+    for (const connection of [...this.connections]) {
+      connection.terminate(error);
+    }
+
+    for (const [name, queue] of [...this.queues]) {
+      if (!queue.durable) {
+        this.deleteQueue(name);
+        continue;
+      }
+      for (const message of queue.messages.filter((current) => !current.persistent)) {
+        clearTimeout(message.timer);
+      }
+      queue.messages = queue.messages.filter((message) => message.persistent);
+    }
+    for (const [name, exchange] of [...this.exchanges]) {
+      if (!exchange.durable) this.exchanges.delete(name);
+    }
+  }
+
+  start() {
+    this.stopped = false;
+  }
+}
+
+class MemoryTransport {
+  // Sem `broker`, usa o broker compartilhado do processo: todos os
+  // RabbitMQService (e serviços) do processo conversam por ele
+  constructor(options = {}) {
+    this.type = "memory";
+    this.broker = options.broker || MemoryTransport.sharedBroker();
+  }
+
+  static sharedBroker() {
+    if (!MemoryTransport.broker) {
+      MemoryTransport.broker = new MemoryBroker();
+    }
+    return MemoryTransport.broker;
+  }
+
+  connect() {
+    return this.broker.connect();
+  }
+
+  describe() {
+    return "broker em memória (só neste processo)";
+  }
+}
+
+MemoryTransport.broker = null;
+MemoryTransport.MemoryBroker = MemoryBroker;
+MemoryTransport.matchesTopic = matchesTopic;
+
+module.exports = MemoryTransport;
@@ -0,0 +1,177 @@
+// shared/messaging/MemoryTransport.test.js
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const MemoryTransport = require("./MemoryTransport");
+
+const { matchesTopic, MemoryBroker } = MemoryTransport;
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("matchesTopic", () => {
+  it("casa palavras exatas, * com uma palavra e # com zero ou mais", () => {
+    assert.ok(matchesTopic("list.checkout.completed", "list.checkout.completed"));
+    assert.ok(!matchesTopic("list.checkout.completed", "list.checkout.started"));
+
+    assert.ok(matchesTopic("list.*.completed", "list.checkout.completed"));
+    assert.ok(!matchesTopic("list.*", "list.checkout.completed"));
+    assert.ok(!matchesTopic("list.*.completed", "list.completed"));
+
+    assert.ok(matchesTopic("list.#", "list.checkout.completed"));
+    assert.ok(matchesTopic("list.#", "list"));
+    assert.ok(matchesTopic("#.completed", "list.checkout.completed"));
+    assert.ok(matchesTopic("list.#.completed", "list.completed"));
+    assert.ok(matchesTopic("#", ""));
+    assert.ok(!matchesTopic("item.#", "list.checkout.completed"));
+  });
+});
+
+describe("MemoryTransport", () => {
+  let broker;
+  let connection;
+  let channel;
+
+  // Consome `queue` guardando as mensagens recebidas, sem ack automático
+  async function collect(target, queue) {
+    const received = [];
+    await target.consume(queue, (msg) => received.push(msg));
+    return received;
+  }
+
+  beforeEach(async () => {
+    broker = new MemoryBroker();
+    connection = await new MemoryTransport({ broker }).connect();
+    channel = await connection.createChannel();
+    await channel.assertExchange("shopping_events", "topic", { durable: true });
+  });
+
+  it("roteia pelo exchange topic para as filas ligadas", async () => {
+    await channel.assertQueue("q_all");
+    await channel.assertQueue("q_completed");
+    await channel.bindQueue("q_all", "shopping_events", "list.#");
+    await channel.bindQueue("q_completed", "shopping_events", "list.*.completed");
+
+    channel.publish("shopping_events", "list.checkout.completed", Buffer.from("1"));
+    channel.publish("shopping_events", "list.created", Buffer.from("2"));
+    channel.publish("shopping_events", "item.created", Buffer.from("3"));
+
+    assert.deepStrictEqual(broker.queueStats("q_all"), { messages: 2, unacked: 0, consumers: 0 });
+    assert.deepStrictEqual(broker.queueStats("q_completed"), { messages: 1, unacked: 0, consumers: 0 });
+  });
+
+  it("tira da fila com ack e devolve com nack, marcando a reentrega", async () => {
+    await channel.assertQueue("q");
+    const received = await collect(channel, "q");
+
+    channel.sendToQueue("q", Buffer.from("a"));
+    await tick();
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(broker.queueStats("q").unacked, 1);
+
+    channel.nack(received[0]);
+    await tick();
+    assert.strictEqual(received.length, 2);
+    assert.strictEqual(received[1].content.toString(), "a");
+    assert.strictEqual(received[1].fields.redelivered, true);
+
+    channel.ack(received[1]);
+    await tick();
+    assert.deepStrictEqual(broker.queueStats("q"), { messages: 0, unacked: 0, consumers: 1 });
+  });
+
+  it("manda para o dead-letter exchange o que foi rejeitado sem requeue", async () => {
+    await channel.assertQueue("q.dlq");
+    await channel.assertQueue("q", {
+      arguments: { "x-dead-letter-exchange": "", "x-dead-letter-routing-key": "q.dlq" },
+    });
+    const received = await collect(channel, "q");
+
+    channel.sendToQueue("q", Buffer.from("a"));
+    await tick();
+    channel.nack(received[0], false, false);
+
+    assert.deepStrictEqual(broker.queueStats("q"), { messages: 0, unacked: 0, consumers: 1 });
+    assert.strictEqual(broker.queueStats("q.dlq").messages, 1);
+  });
+
+  it("devolve à fila o que ficou sem ack quando o canal fecha", async () => {
+    await channel.assertQueue("q");
+    const consumerChannel = await connection.createChannel();
+    const received = await collect(consumerChannel, "q");
+
+    channel.sendToQueue("q", Buffer.from("a"));
+    await tick();
+    assert.strictEqual(received.length, 1);
+
+    await consumerChannel.close();
+    assert.deepStrictEqual(broker.queueStats("q"), { messages: 1, unacked: 0, consumers: 0 });
+  });
+
+  it("não entrega mais que o prefetch sem ack", async () => {
+    await channel.assertQueue("q");
+    await channel.prefetch(2);
+    const received = await collect(channel, "q");
+
+    for (const body of ["a", "b", "c"]) {
+      channel.sendToQueue("q", Buffer.from(body));
+    }
+    await tick();
+    assert.deepStrictEqual(received.map((msg) => msg.content.toString()), ["a", "b"]);
+    assert.deepStrictEqual(broker.queueStats("q"), { messages: 1, unacked: 2, consumers: 1 });
+
+    channel.ack(received[0]);
+    await tick();
+    assert.deepStrictEqual(received.map((msg) => msg.content.toString()), ["a", "b", "c"]);
+  });
+
+  it("confirma as publicações em canais com confirmação", async () => {
+    await channel.assertQueue("q");
+    const confirmChannel = await connection.createConfirmChannel();
+
+    const error = await new Promise((resolve) =>
+      confirmChannel.sendToQueue("q", Buffer.from("a"), {}, resolve)
+    );
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(broker.queueStats("q").messages, 1);
+  });
+
+  it("expira mensagens pelo x-message-ttl para o dead-letter exchange", async () => {
+    await channel.assertQueue("q");
+    await channel.assertQueue("q.retry", {
+      arguments: { "x-message-ttl": 10, "x-dead-letter-exchange": "", "x-dead-letter-routing-key": "q" },
+    });
+
+    channel.sendToQueue("q.retry", Buffer.from("a"));
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    assert.strictEqual(broker.queueStats("q.retry").messages, 0);
+    assert.strictEqual(broker.queueStats("q").messages, 1);
+  });
+
+  it("mantém só filas duráveis e mensagens persistentes quando o broker reinicia", async () => {
+    await channel.assertQueue("durable", { durable: true });
+    await channel.assertQueue("transient", { durable: false });
+    const closed = new Promise((resolve) => connection.once("close", resolve));
+
+    channel.sendToQueue("durable", Buffer.from("persistent"), { persistent: true });
+    channel.sendToQueue("durable", Buffer.from("transient"));
+    channel.sendToQueue("transient", Buffer.from("persistent"), { persistent: true });
+    broker.restart();
+
+    const error = await closed;
+    assert.match(error.message, /CONNECTION_FORCED/);
+    assert.deepStrictEqual(broker.queueStats("durable"), { messages: 1, unacked: 0, consumers: 0 });
+    assert.strictEqual(broker.queueStats("transient"), null);
+
+    // O exchange durável sobrevive: uma conexão nova volta a publicar
+    const reconnected = await (await new MemoryTransport({ broker }).connect()).createChannel();
+    await reconnected.bindQueue("durable", "shopping_events", "list.#");
+    reconnected.publish("shopping_events", "list.created", Buffer.from("novo"));
+    assert.strictEqual(broker.queueStats("durable").messages, 2);
+  });
+
+  it("recusa redeclarar uma fila com outros argumentos", async () => {
+    await channel.assertQueue("q", { durable: true });
+    await assert.rejects(channel.assertQueue("q", { durable: false }), { code: 406 });
+  });
+});
@@ -0,0 +1,95 @@
+// shared/messaging/ProcessedEventStore.js
+// Eventos já processados por um consumidor, pelo eventId do envelope. O
+// broker entrega "ao menos uma vez" (reentrega após queda do consumidor,
+// republicação pelo outbox), então o consumidor consulta o store antes de
+// processar e registra o evento depois (ver idempotent()).
+//
+// `db` é um JsonDatabase do próprio consumidor, de preferência com TTL no
+// campo `processedAt`, para que os registros não cresçam para sempre: o
+// prazo só precisa cobrir a janela em que uma duplicata ainda pode chegar.
+// ProcessedEventStore.forWorker() monta o store padrão de um worker:
+//
+//   const store = ProcessedEventStore.forWorker("analytics-worker", dir);
+const JsonDatabase = require("../JsonDatabase");
+const { storageFromEnv } = require("../storage");
+
+// Por quanto tempo um evento processado é lembrado: cobre com folga as
+// reentregas do broker e as republicações do outbox
+const PROCESSED_EVENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+class ProcessedEventStore {
+  // Store de `workerName` na coleção processed_<worker> em `dbPath`, com o
+  // backend de <WORKER>_STORAGE / DB_STORAGE. Não é cifrado: guarda só ids,
+  // tipos e datas de eventos, e assim não depende da rotação de chaves nem
+  // do backup dos serviços. Opções: storage, ttlSeconds.
+  static forWorker(workerName, dbPath, options = {}) {
+    const { storage = storageFromEnv(workerName), ttlSeconds = PROCESSED_EVENT_TTL_SECONDS } = options;
+    const collection = `processed_${workerName.replace(/-/g, "_")}`;
+
+    return new ProcessedEventStore(
+      new JsonDatabase(dbPath, collection, {
+        storage,
+        persistence: "journal",
+        ttl: { field: "processedAt", seconds: ttlSeconds },
+      })
+    );
+  }
+
+  constructor(db) {
+    this.db = db;
+    this.processing = new Set(); // eventIds em processamento neste processo
+    this.stats = { processed: 0, duplicates: 0 };
+  }
+
+  async has(eventId) {
+    return this.processing.has(eventId) || Boolean(await this.db.findById(eventId));
+  }
+
+  // Reserva o evento para processamento. Devolve false se ele já foi
+  // processado ou está sendo processado agora (entrega duplicada
+  // simultânea); nesse caso conta como duplicata.
+  async claim(eventId) {
+    if (await this.has(eventId)) {
+      this.stats.duplicates++;
+      return false;
+    }
+    // Outra entrega pode ter reservado durante a consulta
+    if (this.processing.has(eventId)) {
+      this.stats.duplicates++;
+      return false;
+    }
+    this.processing.add(eventId);
+    return true;
+  }
+
+  // Processado com sucesso: registra e libera a reserva
+  async complete(event, consumer) {
+    try {
+      if (!(await this.db.findById(event.eventId))) {
+        await this.db.create({
+          id: event.eventId,
+          type: event.type,
+          eventVersion: event.version,
+          consumer,
+          processedAt: new Date().toISOString(),
+        });
+      }
+      this.stats.processed++;
+    } finally {
+      this.processing.delete(event.eventId);
+    }
+  }
+
+  // Falhou: libera a reserva para a próxima tentativa
+  release(eventId) {
+    this.processing.delete(eventId);
+  }
+
+  getStats() {
+    return { ...this.stats, processing: this.processing.size };
+  }
+}
+
+ProcessedEventStore.PROCESSED_EVENT_TTL_SECONDS = PROCESSED_EVENT_TTL_SECONDS;
+
+module.exports = ProcessedEventStore;
@@ -0,0 +1,39 @@
+// shared/messaging/idempotent.js
+// Envolve o handler de um consumidor para que cada evento (pelo eventId)
+// seja processado uma vez só, mesmo que o broker o entregue de novo:
+//
+//   rabbitMQ.subscribe(queue, keys, idempotent(handleCheckout, store, { name: queue }));
+//
+// Duplicatas são confirmadas sem chamar o handler, contadas no store e
+// logadas. Se o handler falhar, nada é registrado e a nova tentativa
+// processa o evento normalmente. Resta uma janela pequena: uma queda entre
+// o fim do handler e o registro faz o evento ser processado de novo.
+function idempotent(handler, store, options = {}) {
+  const name = options.name || "consumidor";
+
+  return async (event, msg) => {
+    if (!(await store.claim(event.eventId))) {
+      console.log(
+        `🔁 [${name}] Evento ${event.eventId} já processado, ignorado ` +
+          `(${store.getStats().duplicates} duplicata(s) ignorada(s))`
+      );
+      return;
+    }
+
+    try {
+      await handler(event, msg);
+    } catch (error) {
+      store.release(event.eventId);
+      throw error;
+    }
+
+    try {
+      await store.complete(event, name);
+    } catch (error) {
+      // O evento foi processado: lançar aqui faria o subscribe() tentar de novo
+      console.error(`Erro ao registrar o evento ${event.eventId} como processado:`, error.message);
+    }
+  };
+}
+
+module.exports = idempotent;
@@ -0,0 +1,121 @@
+// shared/messaging/idempotent.test.js
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const ProcessedEventStore = require("./ProcessedEventStore");
+const idempotent = require("./idempotent");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let sequence = 0;
+
+function checkoutEvent(eventId) {
+  return { eventId, type: "list.checkout.completed", version: 2, data: {} };
+}
+
+describe("idempotent", () => {
+  let store;
+  let calls;
+  let handler;
+
+  function createStore(options = {}) {
+    return ProcessedEventStore.forWorker("test-worker", `idempotent-${sequence++}`, {
+      storage: "memory",
+      ...options,
+    });
+  }
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    store = createStore();
+    calls = [];
+    handler = idempotent(async (event) => calls.push(event.eventId), store, { name: "q_test" });
+  });
+
+  afterEach(() => {
+    store.db.close();
+    mock.restoreAll();
+  });
+
+  it("processa o evento uma vez e ignora as entregas duplicadas", async () => {
+    await handler(checkoutEvent("event-1"));
+    await handler(checkoutEvent("event-1"));
+    await handler(checkoutEvent("event-2"));
+
+    assert.deepStrictEqual(calls, ["event-1", "event-2"]);
+    assert.deepStrictEqual(store.getStats(), { processed: 2, duplicates: 1, processing: 0 });
+
+    const record = await store.db.findById("event-1");
+    assert.strictEqual(record.consumer, "q_test");
+    assert.strictEqual(record.type, "list.checkout.completed");
+    assert.strictEqual(record.eventVersion, 2);
+  });
+
+  it("ignora a entrega duplicada que chega durante o processamento", async () => {
+    let finish;
+    const slow = idempotent(
+      (event) => {
+        calls.push(event.eventId);
+        return new Promise((resolve) => {
+          finish = resolve;
+        });
+      },
+      store,
+      { name: "q_test" }
+    );
+
+    const first = slow(checkoutEvent("event-1"));
+    await delay(10);
+    await slow(checkoutEvent("event-1"));
+    finish();
+    await first;
+
+    assert.deepStrictEqual(calls, ["event-1"]);
+    assert.strictEqual(store.getStats().duplicates, 1);
+  });
+
+  it("não registra o evento se o handler falhar, e a nova tentativa o processa", async () => {
+    const failing = idempotent(
+      async (event) => {
+        calls.push(event.eventId);
+        if (calls.length === 1) throw new Error("SMTP fora do ar");
+      },
+      store,
+      { name: "q_test" }
+    );
+
+    await assert.rejects(failing(checkoutEvent("event-1")), /SMTP fora do ar/);
+    assert.strictEqual(await store.has("event-1"), false);
+    assert.deepStrictEqual(store.getStats(), { processed: 0, duplicates: 0, processing: 0 });
+
+    await failing(checkoutEvent("event-1"));
+    assert.deepStrictEqual(calls, ["event-1", "event-1"]);
+    assert.strictEqual(await store.has("event-1"), true);
+  });
+
+  it("esquece os eventos processados depois do TTL", async () => {
+    const shortLived = createStore({ ttlSeconds: 0.05 });
+    const wrapped = idempotent(async (event) => calls.push(event.eventId), shortLived, { name: "q_test" });
+
+    await wrapped(checkoutEvent("event-1"));
+    await wrapped(checkoutEvent("event-1"));
+    assert.deepStrictEqual(calls, ["event-1"]);
+
+    await delay(100);
+    assert.strictEqual(await shortLived.has("event-1"), false);
+    await wrapped(checkoutEvent("event-1"));
+    assert.deepStrictEqual(calls, ["event-1", "event-1"]);
+    assert.strictEqual(await shortLived.db.count(), 1);
+
+    shortLived.db.close();
+  });
+
+  it("usa o TTL padrão de 7 dias", () => {
+    assert.deepStrictEqual(store.db.ttl, {
+      field: "processedAt",
+      seconds: ProcessedEventStore.PROCESSED_EVENT_TTL_SECONDS,
+    });
+    assert.strictEqual(ProcessedEventStore.PROCESSED_EVENT_TTL_SECONDS, 7 * 24 * 60 * 60);
+    assert.strictEqual(store.db.encryption, null);
+  });
+});
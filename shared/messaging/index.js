@@ -0,0 +1,50 @@
+// shared/messaging/index.js
+// Transportes do RabbitMQService. Todos implementam a mesma interface:
+//
+//   connect()    conexão no formato do amqplib (createChannel,
+//                createConfirmChannel, close e os eventos 'error'/'close')
+//   describe()   destino, para o log (sem senha)
+//
+// além da propriedade `type`. O transporte vem de MESSAGE_TRANSPORT:
+// "amqp" (padrão, RabbitMQ em RABBITMQ_URL) ou "memory" (broker dentro do
+// próprio processo, ver MemoryTransport).
+//
+// Para os consumidores, idempotent() e ProcessedEventStore descartam
+// eventos entregues mais de uma vez.
+const AmqpTransport = require("./AmqpTransport");
+const MemoryTransport = require("./MemoryTransport");
+const ProcessedEventStore = require("./ProcessedEventStore");
+const idempotent = require("./idempotent");
+
+const TRANSPORTS = {
+  amqp: AmqpTransport,
+  memory: MemoryTransport,
+};
+
+// `transport` é o nome de um transporte ou uma instância já pronta
+function createTransport(transport, options) {
+  if (transport && typeof transport === "object") {
+    return transport;
+  }
+
+  const Transport = TRANSPORTS[transport];
+  if (!Transport) {
+    throw new Error(
+      `Transporte de mensageria desconhecido: ${transport} (use ${Object.keys(TRANSPORTS).join(", ")})`
+    );
+  }
+  return new Transport(options);
+}
+
+function transportFromEnv() {
+  return process.env.MESSAGE_TRANSPORT || "amqp";
+}
+
+module.exports = {
+  createTransport,
+  transportFromEnv,
+  AmqpTransport,
+  MemoryTransport,
+  ProcessedEventStore,
+  idempotent,
+};
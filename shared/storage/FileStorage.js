@@ -0,0 +1,419 @@
+// shared/storage/FileStorage.js
+// Armazenamento em arquivos JSON: `<coleção>.json` com todos os documentos,
+// `<coleção>_index.json` com os índices persistidos e, no modo 'journal',
+// `<coleção>.journal` com as mudanças desde o último snapshot.
+//
+// A versão do armazenamento é o stat dos arquivos (inode, mtime e tamanho):
+// toda escrita troca o arquivo por rename ou cresce o journal, então uma
+// escrita de outro processo sempre muda a versão.
+//
+// Com `encryption` (um KeyRing), snapshot, cada linha do journal e o índice
+// são gravados cifrados (ver ./encryption).
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const {
+    DatabaseError,
+    CorruptedCollectionError,
+    InvalidQueryError,
+    EncryptionError
+} = require('../DatabaseErrors');
+const { serialize, parse, keyIdOf } = require('./encryption');
+
+// Releituras do snapshot() antes de desistir de uma coleção que não para de
+// mudar
+const SNAPSHOT_ATTEMPTS = 5;
+
+const EMPTY_JOURNAL = { entries: 0, validLength: 0, tornBytes: 0 };
+
+class FileStorage {
+    constructor({ dbPath, collectionName, fsync = false, persistence = 'snapshot', encryption = null }) {
+        if (!['snapshot', 'journal'].includes(persistence)) {
+            throw new InvalidQueryError(`Modo de persistência inválido: ${persistence}`);
+        }
+
+        this.type = 'file';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, `${collectionName}.json`);
+        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.journalPath = path.join(dbPath, `${collectionName}.journal`);
+        this.fsync = fsync;
+        this.encryption = encryption;
+        this.useJournal = persistence === 'journal';
+        this.key = `file:${this.filePath}`;
+        // Só o modo journal acumula algo a compactar
+        this.compacts = this.useJournal;
+    }
+
+    async init() {
+        // Criar diretório do banco e arquivo da coleção se não existirem
+        await fs.ensureDir(this.dbPath);
+        if (!await fs.pathExists(this.filePath)) {
+            await this.writeFileAtomic(this.filePath, []);
+        }
+
+        // Um journal deixado por uma execução em modo 'journal' é
+        // incorporado ao snapshot antes de seguir em modo 'snapshot'
+        if (!this.useJournal && await this.hasJournalEntries()) {
+            await this.compact();
+        }
+    }
+
+    // Versão do armazenamento: stat do snapshot e, em modo journal, do journal
+    async getVersion(includeJournal = this.useJournal) {
+        const statOrNull = filePath => fs.stat(filePath).catch(error => {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        });
+
+        return {
+            snapshot: await statOrNull(this.filePath),
+            journal: includeJournal ? await statOrNull(this.journalPath) : null
+        };
+    }
+
+    isSameVersion(a, b) {
+        const sameFile = (x, y) => {
+            if (!x || !y) return x === y;
+            return x.ino === y.ino && x.mtimeMs === y.mtimeMs && x.size === y.size;
+        };
+        return sameFile(a.snapshot, b.snapshot) && sameFile(a.journal, b.journal);
+    }
+
+    // Lê os documentos junto com a versão (stat feito antes da leitura), usada
+    // para saber se o índice persistido corresponde a este conteúdo. Em modo
+    // journal, as entradas do journal são reaplicadas sobre o snapshot e
+    // `info` descreve o journal lido.
+    async load() {
+        const version = await this.getVersion();
+        let documents = await this.readSnapshot();
+        let journal = null;
+
+        if (this.useJournal) {
+            journal = await this.readJournal();
+            documents = this.replayJournal(documents, journal.entries);
+        }
+
+        return {
+            documents,
+            version,
+            info: journal && {
+                entries: journal.entries.length,
+                validLength: journal.validLength,
+                tornBytes: journal.tornBytes
+            }
+        };
+    }
+
+    // Em modo 'snapshot' reescreve o arquivo inteiro; em modo 'journal'
+    // apenas acrescenta as mudanças ao journal
+    async commit(documents, changes, info) {
+        let journal = null;
+        if (this.useJournal) {
+            journal = await this.appendToJournal(info, changes);
+        } else {
+            await this.writeFileAtomic(this.filePath, documents);
+        }
+        return { version: await this.getVersion(), info: journal };
+    }
+
+    needsCompaction(info, minEntries) {
+        return this.useJournal && Boolean(info) && info.entries >= minEntries;
+    }
+
+    async readSnapshot() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            // Arquivo ausente é uma coleção vazia; qualquer outra falha sobe
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        try {
+            const documents = parse(content, this.encryption, this.describe());
+            if (!Array.isArray(documents)) {
+                throw new Error('Conteúdo da coleção não é um array');
+            }
+            return documents;
+        } catch (error) {
+            if (error instanceof EncryptionError) throw error;
+            // Nunca tratar arquivo corrompido como vazio: a próxima escrita
+            // apagaria a coleção inteira
+            throw new CorruptedCollectionError(this.collectionName, this.filePath, error);
+        }
+    }
+
+    // Journal -------------------------------------------------------------
+    //
+    // Uma entrada JSON por linha: { op: 'put', doc } ou { op: 'delete', id }.
+    // Commits com várias mudanças (transações) viram uma única linha
+    // { op: 'batch', entries: [...] }, aplicada inteira ou descartada.
+    // Cada 'put' carrega o documento inteiro, então reaplicar o journal sobre
+    // um snapshot que já contém parte dele (queda durante a compactação) dá o
+    // mesmo resultado. Uma última linha incompleta ou inválida é resto de uma
+    // escrita interrompida e é descartada; uma linha inválida no meio indica
+    // corrupção.
+
+    async readJournal() {
+        let buffer;
+        try {
+            buffer = await fs.readFile(this.journalPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return { entries: [], validLength: 0, tornBytes: 0 };
+            throw error;
+        }
+
+        const entries = [];
+        let offset = 0;
+        while (offset < buffer.length) {
+            const newline = buffer.indexOf(0x0a, offset);
+            if (newline === -1) break;
+
+            try {
+                const entry = parse(buffer.toString('utf8', offset, newline), this.encryption, this.describe());
+                const batch = entry.op === 'batch' ? entry.entries : [entry];
+                for (const item of batch) {
+                    if (!['put', 'delete'].includes(item.op)) {
+                        throw new Error(`Operação desconhecida no journal: ${item.op}`);
+                    }
+                }
+                entries.push(...batch);
+            } catch (error) {
+                // Linha completa que não decifra não é resto de escrita
+                if (error instanceof EncryptionError) throw error;
+                if (newline === buffer.length - 1) break;
+                throw new CorruptedCollectionError(this.collectionName, this.journalPath, error);
+            }
+            offset = newline + 1;
+        }
+
+        if (offset < buffer.length) {
+            console.error(
+                `Aviso: descartando ${buffer.length - offset} bytes incompletos ` +
+                `no final do journal de "${this.collectionName}"`
+            );
+        }
+
+        return { entries, validLength: offset, tornBytes: buffer.length - offset };
+    }
+
+    replayJournal(documents, entries) {
+        const byId = new Map(documents.map(doc => [doc.id, doc]));
+        for (const entry of entries) {
+            if (entry.op === 'put') {
+                byId.set(entry.doc.id, entry.doc);
+            } else {
+                byId.delete(entry.id);
+            }
+        }
+        return [...byId.values()];
+    }
+
+    async appendToJournal(journal, changes) {
+        // Remove o resto de uma escrita interrompida antes de acrescentar
+        if (journal && journal.tornBytes > 0) {
+            await fs.truncate(this.journalPath, journal.validLength);
+        }
+
+        const entries = changes.map(change => (
+            change.after
+                ? { op: 'put', doc: change.after }
+                : { op: 'delete', id: change.before.id }
+        ));
+        const content = serialize(
+            entries.length === 1 ? entries[0] : { op: 'batch', entries },
+            this.encryption
+        ) + '\n';
+
+        const fd = await fs.open(this.journalPath, 'a');
+        try {
+            await fs.writeFile(fd, content, 'utf8');
+            if (this.fsync) {
+                await fs.fsync(fd);
+            }
+        } finally {
+            await fs.close(fd);
+        }
+
+        const previousEntries = journal ? journal.entries : 0;
+        const validLength = (journal ? journal.validLength : 0) + Buffer.byteLength(content);
+        return { entries: previousEntries + changes.length, validLength, tornBytes: 0 };
+    }
+
+    async hasJournalEntries() {
+        const stat = await fs.stat(this.journalPath).catch(() => null);
+        return Boolean(stat && stat.size > 0);
+    }
+
+    // Ordem segura: o snapshot novo é gravado (atômico) antes de o journal
+    // ser esvaziado; uma queda entre os dois passos só faz o journal ser
+    // reaplicado sobre um snapshot que já o contém.
+    async compact() {
+        const snapshot = await this.readSnapshot();
+        const { entries } = await this.readJournal();
+        if (entries.length === 0) return { compacted: 0 };
+
+        const documents = this.replayJournal(snapshot, entries);
+        await this.writeFileAtomic(this.filePath, documents);
+        if (this.useJournal) {
+            await this.writeFileAtomic(this.journalPath, null, '');
+        } else {
+            await fs.remove(this.journalPath);
+        }
+
+        return {
+            compacted: entries.length,
+            documents,
+            version: await this.getVersion(),
+            info: this.useJournal ? { ...EMPTY_JOURNAL } : null
+        };
+    }
+
+    // Backup e restauração ---------------------------------------------------
+
+    // Cópia consistente dos documentos, inclusive com o serviço dono da
+    // coleção escrevendo em outro processo: snapshot e journal são relidos
+    // até que nenhum dos dois mude durante a leitura.
+    async snapshot() {
+        for (let attempt = 0; attempt < SNAPSHOT_ATTEMPTS; attempt++) {
+            const before = await this.getVersion(true);
+            const documents = this.replayJournal(
+                await this.readSnapshot(),
+                (await this.readJournal()).entries
+            );
+            const after = await this.getVersion(true);
+
+            if (this.isSameVersion(before, after)) {
+                return documents;
+            }
+        }
+        throw new DatabaseError(
+            `Coleção "${this.collectionName}" mudou durante todas as tentativas de cópia`,
+            'SNAPSHOT_UNSTABLE',
+            { collectionName: this.collectionName }
+        );
+    }
+
+    // O journal é esvaziado antes de gravar o snapshot: uma queda entre os
+    // dois passos deixa a coleção antiga sem o journal (a restauração é
+    // refeita), nunca entradas antigas reaplicadas sobre os documentos
+    // restaurados.
+    async replaceAll(documents) {
+        if (await fs.pathExists(this.journalPath)) {
+            await this.writeFileAtomic(this.journalPath, null, '');
+        }
+        await this.writeFileAtomic(this.filePath, documents);
+        if (!this.useJournal) {
+            await fs.remove(this.journalPath);
+        }
+
+        return {
+            version: await this.getVersion(),
+            info: this.useJournal ? { ...EMPTY_JOURNAL } : null
+        };
+    }
+
+    // Índices --------------------------------------------------------------
+
+    async readIndex() {
+        try {
+            return parse(await fs.readFile(this.indexPath, 'utf8'), this.encryption, this.describe());
+        } catch (error) {
+            // O índice é derivado dos documentos; se sumir ou corromper, recria
+            return null;
+        }
+    }
+
+    isIndexCurrent(index, version) {
+        const snapshot = version && version.snapshot;
+        if (!index.source || !snapshot) return false;
+        if (index.source.mtimeMs !== snapshot.mtimeMs || index.source.size !== snapshot.size) return false;
+        // Entradas no journal ainda não estão no índice persistido
+        return !(version.journal && version.journal.size > 0);
+    }
+
+    // Com entradas no journal o índice gravado já nasceria defasado; ele
+    // volta a ser persistido na compactação
+    async writeIndex(index, version) {
+        if (version.journal && version.journal.size > 0) return;
+
+        try {
+            const { snapshot } = version;
+            index.source = snapshot ? { mtimeMs: snapshot.mtimeMs, size: snapshot.size } : null;
+            await this.writeFileAtomic(this.indexPath, index);
+        } catch (error) {
+            // Não é fatal: a próxima leitura detecta o índice defasado
+            console.error('Erro ao atualizar índice:', error);
+        }
+    }
+
+    // Escreve em um arquivo temporário e renomeia por cima do original. O
+    // rename é atômico no mesmo sistema de arquivos, então um processo morto no
+    // meio da escrita deixa o arquivo antigo intacto em vez de truncado.
+    async writeFileAtomic(filePath, data, rawContent = null) {
+        const content = rawContent !== null ? rawContent : serialize(data, this.encryption, 2);
+        const tempPath = `${filePath}.${process.pid}.${uuidv4()}.tmp`;
+
+        try {
+            const fd = await fs.open(tempPath, 'w');
+            try {
+                await fs.writeFile(fd, content, 'utf8');
+                if (this.fsync) {
+                    await fs.fsync(fd);
+                }
+            } finally {
+                await fs.close(fd);
+            }
+
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.remove(tempPath).catch(() => {});
+            throw error;
+        }
+
+        if (this.fsync) {
+            await this.fsyncDirectory(path.dirname(filePath));
+        }
+    }
+
+    // Garante que o rename foi persistido na entrada do diretório
+    async fsyncDirectory(dirPath) {
+        let fd;
+        try {
+            fd = await fs.open(dirPath, 'r');
+            await fs.fsync(fd);
+        } catch (error) {
+            // Alguns sistemas (ex: Windows) não permitem fsync em diretórios
+        } finally {
+            if (fd !== undefined) await fs.close(fd).catch(() => {});
+        }
+    }
+
+    // Criptografia ----------------------------------------------------------
+
+    // kids das chaves que cifram os arquivos da coleção, com null para o que
+    // ainda está em texto puro (usado na rotação de chaves)
+    async keyIds() {
+        const ids = new Set();
+        for (const filePath of [this.filePath, this.journalPath, this.indexPath]) {
+            const content = await fs.readFile(filePath, 'utf8').catch(error => {
+                if (error.code === 'ENOENT') return '';
+                throw error;
+            });
+            const units = filePath === this.journalPath ? content.split('\n') : [content];
+            units.filter(Boolean).forEach(unit => ids.add(keyIdOf(unit)));
+        }
+        return [...ids];
+    }
+
+    describe() {
+        return `Coleção "${this.collectionName}"`;
+    }
+
+    close() {}
+}
+
+module.exports = FileStorage;
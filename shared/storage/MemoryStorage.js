@@ -0,0 +1,98 @@
+// shared/storage/MemoryStorage.js
+// Armazenamento só em memória, para testes isolados e execuções
+// descartáveis: os dados somem quando o processo termina. Instâncias do
+// mesmo processo com o mesmo dbPath e coleção compartilham os dados, como
+// acontece com os arquivos no FileStorage.
+//
+// A versão é um contador incrementado a cada escrita. Os arrays entregues
+// por load() não são copiados: o JsonDatabase nunca altera documentos no
+// lugar, sempre monta um array novo para o commit.
+
+// Coleções do processo, por `${dbPath}:${coleção}`
+const stores = new Map();
+
+class MemoryStorage {
+    constructor({ dbPath, collectionName }) {
+        this.type = 'memory';
+        this.collectionName = collectionName;
+        this.key = `memory:${dbPath}:${collectionName}`;
+        this.compacts = false;
+    }
+
+    // Nada a preparar além da entrada no mapa do processo
+    async init() {
+        return this.store;
+    }
+
+    get store() {
+        if (!stores.has(this.key)) {
+            stores.set(this.key, { documents: [], revision: 0 });
+        }
+        return stores.get(this.key);
+    }
+
+    async getVersion() {
+        return this.store.revision;
+    }
+
+    isSameVersion(a, b) {
+        return a === b;
+    }
+
+    async load() {
+        const { documents, revision } = this.store;
+        return { documents, version: revision, info: null };
+    }
+
+    async commit(documents) {
+        return this.replaceAll(documents);
+    }
+
+    needsCompaction() {
+        return false;
+    }
+
+    async compact() {
+        return { compacted: 0 };
+    }
+
+    async snapshot() {
+        return JSON.parse(JSON.stringify(this.store.documents));
+    }
+
+    async replaceAll(documents) {
+        const store = this.store;
+        store.documents = documents;
+        store.revision++;
+        return { version: store.revision, info: null };
+    }
+
+    // Índices vivem só no cache do JsonDatabase
+    async readIndex() {
+        return null;
+    }
+
+    isIndexCurrent() {
+        return false;
+    }
+
+    async writeIndex() {}
+
+    // Nada é gravado em disco, então nada a cifrar
+    async keyIds() {
+        return [];
+    }
+
+    close() {}
+
+    // Remove os dados de uma coleção (ou de todas), útil entre testes
+    static reset(dbPath = null, collectionName = null) {
+        if (dbPath === null) {
+            stores.clear();
+        } else {
+            stores.delete(`memory:${dbPath}:${collectionName}`);
+        }
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,212 @@
+// shared/storage/SqliteStorage.js
+// Armazenamento em SQLite embarcado (better-sqlite3), para coleções grandes
+// demais para reescrever um arquivo JSON a cada escrita. Todas as coleções de
+// um serviço ficam em `<dbPath>/database.sqlite`:
+//
+//   documents (collection, id, seq, body)  um documento JSON por linha; seq
+//                                          mantém a ordem de inserção
+//   collections (name, revision, next_seq) revision muda a cada commit
+//
+// A versão é a `revision` da coleção, lida na mesma transação dos dados,
+// então commits de outros processos também invalidam o cache. Cada commit
+// grava só os documentos alterados.
+//
+// Com `encryption` (um KeyRing), o `body` de cada documento é gravado
+// cifrado (ver ./encryption); id e ordem continuam legíveis.
+const path = require('path');
+const fs = require('fs-extra');
+const { DatabaseError } = require('../DatabaseErrors');
+const { serialize, parse, keyIdOf } = require('./encryption');
+
+// Uma conexão por arquivo no processo, compartilhada entre as coleções
+const connections = new Map();
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new DatabaseError(
+            'Armazenamento "sqlite" exige o pacote better-sqlite3 (npm install better-sqlite3)',
+            'STORAGE_UNAVAILABLE',
+            { cause: error }
+        );
+    }
+}
+
+class SqliteStorage {
+    constructor({ dbPath, collectionName, fsync = false, encryption = null }) {
+        this.type = 'sqlite';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, 'database.sqlite');
+        this.fsync = fsync;
+        this.encryption = encryption;
+        this.key = `sqlite:${this.filePath}:${collectionName}`;
+        this.compacts = false;
+        this.db = null;
+    }
+
+    async init() {
+        await fs.ensureDir(this.dbPath);
+        this.db = SqliteStorage.connect(this.filePath, this.fsync);
+        this.db.prepare(
+            'INSERT OR IGNORE INTO collections (name, revision, next_seq) VALUES (?, 0, 0)'
+        ).run(this.collectionName);
+        this.prepareStatements();
+    }
+
+    static connect(filePath, fsync) {
+        if (!connections.has(filePath)) {
+            const Database = loadDriver();
+            const db = new Database(filePath);
+            db.pragma('journal_mode = WAL');
+            db.pragma(`synchronous = ${fsync ? 'FULL' : 'NORMAL'}`);
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS collections (
+                    name TEXT PRIMARY KEY,
+                    revision INTEGER NOT NULL,
+                    next_seq INTEGER NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS documents (
+                    collection TEXT NOT NULL,
+                    id TEXT NOT NULL,
+                    seq INTEGER NOT NULL,
+                    body TEXT NOT NULL,
+                    PRIMARY KEY (collection, id)
+                );
+                CREATE INDEX IF NOT EXISTS documents_by_seq ON documents (collection, seq);
+            `);
+            connections.set(filePath, db);
+        }
+        return connections.get(filePath);
+    }
+
+    // Coleções gravadas no arquivo de um serviço (usado pelo backup)
+    static listCollections(dbPath) {
+        const filePath = path.join(dbPath, 'database.sqlite');
+        if (!fs.existsSync(filePath)) return [];
+
+        return SqliteStorage.connect(filePath, false)
+            .prepare('SELECT name FROM collections ORDER BY name')
+            .all()
+            .map(row => row.name);
+    }
+
+    prepareStatements() {
+        const db = this.db;
+        this.statements = {
+            revision: db.prepare('SELECT revision FROM collections WHERE name = ?').pluck(),
+            documents: db.prepare('SELECT body FROM documents WHERE collection = ? ORDER BY seq').pluck(),
+            insert: db.prepare(`
+                INSERT INTO documents (collection, id, seq, body)
+                VALUES (?, ?, (SELECT next_seq FROM collections WHERE name = ?), ?)
+            `),
+            update: db.prepare('UPDATE documents SET body = ? WHERE collection = ? AND id = ?'),
+            remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+            removeAll: db.prepare('DELETE FROM documents WHERE collection = ?'),
+            bumpSeq: db.prepare('UPDATE collections SET next_seq = next_seq + 1 WHERE name = ?'),
+            resetSeq: db.prepare('UPDATE collections SET next_seq = ? WHERE name = ?'),
+            bumpRevision: db.prepare('UPDATE collections SET revision = revision + 1 WHERE name = ?')
+        };
+
+        const name = this.collectionName;
+        const { statements } = this;
+
+        this.readTransaction = db.transaction(() => ({
+            version: statements.revision.get(name),
+            documents: statements.documents.all(name).map(body => this.decode(body))
+        }));
+
+        this.commitTransaction = db.transaction(changes => {
+            for (const { before, after } of changes) {
+                if (!before) {
+                    statements.insert.run(name, after.id, name, this.encode(after));
+                    statements.bumpSeq.run(name);
+                } else if (after) {
+                    statements.update.run(this.encode(after), name, after.id);
+                } else {
+                    statements.remove.run(name, before.id);
+                }
+            }
+            statements.bumpRevision.run(name);
+            return statements.revision.get(name);
+        });
+
+        this.replaceTransaction = db.transaction(documents => {
+            statements.removeAll.run(name);
+            statements.resetSeq.run(0, name);
+            for (const document of documents) {
+                statements.insert.run(name, document.id, name, this.encode(document));
+                statements.bumpSeq.run(name);
+            }
+            statements.bumpRevision.run(name);
+            return statements.revision.get(name);
+        });
+    }
+
+    async getVersion() {
+        return this.statements.revision.get(this.collectionName);
+    }
+
+    isSameVersion(a, b) {
+        return a === b;
+    }
+
+    async load() {
+        const { documents, version } = this.readTransaction();
+        return { documents, version, info: null };
+    }
+
+    async commit(documents, changes) {
+        return { version: this.commitTransaction(changes), info: null };
+    }
+
+    needsCompaction() {
+        return false;
+    }
+
+    async compact() {
+        return { compacted: 0 };
+    }
+
+    // A transação de leitura já é um retrato consistente
+    async snapshot() {
+        return this.readTransaction().documents;
+    }
+
+    async replaceAll(documents) {
+        return { version: this.replaceTransaction(documents), info: null };
+    }
+
+    // Índices vivem só no cache do JsonDatabase; reconstruí-los a partir dos
+    // documentos carregados custa menos que mantê-los em tabelas
+    async readIndex() {
+        return null;
+    }
+
+    isIndexCurrent() {
+        return false;
+    }
+
+    async writeIndex() {}
+
+    encode(document) {
+        return serialize(document, this.encryption);
+    }
+
+    decode(body) {
+        return parse(body, this.encryption, `Coleção "${this.collectionName}"`);
+    }
+
+    // kids das chaves que cifram os documentos, com null para os que ainda
+    // estão em texto puro
+    async keyIds() {
+        const ids = new Set(this.statements.documents.all(this.collectionName).map(keyIdOf));
+        return [...ids];
+    }
+
+    // A conexão é compartilhada pelas coleções do arquivo e fica aberta
+    close() {}
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,231 @@
+// shared/storage/conformance.test.js
+// Suíte de conformidade dos backends: a mesma API pública do JsonDatabase
+// precisa se comportar igual em todos eles, tanto no cache quanto depois de
+// reabrir a coleção a partir do armazenamento.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../JsonDatabase');
+const { DuplicateKeyError, BulkWriteError, VersionConflictError } = require('../DatabaseErrors');
+
+function sqliteAvailable() {
+    try {
+        require('better-sqlite3');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const BACKENDS = [
+    { name: 'file (snapshot)', options: { storage: 'file', persistence: 'snapshot' } },
+    { name: 'file (journal)', options: { storage: 'file', persistence: 'journal' } },
+    { name: 'memory', options: { storage: 'memory' } },
+    { name: 'sqlite', options: { storage: 'sqlite' }, skip: !sqliteAvailable() && 'better-sqlite3 não instalado' }
+];
+
+for (const backend of BACKENDS) {
+    describe(`storage ${backend.name}`, { skip: backend.skip }, () => {
+        let dir;
+        let opened;
+
+        // Instância nova sobre a mesma coleção: lê do armazenamento, sem o
+        // cache das instâncias anteriores
+        function open(options = {}) {
+            const db = new JsonDatabase(dir, 'items', {
+                ...backend.options,
+                compactInterval: 0,
+                indexes: [{ fields: ['sku'], unique: true }],
+                ...options
+            });
+            opened.push(db);
+            return db;
+        }
+
+        async function ids(db) {
+            return (await db.find({}, { sort: { id: 1 } })).map(doc => doc.id);
+        }
+
+        beforeEach(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-conformance-'));
+            opened = [];
+            mock.method(console, 'error', () => {});
+        });
+
+        afterEach(async () => {
+            opened.forEach(db => db.close());
+            mock.restoreAll();
+            await fs.remove(dir);
+        });
+
+        it('grava documentos com os campos de sistema e os relê', async () => {
+            const db = open();
+            const created = await db.create({ name: 'Arroz', sku: 'A1', price: 10 });
+
+            assert.ok(created.id);
+            assert.strictEqual(created.version, 1);
+            assert.ok(created.createdAt);
+            assert.deepStrictEqual(await db.findById(created.id), created);
+            assert.deepStrictEqual(await open().findById(created.id), created);
+        });
+
+        it('rejeita create com um id que já existe', async () => {
+            const db = open();
+            await db.create({ id: 'a', name: 'Arroz', sku: 'A1' });
+
+            await assert.rejects(db.create({ id: 'a', name: 'Feijão', sku: 'F1' }), error => {
+                assert.ok(error instanceof DuplicateKeyError);
+                assert.deepStrictEqual(error.fields, ['id']);
+                assert.deepStrictEqual(error.values, ['a']);
+                return true;
+            });
+
+            for (const instance of [db, open()]) {
+                assert.strictEqual(await instance.count(), 1);
+                assert.strictEqual((await instance.findById('a')).name, 'Arroz');
+            }
+        });
+
+        it('rejeita ids repetidos no insertMany, contra a coleção e dentro do lote', async () => {
+            const db = open();
+            await db.create({ id: 'a', name: 'Arroz', sku: 'A1' });
+
+            await assert.rejects(
+                db.insertMany([{ id: 'b', sku: 'B1' }, { id: 'a', sku: 'A2' }, { id: 'b', sku: 'B2' }]),
+                error => {
+                    assert.ok(error instanceof BulkWriteError);
+                    assert.deepStrictEqual(error.errors.map(entry => [entry.index, entry.code]), [
+                        [1, 'DUPLICATE_KEY'],
+                        [2, 'DUPLICATE_KEY']
+                    ]);
+                    return true;
+                }
+            );
+            assert.deepStrictEqual(await ids(open()), ['a']);
+
+            const result = await db.insertMany(
+                [{ id: 'b', sku: 'B1' }, { id: 'a', sku: 'A2' }, { id: 'b', sku: 'B2' }],
+                { atomic: false }
+            );
+            assert.strictEqual(result.insertedCount, 1);
+            assert.deepStrictEqual(await ids(db), ['a', 'b']);
+            assert.deepStrictEqual(await ids(open()), ['a', 'b']);
+        });
+
+        it('rejeita id repetido dentro de uma transação sem gravar nada', async () => {
+            const db = open();
+            await db.create({ id: 'a', name: 'Arroz', sku: 'A1' });
+
+            await assert.rejects(
+                db.transaction(async tx => {
+                    await tx.create({ id: 'b', sku: 'B1' });
+                    await tx.create({ id: 'a', sku: 'A2' });
+                }),
+                DuplicateKeyError
+            );
+            await assert.rejects(
+                db.transaction(async tx => {
+                    await tx.create({ id: 'c', sku: 'C1' });
+                    await tx.create({ id: 'c', sku: 'C2' });
+                }),
+                DuplicateKeyError
+            );
+            assert.deepStrictEqual(await ids(db), ['a']);
+            assert.deepStrictEqual(await ids(open()), ['a']);
+        });
+
+        it('aceita de novo um id removido', async () => {
+            const db = open();
+            await db.create({ id: 'a', name: 'Arroz', sku: 'A1' });
+            await db.delete('a');
+            await db.create({ id: 'a', name: 'Feijão', sku: 'F1' });
+
+            assert.strictEqual((await open().findById('a')).name, 'Feijão');
+        });
+
+        it('aplica índices únicos', async () => {
+            const db = open();
+            await db.create({ sku: 'A1' });
+
+            await assert.rejects(db.create({ sku: 'A1' }), DuplicateKeyError);
+            assert.strictEqual(await open().count({ sku: 'A1' }), 1);
+        });
+
+        it('atualiza, substitui e remove com controle de versão', async () => {
+            const db = open();
+            const { id } = await db.create({ name: 'Arroz', sku: 'A1', stock: { qty: 1 } });
+
+            const updated = await db.update(id, { $inc: { 'stock.qty': 2 }, $set: { price: 5 } });
+            assert.strictEqual(updated.version, 2);
+            assert.deepStrictEqual(updated.stock, { qty: 3 });
+
+            await assert.rejects(db.update(id, { price: 6 }, { expectedVersion: 1 }), VersionConflictError);
+
+            const replaced = await db.replace(id, { name: 'Arroz integral', sku: 'A1' }, { expectedVersion: 2 });
+            assert.strictEqual(replaced.version, 3);
+            assert.strictEqual(replaced.price, undefined);
+            assert.deepStrictEqual(await open().findById(id), replaced);
+
+            assert.strictEqual(await db.delete(id, { expectedVersion: 3 }), true);
+            assert.strictEqual(await db.delete(id), false);
+            assert.strictEqual(await open().findById(id), null);
+        });
+
+        it('filtra, ordena, pagina e projeta igual no cache e após reabrir', async () => {
+            const db = open();
+            for (const item of [
+                { id: 'a', sku: 'A', category: 'grãos', price: 7 },
+                { id: 'b', sku: 'B', category: 'limpeza', price: 3 },
+                { id: 'c', sku: 'C', category: 'grãos', price: 5 },
+                { id: 'd', sku: 'D', category: 'grãos', price: 9 }
+            ]) {
+                await db.create(item);
+            }
+
+            for (const instance of [db, open()]) {
+                const page = await instance.find(
+                    { category: 'grãos', price: { $gte: 5 } },
+                    { sort: { price: -1 }, skip: 1, limit: 2, projection: { sku: 1 } }
+                );
+                assert.deepStrictEqual(page, [{ id: 'a', sku: 'A' }, { id: 'c', sku: 'C' }]);
+                assert.strictEqual(await instance.count({ category: 'grãos' }), 3);
+                assert.deepStrictEqual(
+                    (await instance.search('limpeza', ['category'])).map(doc => doc.id),
+                    ['b']
+                );
+            }
+        });
+
+        it('restaura a coleção inteira a partir de um snapshot', async () => {
+            const db = open();
+            await db.create({ id: 'a', sku: 'A' });
+            const snapshot = await db.snapshot();
+
+            await db.update('a', { sku: 'A2' });
+            await db.create({ id: 'b', sku: 'B' });
+            assert.deepStrictEqual(await db.restore(snapshot), { restored: 1 });
+
+            for (const instance of [db, open()]) {
+                assert.deepStrictEqual(await instance.find(), snapshot);
+            }
+        });
+
+        it('em lote, atualiza e remove os documentos do filtro', async () => {
+            const db = open();
+            await db.insertMany([
+                { id: 'a', sku: 'A', active: true },
+                { id: 'b', sku: 'B', active: false },
+                { id: 'c', sku: 'C', active: true }
+            ]);
+
+            assert.deepStrictEqual(await db.updateMany({ active: true }, { $set: { featured: true } }), { updatedCount: 2 });
+            assert.deepStrictEqual(await db.deleteMany({ active: false }), { deletedCount: 1 });
+
+            const reopened = open();
+            assert.deepStrictEqual(await ids(reopened), ['a', 'c']);
+            assert.strictEqual(await reopened.count({ featured: true }), 2);
+        });
+    });
+}
@@ -0,0 +1,37 @@
+// shared/storage/encryption.js
+// Criptografia em repouso dos backends que gravam em disco. Com um KeyRing,
+// todo JSON gravado (arquivo, linha do journal, linha do SQLite) vira um
+// envelope cifrado; sem ele, o JSON é gravado como sempre foi.
+//
+// A leitura aceita os dois formatos, então dados gravados antes de a
+// criptografia ser ligada continuam legíveis e são cifrados na próxima
+// escrita (ou de uma vez, com JsonDatabase.reencrypt()).
+const KeyRing = require('../KeyRing');
+const { EncryptionError } = require('../DatabaseErrors');
+
+function serialize(data, encryption, space = 0) {
+    if (!encryption) return JSON.stringify(data, null, space);
+    return JSON.stringify(encryption.encrypt(JSON.stringify(data)));
+}
+
+// `source` descreve o dado nas mensagens de erro (ex: 'Coleção "users"')
+function parse(content, encryption, source) {
+    const value = JSON.parse(content);
+    if (!KeyRing.isEnvelope(value)) return value;
+
+    if (!encryption) {
+        throw new EncryptionError(`${source} está cifrada, mas nenhuma chave de criptografia foi configurada`);
+    }
+    return JSON.parse(encryption.decrypt(value));
+}
+
+// kid da chave que cifrou o conteúdo; null para texto puro ou ilegível
+function keyIdOf(content) {
+    try {
+        return KeyRing.keyIdFrom(JSON.parse(content));
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { serialize, parse, keyIdOf };
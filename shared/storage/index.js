@@ -0,0 +1,60 @@
+// shared/storage/index.js
+// Backends de armazenamento do JsonDatabase. Todos implementam a mesma
+// interface (todas assíncronas, exceto as marcadas):
+//
+//   init()                          prepara o armazenamento da coleção
+//   getVersion()                    token da versão atual dos dados
+//   isSameVersion(a, b)             (síncrona) compara dois tokens
+//   load()                          { documents, version, info }
+//   commit(documents, changes, info) grava as mudanças: { version, info }
+//   needsCompaction(info, min)      (síncrona) há algo a compactar?
+//   compact()                       { compacted, documents?, version?, info? }
+//   snapshot()                      cópia consistente dos documentos
+//   replaceAll(documents)           substitui a coleção: { version, info }
+//   readIndex() / writeIndex(index, version) / isIndexCurrent(index, version)
+//   keyIds()                        kids das chaves que cifram os dados (null = texto puro)
+//   close()
+//
+// além das propriedades `type`, `key` (identifica a coleção no processo,
+// usada nas filas de escrita e no fluxo de mudanças) e `compacts`. Os
+// backends em disco recebem a opção `encryption` (um KeyRing, ou null).
+const FileStorage = require('./FileStorage');
+const MemoryStorage = require('./MemoryStorage');
+const SqliteStorage = require('./SqliteStorage');
+const { InvalidQueryError } = require('../DatabaseErrors');
+
+const BACKENDS = {
+    file: FileStorage,
+    memory: MemoryStorage,
+    sqlite: SqliteStorage
+};
+
+// `storage` é o nome de um backend ou uma instância já pronta
+function createStorage(storage, options) {
+    if (storage && typeof storage === 'object') {
+        return storage;
+    }
+
+    const Backend = BACKENDS[storage];
+    if (!Backend) {
+        throw new InvalidQueryError(
+            `Armazenamento desconhecido: ${storage} (use ${Object.keys(BACKENDS).join(', ')})`
+        );
+    }
+    return new Backend(options);
+}
+
+// Backend configurado para um serviço: USER_SERVICE_STORAGE (pelo nome do
+// serviço), depois DB_STORAGE para todos, e por fim arquivos JSON
+function storageFromEnv(serviceName) {
+    const serviceVariable = `${serviceName.toUpperCase().replace(/-/g, '_')}_STORAGE`;
+    return process.env[serviceVariable] || process.env.DB_STORAGE || 'file';
+}
+
+module.exports = {
+    createStorage,
+    storageFromEnv,
+    FileStorage,
+    MemoryStorage,
+    SqliteStorage
+};
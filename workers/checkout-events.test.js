@@ -0,0 +1,121 @@
+// workers/checkout-events.test.js
+// Fluxo de eventos completo num único processo, com o broker e os bancos
+// em memória: checkout no list-service -> outbox -> relay -> exchange -> os
+// dois workers, que confirmam (ack) o evento e descartam a reentrega.
+process.env.DB_STORAGE = "memory";
+process.env.MESSAGE_TRANSPORT = "memory";
+
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert");
+const rabbitMQ = require("../shared/RabbitMQService");
+const { MemoryTransport } = require("../shared/messaging");
+const ListService = require("../services/list-service/server");
+const notificationWorker = require("./notification-worker");
+const analyticsWorker = require("./analytics-worker");
+
+const USER = { id: "user-1", email: "user@demo.com" };
+const WORKERS = [notificationWorker, analyticsWorker];
+const WORKER_QUEUES = WORKERS.map((worker) => worker.QUEUE_NAME);
+
+function response() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+async function waitFor(description, condition) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (await condition()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.fail(`Tempo esgotado esperando ${description}`);
+}
+
+describe("Fluxo do checkout pelo broker em memória", () => {
+  const broker = MemoryTransport.sharedBroker();
+  let service;
+  let logs;
+  let eventId;
+
+  before(async () => {
+    logs = [];
+    mock.method(console, "log", (...args) => logs.push(args.join(" ")));
+    mock.method(console, "error", () => {});
+
+    // Só os bancos do list-service: sem servidor HTTP nem registry
+    service = Object.create(ListService.prototype);
+    service.serviceName = "list-service";
+    service.setupDatabase();
+
+    await notificationWorker.start();
+    await analyticsWorker.start();
+  });
+
+  after(async () => {
+    await rabbitMQ.close();
+    service.listsDb.close();
+    service.outboxDb.close();
+    WORKERS.forEach((worker) => worker.processedEvents.db.close());
+    mock.restoreAll();
+  });
+
+  const workersIdle = () =>
+    WORKER_QUEUES.every((queue) => {
+      const stats = broker.queueStats(queue);
+      return stats.messages === 0 && stats.unacked === 0;
+    });
+
+  it("publica o evento do outbox e os dois workers o confirmam", async () => {
+    const list = await service.listsDb.create({
+      userId: USER.id,
+      name: "Mercado",
+      items: [{ itemId: "item-1", itemName: "Arroz", quantity: 2, estimatedPrice: 5 }],
+      summary: { totalItems: 2, purchasedItems: 0, estimatedTotal: 10 },
+    });
+
+    const res = response();
+    await service.checkoutList({ params: { id: list.id }, user: USER, get: () => undefined }, res);
+    assert.strictEqual(res.statusCode, 202);
+    eventId = res.body.data.eventId;
+
+    await service.outboxRelay.publishPending();
+    assert.strictEqual((await service.outboxDb.findById(eventId)).status, "delivered");
+
+    await waitFor("o ack dos workers", workersIdle);
+
+    assert.ok(logs.some((line) => line.includes(`Processando recibo da lista ID: ${list.id}`)));
+    assert.ok(logs.some((line) => line.includes(`Evento ${eventId}`) && line.includes("v2")));
+    for (const queue of WORKER_QUEUES) {
+      assert.strictEqual(broker.queueStats(`${queue}.dlq`).messages, 0, `${queue}.dlq`);
+    }
+  });
+
+  it("descarta a reentrega do mesmo evento nos dois workers", async () => {
+    // Como a republicação pelo outbox após uma queda antes da marcação
+    const { payload } = await service.outboxDb.findById(eventId);
+    logs.length = 0;
+
+    await rabbitMQ.publishConfirmed(payload.type, payload);
+    await waitFor("o descarte da duplicata", () =>
+      WORKERS.every((worker) => worker.processedEvents.getStats().duplicates === 1)
+    );
+    await waitFor("o ack dos workers", workersIdle);
+
+    for (const worker of WORKERS) {
+      assert.strictEqual(worker.processedEvents.getStats().processed, 1);
+    }
+    assert.ok(!logs.some((line) => line.includes("Processando recibo")));
+    for (const queue of WORKER_QUEUES) {
+      assert.strictEqual(broker.queueStats(`${queue}.dlq`).messages, 0, `${queue}.dlq`);
+    }
+  });
+});